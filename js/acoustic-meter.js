@@ -0,0 +1,403 @@
+/**
+ * Acoustic Meter for DAW Collaboration Tool
+ * Measures the real audio round trip to a peer: a chirp goes out in our send, the peer loops
+ * what it receives back to us, and cross-correlation finds the chirp in the returned audio
+ */
+
+class AcousticMeter {
+    constructor() {
+        this.chirpDuration = 0.3; // Seconds
+        this.chirpFrom = 200; // Hz
+        this.chirpTo = 8000; // Hz, well inside what Opus keeps at any bandwidth
+        this.leadIn = 0.3; // Time for the track switch to take effect before the chirp (s)
+        this.maxRoundTrip = 1.5; // Longest round trip we listen for (s)
+        this.minConfidence = 0.3; // Normalized correlation below this means the chirp was not found
+        this.loopbackTimeout = 5000; // A loopback ends by itself after this long (ms)
+        
+        this.measuring = {}; // Peers being measured by peer ID
+        this.loopbacks = {}; // Loopbacks we run for other peers by peer ID
+        this.recorderContext = null; // Audio context the recorder module was loaded into
+        this.recorderModule = null;
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Register the loopback messages with the message protocol
+     */
+    registerMessageHandlers() {
+        // A peer asks us to send back what we receive from them
+        messageProtocol.register('loopback-start', { durationMs: 'number' },
+            (data, conn) => this.startLoopback(conn.peer, data.durationMs));
+        messageProtocol.register('loopback-stop', {}, (data, conn) => this.stopLoopback(conn.peer));
+    }
+    
+    /**
+     * Measure the audio round trip to a peer and store it with the peer's network stats
+     * The result covers everything between our send and our receive: encoding, network,
+     * the peer's jitter buffer and decoding, and the same on the way back. The audio device
+     * latencies the browsers report are added separately, as they are estimates.
+     * @param {string} peerId The ID of the peer
+     * @returns {Promise} Promise that resolves with the result
+     */
+    async measure(peerId) {
+        if (this.measuring[peerId]) {
+            throw new Error('A measurement is already running');
+        }
+        
+        const conn = peerManager.connections[peerId];
+        const remoteInfo = audioManager.remoteStreams[peerId];
+        const context = audioManager.audioContext;
+        if (!conn || !conn.open || !peerManager.calls[peerId]) {
+            throw new Error('Not connected to this peer');
+        }
+        if (peerManager.role === 'listener') {
+            throw new Error('Listeners send no audio, so they cannot measure the round trip');
+        }
+        if (peerManager.peerRoles[peerId] === 'listener' || !remoteInfo) {
+            throw new Error(`${profileManager.getDisplayName(peerId)} is not sending audio to loop the chirp back`);
+        }
+        if (!context || !context.audioWorklet) {
+            throw new Error('This browser cannot record audio for the measurement');
+        }
+        
+        this.measuring[peerId] = true;
+        let recorder = null;
+        let chirpSource = null;
+        
+        try {
+            if (context.state !== 'running') {
+                await context.resume();
+            }
+            
+            // The peer reports its audio device latency, as it cannot be measured from here
+            const remote = await messageProtocol.request(conn, {
+                type: 'loopback-start',
+                durationMs: this.loopbackTimeout
+            }, 3000);
+            
+            recorder = await this.startRecorder(context, remoteInfo.source);
+            
+            // Send the chirp instead of our input for the length of the measurement
+            const chirp = this.createChirp(context.sampleRate);
+            const destination = context.createMediaStreamDestination();
+            chirpSource = context.createBufferSource();
+            chirpSource.buffer = context.createBuffer(1, chirp.length, context.sampleRate);
+            chirpSource.buffer.copyToChannel(chirp, 0);
+            chirpSource.connect(destination);
+            peerManager.setSendOverride(peerId, destination.stream.getAudioTracks()[0]);
+            
+            const startTime = context.currentTime + this.leadIn;
+            const startFrame = Math.round(startTime * context.sampleRate);
+            chirpSource.start(startTime);
+            
+            utils.log(`Measuring the audio round trip to ${profileManager.getLogName(peerId)}\u2026`);
+            await new Promise(resolve => setTimeout(resolve, (this.leadIn + this.chirpDuration + this.maxRoundTrip) * 1000));
+            
+            const recording = await recorder.stop();
+            const found = this.findChirp(recording.samples, chirp, startFrame - recording.startFrame);
+            if (!found || found.confidence < this.minConfidence) {
+                throw new Error('The chirp did not come back. Check that the peer is receiving your audio.');
+            }
+            
+            const roundTripMs = found.lag / context.sampleRate * 1000;
+            const local = this.getDeviceLatency();
+            const remoteDevices = remote && typeof remote.inputMs === 'number' && typeof remote.outputMs === 'number'
+                ? remote
+                : { inputMs: 0, outputMs: 0 };
+            const deviceMs = local.inputMs + local.outputMs + remoteDevices.inputMs + remoteDevices.outputMs;
+            
+            const result = {
+                roundTripMs: roundTripMs, // Measured: our send to our receive through the peer
+                deviceMs: deviceMs, // Reported by both browsers: input and output buffering
+                totalMs: roundTripMs + deviceMs, // Estimated DAW-out to remote ear and back
+                confidence: found.confidence,
+                measuredAt: Date.now()
+            };
+            
+            latencyMonitor.setAcousticResult(peerId, result);
+            utils.log(`Audio round trip to ${profileManager.getLogName(peerId)}: ${roundTripMs.toFixed(1)}ms ` +
+                `(+${deviceMs.toFixed(1)}ms audio devices, correlation ${found.confidence.toFixed(2)})`);
+            return result;
+        } finally {
+            delete this.measuring[peerId];
+            peerManager.setSendOverride(peerId, null);
+            if (chirpSource) {
+                chirpSource.disconnect();
+            }
+            if (recorder) {
+                recorder.stop();
+            }
+            messageProtocol.send(peerManager.connections[peerId], { type: 'loopback-stop' });
+        }
+    }
+    
+    /**
+     * Create a logarithmic sine sweep with short fades at both ends
+     * A sweep correlates to a single sharp peak and survives lossy codecs well
+     * @param {number} sampleRate The sample rate
+     * @returns {Float32Array} The chirp
+     */
+    createChirp(sampleRate) {
+        const length = Math.round(this.chirpDuration * sampleRate);
+        const fade = Math.round(0.01 * sampleRate);
+        const ratio = Math.log(this.chirpTo / this.chirpFrom);
+        const chirp = new Float32Array(length);
+        
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const phase = 2 * Math.PI * this.chirpFrom * this.chirpDuration / ratio *
+                (Math.exp(t / this.chirpDuration * ratio) - 1);
+            const envelope = Math.min(1, i / fade, (length - 1 - i) / fade);
+            chirp[i] = 0.5 * envelope * Math.sin(phase);
+        }
+        return chirp;
+    }
+    
+    /**
+     * Record a node's output through the recorder worklet
+     * @param {AudioContext} context The audio context
+     * @param {AudioNode} input The node to record
+     * @returns {Promise} Promise that resolves with { stop() }, where stop resolves with { samples, startFrame }
+     */
+    async startRecorder(context, input) {
+        // Load the processor once per audio context
+        if (this.recorderContext !== context) {
+            this.recorderContext = context;
+            this.recorderModule = context.audioWorklet.addModule('js/worklets/recorder-processor.js');
+        }
+        await this.recorderModule;
+        
+        // No outputs: the node is a sink and runs without being connected onwards
+        const node = new AudioWorkletNode(context, 'recorder-processor', { numberOfOutputs: 0 });
+        const blocks = [];
+        node.port.onmessage = (event) => blocks.push(event.data);
+        input.connect(node);
+        
+        let stopped = null;
+        return {
+            stop: () => {
+                if (stopped) {
+                    return stopped;
+                }
+                node.port.postMessage({ stop: true });
+                
+                // The last block arrives after the stop message is handled
+                stopped = new Promise(resolve => setTimeout(resolve, 100)).then(() => {
+                    input.disconnect(node);
+                    node.port.onmessage = null;
+                    
+                    const startFrame = blocks.length > 0 ? blocks[0].frame : 0;
+                    const endFrame = blocks.reduce((end, block) => Math.max(end, block.frame + block.samples.length), startFrame);
+                    const samples = new Float32Array(endFrame - startFrame);
+                    blocks.forEach(block => samples.set(block.samples, block.frame - startFrame));
+                    return { samples: samples, startFrame: startFrame };
+                });
+                return stopped;
+            }
+        };
+    }
+    
+    /**
+     * Find the chirp in a recording by cross-correlation
+     * @param {Float32Array} recording The recorded audio
+     * @param {Float32Array} chirp The chirp that was sent
+     * @param {number} sentAt Index in the recording's timeline where the chirp was sent
+     * @returns {Object|null} { lag, confidence }: the delay in samples and the normalized
+     *                        correlation (0 to 1) at the peak; null if the recording is too short
+     */
+    findChirp(recording, chirp, sentAt) {
+        const first = Math.max(0, sentAt);
+        const last = recording.length - chirp.length;
+        if (last <= first) {
+            return null;
+        }
+        
+        const correlation = this.crossCorrelate(recording, chirp);
+        
+        let peak = first;
+        for (let k = first; k <= last; k++) {
+            if (Math.abs(correlation[k]) > Math.abs(correlation[peak])) {
+                peak = k;
+            }
+        }
+        
+        // Normalize by the energy of the chirp and of the recording where it was found
+        let chirpEnergy = 0;
+        let windowEnergy = 0;
+        for (let i = 0; i < chirp.length; i++) {
+            chirpEnergy += chirp[i] * chirp[i];
+            windowEnergy += recording[peak + i] * recording[peak + i];
+        }
+        const norm = Math.sqrt(chirpEnergy * windowEnergy);
+        
+        return {
+            lag: peak - sentAt,
+            confidence: norm > 0 ? Math.abs(correlation[peak]) / norm : 0
+        };
+    }
+    
+    /**
+     * Cross-correlate a signal with a template using FFTs
+     * @param {Float32Array} signal The signal
+     * @param {Float32Array} template The template
+     * @returns {Float64Array} correlation[k] = sum over n of signal[n + k] * template[n]
+     */
+    crossCorrelate(signal, template) {
+        let size = 1;
+        while (size < signal.length + template.length) {
+            size *= 2;
+        }
+        
+        const signalRe = new Float64Array(size);
+        const signalIm = new Float64Array(size);
+        const templateRe = new Float64Array(size);
+        const templateIm = new Float64Array(size);
+        signalRe.set(signal);
+        templateRe.set(template);
+        
+        this.fft(signalRe, signalIm, false);
+        this.fft(templateRe, templateIm, false);
+        
+        // Multiply the signal's spectrum by the conjugate of the template's
+        for (let i = 0; i < size; i++) {
+            const re = signalRe[i] * templateRe[i] + signalIm[i] * templateIm[i];
+            const im = signalIm[i] * templateRe[i] - signalRe[i] * templateIm[i];
+            signalRe[i] = re;
+            signalIm[i] = im;
+        }
+        
+        this.fft(signalRe, signalIm, true);
+        return signalRe;
+    }
+    
+    /**
+     * In-place iterative radix-2 FFT
+     * @param {Float64Array} re Real parts; the length must be a power of two
+     * @param {Float64Array} im Imaginary parts
+     * @param {boolean} inverse Compute the inverse transform (scaled by 1/n)
+     */
+    fft(re, im, inverse) {
+        const n = re.length;
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        
+        for (let length = 2; length <= n; length *= 2) {
+            const angle = (inverse ? 2 : -2) * Math.PI / length;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            
+            for (let start = 0; start < n; start += length) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k;
+                    const b = a + length / 2;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    
+                    const nextRe = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = nextRe;
+                }
+            }
+        }
+        
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+    
+    /**
+     * Get the input and output latency the browser reports for our audio devices
+     * @returns {Object} { inputMs, outputMs }, 0 where the browser does not say
+     */
+    getDeviceLatency() {
+        const context = audioManager.audioContext;
+        const outputMs = context ? ((context.baseLatency || 0) + (context.outputLatency || 0)) * 1000 : 0;
+        
+        const stream = audioManager.getLocalStream();
+        const track = stream ? stream.getAudioTracks()[0] : null;
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        const inputMs = typeof settings.latency === 'number' ? settings.latency * 1000 : 0;
+        
+        return { inputMs: inputMs, outputMs: outputMs };
+    }
+    
+    /**
+     * Send a peer's audio straight back to them, for their measurement
+     * @param {string} peerId The ID of the peer measuring
+     * @param {number} durationMs How long to loop back at most
+     * @returns {Object} Our audio device latency, for the peer's total
+     */
+    startLoopback(peerId, durationMs) {
+        const remoteInfo = audioManager.remoteStreams[peerId];
+        if (peerManager.role === 'listener' || !remoteInfo) {
+            throw new Error('Not receiving audio from you, or listening only');
+        }
+        
+        this.stopLoopback(peerId);
+        
+        const destination = audioManager.audioContext.createMediaStreamDestination();
+        remoteInfo.source.connect(destination);
+        peerManager.setSendOverride(peerId, destination.stream.getAudioTracks()[0]);
+        
+        this.loopbacks[peerId] = {
+            source: remoteInfo.source,
+            destination: destination,
+            timer: setTimeout(() => this.stopLoopback(peerId), Math.min(durationMs, this.loopbackTimeout))
+        };
+        
+        utils.log(`${profileManager.getLogName(peerId)} is measuring the audio round trip; looping their audio back`);
+        return this.getDeviceLatency();
+    }
+    
+    /**
+     * Stop looping a peer's audio back and send our own again
+     * @param {string} peerId The ID of the peer
+     */
+    stopLoopback(peerId) {
+        const loopback = this.loopbacks[peerId];
+        if (!loopback) {
+            return;
+        }
+        
+        clearTimeout(loopback.timer);
+        try {
+            loopback.source.disconnect(loopback.destination);
+        } catch (e) {
+            // The source is gone with the peer's stream
+        }
+        delete this.loopbacks[peerId];
+        peerManager.setSendOverride(peerId, null);
+    }
+    
+    /**
+     * Stop any loopback for a peer that has left
+     * @param {string} peerId The ID of the peer
+     */
+    forgetPeer(peerId) {
+        this.stopLoopback(peerId);
+    }
+}
+
+// Create global acoustic meter instance
+window.acousticMeter = new AcousticMeter();
@@ -22,12 +22,41 @@ class AudioManager {
         this.bufferSize = parseInt(utils.$('#bufferSizeSelect').value);
         this.bitDepth = parseInt(utils.$('#bitDepthSelect').value);
         
+        // Codecs in order of preference, applied to every call
+        this.codecPreferences = ['opus', 'G722', 'PCMU', 'PCMA'];
+        
+        // Opus settings written into the SDP of every call (see SdpUtils)
+        this.opusSettings = {
+            maxAverageBitrate: 128000,
+            cbr: true,
+            ptime: 10,
+            useInbandFec: true,
+            useDtx: false,
+            stereo: true,
+            maxPlaybackRate: 48000,
+            udpOnly: true
+        };
+        
+        // Range the congestion controller may move our send bitrate within (bps)
+        this.sendBitrateRange = {
+            min: 32000,
+            max: 128000
+        };
+        
         // Meters update
         this.meterUpdateInterval = null;
         
         // Audio active state
         this.isAudioActive = false;
         
+        // Send mute and deafen (mute everyone else) toggles
+        this.sendMuted = false;
+        this.deafened = false;
+        
+        // Listening without an input device
+        this.isListener = false;
+        this.listenerStream = null; // Silent stream handed to PeerJS, which needs one to call
+        
         // Initialize device enumeration
         this.enumerateDevices();
     }
@@ -141,6 +170,31 @@ class AudioManager {
         }
     }
     
+    /**
+     * Prepare to listen to a session without capturing any input
+     * @returns {Promise} Promise that resolves when playback is ready
+     */
+    async initListener() {
+        if (this.isAudioActive || this.isListener) {
+            await this.stopAudio();
+        }
+        
+        // Remote audio still plays through the audio context
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+            sampleRate: this.sampleRate,
+            latencyHint: this.bufferSize <= 256 ? "interactive" : "balanced"
+        });
+        
+        // PeerJS will not place a call without a stream; this one never carries sound
+        this.listenerStream = this.audioContext.createMediaStreamDestination().stream;
+        
+        this.startMeterUpdates();
+        
+        this.isListener = true;
+        utils.log(`Listening only (no input device), ${this.sampleRate}Hz, Buffer: ${this.bufferSize}`);
+        return true;
+    }
+    
     /**
      * Stop the current audio stream and clean up resources
      * @returns {Promise} Promise that resolves when audio is stopped
@@ -167,6 +221,11 @@ class AudioManager {
         this.analyserLocal = null;
         this.localDataArray = null;
         
+        if (this.listenerStream) {
+            this.listenerStream.getTracks().forEach(track => track.stop());
+            this.listenerStream = null;
+        }
+        
         // Close audio context
         if (this.audioContext && this.audioContext.state !== 'closed') {
             await this.audioContext.close();
@@ -174,6 +233,7 @@ class AudioManager {
         }
         
         this.isAudioActive = false;
+        this.isListener = false;
         utils.log('Audio stopped');
         return true;
     }
@@ -226,6 +286,22 @@ class AudioManager {
         return this.localStream;
     }
     
+    /**
+     * Get the stream to hand to calls: the input, or the silent stream when listening only
+     * @returns {MediaStream} The stream, or null if neither is ready
+     */
+    getSendStream() {
+        return this.localStream || this.listenerStream;
+    }
+    
+    /**
+     * Check whether we are ready to join a session, as a performer or a listener
+     * @returns {boolean} True if audio has been started or listen-only mode chosen
+     */
+    isReady() {
+        return this.isAudioActive || this.isListener;
+    }
+    
     /**
      * Process a remote audio stream
      * @param {MediaStream} remoteStream The remote audio stream
@@ -254,7 +330,7 @@ class AudioManager {
             
             // Connect to audio output
             const remoteGain = this.audioContext.createGain();
-            remoteGain.gain.value = 1.0;
+            remoteGain.gain.value = this.getOutputGain();
             remoteSource.connect(remoteGain);
             remoteGain.connect(this.audioContext.destination);
             
@@ -340,6 +416,7 @@ class AudioManager {
             try {
                 this.remoteStreams[peerId].source.disconnect();
                 this.remoteStreams[peerId].gain.disconnect();
+                this.releaseJitterBuffer(this.remoteStreams[peerId]);
             } catch (e) {
                 // Nodes might already be disconnected
                 console.log(`Note: Error disconnecting nodes for peer ${peerId}: ${e.message}`);
@@ -355,6 +432,66 @@ class AudioManager {
         }
     }
     
+    /**
+     * Delay a remote stream through the jitter buffer worklet
+     * Used when the browser cannot set a playout delay on the RTCRtpReceiver
+     * @param {string} peerId The ID of the remote peer
+     * @param {number} delayMs The playout delay to add in milliseconds
+     * @returns {Promise} Promise that resolves with true if the delay was applied
+     */
+    async setWorkletPlayoutDelay(peerId, delayMs) {
+        const remoteInfo = this.remoteStreams[peerId];
+        if (!remoteInfo || !this.audioContext || !this.audioContext.audioWorklet) {
+            return false;
+        }
+        
+        if (!remoteInfo.jitterBuffer) {
+            // Load the processor once per audio context
+            if (this.jitterBufferContext !== this.audioContext) {
+                this.jitterBufferContext = this.audioContext;
+                this.jitterBufferModule = this.audioContext.audioWorklet.addModule('js/worklets/jitter-buffer-processor.js');
+            }
+            await this.jitterBufferModule;
+            
+            // The stream may have been replaced while the module loaded
+            if (this.remoteStreams[peerId] !== remoteInfo || remoteInfo.jitterBuffer) {
+                return !!remoteInfo.jitterBuffer;
+            }
+            
+            const node = new AudioWorkletNode(this.audioContext, 'jitter-buffer-processor', {
+                outputChannelCount: [2]
+            });
+            node.port.onmessage = (event) => {
+                remoteInfo.workletDelayMs = event.data.delayMs;
+            };
+            
+            // source -> jitter buffer -> gain, instead of source -> gain
+            remoteInfo.source.disconnect(remoteInfo.gain);
+            remoteInfo.source.connect(node);
+            node.connect(remoteInfo.gain);
+            remoteInfo.jitterBuffer = node;
+            remoteInfo.workletDelayMs = 0;
+            
+            // The fallback element would play the undelayed stream alongside
+            this.updateFallbackMute(peerId);
+            utils.log(`Using the jitter buffer worklet for peer ${peerId}`);
+        }
+        
+        remoteInfo.jitterBuffer.port.postMessage({ targetMs: delayMs });
+        return true;
+    }
+    
+    /**
+     * Remove the jitter buffer worklet from a remote stream's audio graph
+     * @param {Object} remoteInfo The remote stream info
+     */
+    releaseJitterBuffer(remoteInfo) {
+        if (remoteInfo.jitterBuffer) {
+            remoteInfo.jitterBuffer.disconnect();
+            remoteInfo.jitterBuffer = null;
+        }
+    }
+    
     /**
      * Start updating the audio level meters
      */
@@ -414,10 +551,98 @@ class AudioManager {
             sampleRate: this.sampleRate,
             bufferSize: this.bufferSize,
             bitDepth: this.bitDepth,
-            deviceLabel: this.getDeviceLabel(this.selectedDeviceId)
+            deviceLabel: this.getDeviceLabel(this.selectedDeviceId),
+            codecPreferences: this.codecPreferences.slice(),
+            opus: this.getOpusSettings()
         };
     }
     
+    /**
+     * Make a codec the first choice for new calls
+     * @param {string} name The codec name, e.g. 'opus'
+     */
+    setPreferredCodec(name) {
+        this.codecPreferences = [name].concat(this.codecPreferences.filter(codec => codec !== name));
+        utils.log(`Codec preference: ${this.codecPreferences.join(' > ')}`);
+    }
+    
+    /**
+     * Get the Opus settings used for new calls
+     * @returns {Object} A copy of the Opus settings
+     */
+    getOpusSettings() {
+        return Object.assign({}, this.opusSettings);
+    }
+    
+    /**
+     * Update the Opus settings; they apply to calls negotiated from now on
+     * @param {Object} settings The settings to change
+     */
+    setOpusSettings(settings) {
+        Object.assign(this.opusSettings, settings);
+        const s = this.opusSettings;
+        utils.log(`Opus settings: ${s.maxAverageBitrate / 1000} kbps ${s.cbr ? 'CBR' : 'VBR'}, ${s.ptime} ms packets, ` +
+            `FEC ${s.useInbandFec ? 'on' : 'off'}, DTX ${s.useDtx ? 'on' : 'off'}, ${s.stereo ? 'stereo' : 'mono'}, ` +
+            `max playback ${s.maxPlaybackRate / 1000} kHz`);
+    }
+    
+    /**
+     * Get the gain remote streams should play at
+     * @returns {number} 0 while deafened, otherwise 1
+     */
+    getOutputGain() {
+        return this.deafened ? 0 : 1.0;
+    }
+    
+    /**
+     * Mute or unmute every remote stream
+     * @param {boolean} deafened Whether to stop hearing the other participants
+     */
+    setDeafened(deafened) {
+        this.deafened = deafened;
+        
+        for (const peerId in this.remoteStreams) {
+            const remoteInfo = this.remoteStreams[peerId];
+            if (remoteInfo.gain) {
+                remoteInfo.gain.gain.value = this.getOutputGain();
+            }
+        }
+        
+        // The fallback elements play the same streams outside the audio graph
+        document.querySelectorAll('audio[id^="audio-fallback-"]').forEach(audioEl => {
+            this.updateFallbackMute(audioEl.id.replace('audio-fallback-', ''));
+        });
+        
+        utils.log(deafened ? 'Deafened: remote audio muted' : 'Undeafened: remote audio playing');
+    }
+    
+    /**
+     * Mute a peer's fallback audio element while deafened or while its audio goes through the jitter buffer worklet
+     * @param {string} peerId The ID of the remote peer
+     */
+    updateFallbackMute(peerId) {
+        const fallbackEl = document.getElementById(`audio-fallback-${peerId}`);
+        if (fallbackEl) {
+            const remoteInfo = this.remoteStreams[peerId];
+            fallbackEl.muted = this.deafened || !!(remoteInfo && remoteInfo.jitterBuffer);
+        }
+    }
+    
+    /**
+     * Set the range the congestion controller keeps our send bitrate within
+     * @param {Object} range { min, max } in bits per second
+     */
+    setSendBitrateRange(range) {
+        Object.assign(this.sendBitrateRange, range);
+        
+        // A floor above the ceiling would leave the controller nowhere to go
+        if (this.sendBitrateRange.min > this.sendBitrateRange.max) {
+            this.sendBitrateRange.min = this.sendBitrateRange.max;
+            utils.showNotification('Send bitrate floor lowered to the ceiling', 'info');
+        }
+        utils.log(`Send bitrate range: ${this.sendBitrateRange.min / 1000}-${this.sendBitrateRange.max / 1000} kbps`);
+    }
+    
     /**
      * Force enable audio output for testing
      * Call this from the console: audioManager.forceEnableAudio()
@@ -456,7 +681,7 @@ class AudioManager {
         // Play any fallback audio elements
         document.querySelectorAll('audio[id^="audio-fallback-"]').forEach(audioEl => {
             utils.log(`Attempting to play fallback audio element: ${audioEl.id}`);
-            audioEl.muted = false;
+            this.updateFallbackMute(audioEl.id.replace('audio-fallback-', ''));
             audioEl.volume = 1.0;
             audioEl.play().then(() => {
                 utils.log(`Successfully playing ${audioEl.id}`);
@@ -481,8 +706,9 @@ class AudioManager {
                     remoteInfo.analyser = this.audioContext.createAnalyser();
                     remoteInfo.analyser.fftSize = 256;
                     remoteInfo.dataArray = new Uint8Array(remoteInfo.analyser.frequencyBinCount);
+                    this.releaseJitterBuffer(remoteInfo);
                     remoteInfo.gain = this.audioContext.createGain();
-                    remoteInfo.gain.gain.value = 1.0;
+                    remoteInfo.gain.gain.value = this.getOutputGain();
                     
                     // Connect nodes
                     remoteInfo.source.connect(remoteInfo.analyser);
@@ -672,8 +898,9 @@ class AudioManager {
                     }
                     
                     // Create new gain node
+                    this.releaseJitterBuffer(remoteInfo);
                     remoteInfo.gain = this.audioContext.createGain();
-                    remoteInfo.gain.gain.value = 1.0;
+                    remoteInfo.gain.gain.value = this.getOutputGain();
                     
                     // Connect everything
                     remoteInfo.source.connect(remoteInfo.analyser);
@@ -0,0 +1,308 @@
+/**
+ * Chat Manager for DAW Collaboration Tool
+ * Text chat between session participants over the data connections
+ */
+
+class ChatManager {
+    constructor() {
+        this.messages = []; // Session chat history, oldest first
+        this.messageIds = new Set(); // For dropping duplicates
+        this.maxMessages = 200; // History kept (and handed to newcomers)
+        this.unreadCount = 0;
+        this.collapsed = false;
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Look up the chat panel elements and attach event listeners
+     */
+    initialize() {
+        this.chatContainer = utils.$('.chat-container');
+        this.chatHeader = utils.$('#chatHeader');
+        this.chatUnread = utils.$('#chatUnread');
+        this.chatMessages = utils.$('#chatMessages');
+        this.chatInput = utils.$('#chatInput');
+        this.chatSendBtn = utils.$('#chatSendBtn');
+        
+        this.chatSendBtn.addEventListener('click', () => this.sendFromInput());
+        
+        this.chatInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.sendFromInput();
+            }
+        });
+        
+        this.chatInput.addEventListener('input', () => {
+            this.chatSendBtn.disabled = !this.chatInput.value.trim();
+        });
+        
+        // Clicking the header collapses or expands the panel
+        this.chatHeader.addEventListener('click', () => {
+            this.setCollapsed(!this.collapsed);
+        });
+        
+        // Messages that arrived while the tab was hidden count as read once it is visible
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && !this.collapsed) {
+                this.markAllRead();
+            }
+        });
+        
+        this.renderAll();
+    }
+    
+    /**
+     * Register the chat messages with the message protocol
+     */
+    registerMessageHandlers() {
+        messageProtocol.register('chat', { id: 'string', message: 'string', timestamp: 'number', 'name?': 'string' }, (data, conn) => {
+            this.addMessage({
+                id: data.id,
+                from: conn.peer,
+                name: (data.name || '').slice(0, 32),
+                message: data.message.slice(0, 500),
+                timestamp: data.timestamp
+            });
+        });
+        
+        // The host brings newcomers up to date
+        messageProtocol.register('chat-history', { messages: 'array' }, (data, conn) => {
+            if (conn.peer !== peerManager.hostId) {
+                return;
+            }
+            data.messages
+                .filter(msg => msg && typeof msg.id === 'string' && typeof msg.message === 'string')
+                .forEach(msg => this.addMessage({
+                    id: msg.id,
+                    from: String(msg.from),
+                    name: typeof msg.name === 'string' ? msg.name.slice(0, 32) : '',
+                    message: msg.message.slice(0, 500),
+                    timestamp: Number(msg.timestamp) || Date.now(),
+                    history: true
+                }));
+        });
+    }
+    
+    /**
+     * Send the text typed in the chat input
+     */
+    sendFromInput() {
+        const text = this.chatInput.value.trim();
+        if (!text) {
+            return;
+        }
+        
+        this.sendMessage(text);
+        this.chatInput.value = '';
+        this.chatSendBtn.disabled = true;
+        this.chatInput.focus();
+    }
+    
+    /**
+     * Send a chat message to everyone in the session
+     * @param {string} text The message text
+     */
+    sendMessage(text) {
+        // The name travels with the message so it survives the sender leaving
+        const message = {
+            id: `${peerManager.peerId}-${utils.generateRandomId(8)}`,
+            from: peerManager.peerId,
+            name: profileManager.getProfile().name,
+            message: text.slice(0, 500),
+            timestamp: Date.now()
+        };
+        
+        this.addMessage(message);
+        peerManager.sendToAllPeers({
+            type: 'chat',
+            id: message.id,
+            name: message.name,
+            message: message.message,
+            timestamp: message.timestamp
+        });
+    }
+    
+    /**
+     * Send the chat history to a peer that just joined
+     * @param {DataConnection} conn The data connection to the newcomer
+     */
+    sendHistory(conn) {
+        if (this.messages.length === 0) {
+            return;
+        }
+        
+        messageProtocol.send(conn, {
+            type: 'chat-history',
+            messages: this.messages.map(msg => ({
+                id: msg.id,
+                from: msg.from,
+                name: msg.name,
+                message: msg.message,
+                timestamp: msg.timestamp
+            }))
+        });
+    }
+    
+    /**
+     * Add a message to the history and the panel
+     * @param {Object} message The chat message
+     */
+    addMessage(message) {
+        if (this.messageIds.has(message.id)) {
+            return; // Already have it
+        }
+        
+        this.messageIds.add(message.id);
+        this.messages.push(message);
+        
+        // Keep the history bounded
+        if (this.messages.length > this.maxMessages) {
+            const removed = this.messages.shift();
+            this.messageIds.delete(removed.id);
+        }
+        
+        if (!message.history) {
+            utils.log(`${this.getDisplayName(message.from, message.name)}: ${message.message}`);
+        }
+        
+        if (!this.chatMessages) {
+            return; // Panel not initialized yet
+        }
+        
+        this.renderAll();
+        
+        // Count messages from others that have not been seen yet
+        const own = message.from === peerManager.peerId;
+        if (!own && !message.history && (this.collapsed || document.hidden)) {
+            this.unreadCount++;
+            this.updateUnreadBadge();
+        }
+    }
+    
+    /**
+     * Get the name to show for the sender of a message
+     * @param {string} peerId The sender's peer ID
+     * @param {string} sentName The name sent with the message, used once the sender has left
+     * @returns {string} The display name
+     */
+    getDisplayName(peerId, sentName = '') {
+        if (peerId === peerManager.peerId) {
+            return 'You';
+        }
+        
+        const profile = profileManager.getPeerProfile(peerId);
+        if (profile && profile.name) {
+            return profile.name;
+        }
+        return sentName || peerId;
+    }
+    
+    /**
+     * Render the whole history into the panel
+     */
+    renderAll() {
+        if (!this.chatMessages) {
+            return;
+        }
+        
+        // Only follow new messages if the user is already at the bottom
+        const atBottom = this.chatMessages.scrollHeight - this.chatMessages.scrollTop - this.chatMessages.clientHeight < 20;
+        
+        this.chatMessages.innerHTML = '';
+        this.messages
+            .slice()
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(message => this.chatMessages.appendChild(this.createMessageElement(message)));
+        
+        if (atBottom) {
+            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        }
+    }
+    
+    /**
+     * Create the element for one chat message
+     * @param {Object} message The chat message
+     * @returns {HTMLElement} The message element
+     */
+    createMessageElement(message) {
+        const entry = document.createElement('div');
+        entry.className = 'chat-message';
+        if (message.from === peerManager.peerId) {
+            entry.classList.add('own');
+        }
+        
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        const sender = document.createElement('span');
+        sender.className = 'chat-sender';
+        sender.textContent = this.getDisplayName(message.from, message.name);
+        sender.title = message.from;
+        const color = profileManager.getColor(message.from);
+        if (color) {
+            sender.style.color = color;
+        }
+        
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.message;
+        
+        entry.appendChild(time);
+        entry.appendChild(sender);
+        entry.appendChild(text);
+        return entry;
+    }
+    
+    /**
+     * Collapse or expand the chat panel
+     * @param {boolean} collapsed Whether the panel should be collapsed
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.chatContainer.classList.toggle('collapsed', collapsed);
+        
+        if (!collapsed) {
+            this.markAllRead();
+            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        }
+    }
+    
+    /**
+     * Clear the unread counter
+     */
+    markAllRead() {
+        this.unreadCount = 0;
+        this.updateUnreadBadge();
+    }
+    
+    /**
+     * Show the number of unread messages next to the panel title
+     */
+    updateUnreadBadge() {
+        if (!this.chatUnread) {
+            return;
+        }
+        
+        this.chatUnread.textContent = this.unreadCount > 99 ? '99+' : String(this.unreadCount);
+        this.chatUnread.style.display = this.unreadCount > 0 ? 'inline-block' : 'none';
+    }
+    
+    /**
+     * Enable or disable sending
+     * @param {boolean} enabled Whether the user is in a session
+     */
+    setEnabled(enabled) {
+        if (!this.chatInput) {
+            return;
+        }
+        
+        this.chatInput.disabled = !enabled;
+        this.chatSendBtn.disabled = !enabled || !this.chatInput.value.trim();
+    }
+}
+
+// Create global chat manager instance
+window.chatManager = new ChatManager();
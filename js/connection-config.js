@@ -0,0 +1,422 @@
+/**
+ * Connection Config for DAW Collaboration Tool
+ * Resolves the signaling server and ICE settings used by PeerManager
+ */
+
+class ConnectionConfig {
+    constructor() {
+        // Default settings use the public PeerJS cloud and Google STUN servers
+        this.defaults = {
+            host: '',
+            port: '',
+            path: '/',
+            key: 'peerjs',
+            secure: true,
+            iceServers: [
+                { urls: 'stun:stun.l.google.com:19302' },
+                { urls: 'stun:stun1.l.google.com:19302' },
+                { urls: 'stun:stun2.l.google.com:19302' },
+                { urls: 'stun:stun3.l.google.com:19302' }
+            ],
+            // TURN relays, with static credentials or time-limited ones issued by a server
+            turnUrls: [],
+            turnUsername: '',
+            turnCredential: '',
+            turnCredentialUrl: '',
+            forceRelay: false
+        };
+
+        // Where each layer of settings comes from, lowest priority first
+        this.configFileUrl = 'config.json';
+        this.storageKey = 'daw-connection-config';
+
+        // URL parameters that carry signaling settings in share links
+        this.urlParams = {
+            host: 'peerHost',
+            port: 'peerPort',
+            path: 'peerPath',
+            key: 'peerKey',
+            secure: 'peerSecure',
+            iceServers: 'iceServers'
+        };
+
+        // When the TURN entries built from fetched credentials expire (ms since epoch)
+        this.turnExpiry = new WeakMap();
+
+        this.fileSettings = {};
+        this.savedSettings = this.loadSavedSettings();
+        this.urlSettings = this.readUrlSettings();
+        this.settings = this.merge();
+
+        // Resolves once the optional config file has been read
+        this.ready = this.loadConfigFile();
+    }
+
+    /**
+     * Load the optional config file served next to index.html
+     * @returns {Promise} Promise that resolves with the merged settings
+     */
+    async loadConfigFile() {
+        try {
+            const response = await fetch(this.configFileUrl, { cache: 'no-store' });
+            if (response.ok) {
+                this.fileSettings = this.normalize(await response.json());
+                this.settings = this.merge();
+                utils.log(`Loaded connection settings from ${this.configFileUrl}`);
+            }
+        } catch (error) {
+            // No config file (or opened from file://) - defaults apply
+            utils.log(`No connection config file loaded: ${error.message}`);
+        }
+
+        return this.settings;
+    }
+
+    /**
+     * Load settings saved from the settings panel
+     * @returns {Object} The saved settings
+     */
+    loadSavedSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                return {};
+            }
+
+            // Earlier versions kept a TURN shared secret here; it must not stay on the client
+            const parsed = JSON.parse(saved);
+            if (parsed.turnSecret !== undefined || parsed.turnTtl !== undefined) {
+                delete parsed.turnSecret;
+                delete parsed.turnTtl;
+                localStorage.setItem(this.storageKey, JSON.stringify(parsed));
+            }
+            return this.normalize(parsed);
+        } catch (error) {
+            console.warn(`Ignoring invalid saved connection settings: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Read signaling settings from the page URL
+     * @returns {Object} The settings found in the URL
+     */
+    readUrlSettings() {
+        const params = new URL(window.location.href).searchParams;
+        const raw = {};
+
+        for (const [name, param] of Object.entries(this.urlParams)) {
+            if (params.has(param)) {
+                raw[name] = params.get(param);
+            }
+        }
+
+        return this.normalize(raw);
+    }
+
+    /**
+     * Normalize a partial settings object from any source
+     * @param {Object} raw The raw settings
+     * @returns {Object} Settings with consistent types
+     */
+    normalize(raw) {
+        const settings = {};
+        if (!raw || typeof raw !== 'object') {
+            return settings;
+        }
+
+        if (raw.host !== undefined) settings.host = String(raw.host).trim();
+        if (raw.port !== undefined) settings.port = String(raw.port).trim();
+        if (raw.path !== undefined) settings.path = String(raw.path).trim() || '/';
+        if (raw.key !== undefined) settings.key = String(raw.key).trim() || 'peerjs';
+        if (raw.secure !== undefined) {
+            settings.secure = raw.secure === true || raw.secure === 'true' || raw.secure === '1';
+        }
+        if (raw.iceServers !== undefined) {
+            settings.iceServers = this.parseIceServers(raw.iceServers);
+        }
+        if (raw.turnUrls !== undefined) {
+            settings.turnUrls = this.parseIceServers(raw.turnUrls)
+                .flatMap(server => (Array.isArray(server.urls) ? server.urls : [server.urls]));
+        }
+        if (raw.turnUsername !== undefined) settings.turnUsername = String(raw.turnUsername).trim();
+        if (raw.turnCredential !== undefined) settings.turnCredential = String(raw.turnCredential);
+        if (raw.turnCredentialUrl !== undefined) settings.turnCredentialUrl = String(raw.turnCredentialUrl).trim();
+        if (raw.forceRelay !== undefined) {
+            settings.forceRelay = raw.forceRelay === true || raw.forceRelay === 'true' || raw.forceRelay === '1';
+        }
+
+        return settings;
+    }
+
+    /**
+     * Parse an ICE server list from an array or a comma/newline separated string
+     * @param {Array|string} value The ICE server list
+     * @returns {Array} RTCIceServer objects
+     */
+    parseIceServers(value) {
+        if (Array.isArray(value)) {
+            return value
+                .map(server => (typeof server === 'string' ? { urls: server } : server))
+                .filter(server => server && server.urls);
+        }
+
+        return String(value)
+            .split(/[\s,]+/)
+            .map(url => url.trim())
+            .filter(url => url.length > 0)
+            .map(url => ({ urls: url }));
+    }
+
+    /**
+     * Merge all settings layers: defaults < config file < saved < URL
+     * @returns {Object} The effective settings
+     */
+    merge() {
+        const settings = Object.assign({}, this.defaults, this.fileSettings, this.savedSettings, this.urlSettings);
+
+        // The settings panel and share links only hold plain URLs, so the config file's servers with
+        // credentials always apply; a later layer replaces one only by listing the same URL
+        const listed = new Set(settings.iceServers.flatMap(server => [].concat(server.urls)));
+        const credentialed = this.getCredentialedIceServers(this.fileSettings.iceServers || [])
+            .filter(server => ![].concat(server.urls).some(url => listed.has(url)));
+        settings.iceServers = settings.iceServers.concat(credentialed);
+        return settings;
+    }
+
+    /**
+     * Get the ICE servers that carry a username or credential
+     * @param {Array} iceServers RTCIceServer objects
+     * @returns {Array} The servers with credentials
+     */
+    getCredentialedIceServers(iceServers = this.settings.iceServers) {
+        return iceServers.filter(server => server.username || server.credential);
+    }
+
+    /**
+     * Validate the effective settings
+     * @param {Object} settings The settings to check
+     * @returns {Array} List of problems, empty if valid
+     */
+    validate(settings = this.settings) {
+        const problems = [];
+
+        if (settings.port && !/^\d+$/.test(settings.port)) {
+            problems.push(`Signaling port "${settings.port}" is not a number`);
+        }
+        if (settings.host && /[\/:]/.test(settings.host)) {
+            problems.push(`Signaling host "${settings.host}" should be a hostname without scheme, port or path`);
+        }
+        if (!settings.path.startsWith('/')) {
+            problems.push(`Signaling path "${settings.path}" must start with "/"`);
+        }
+        settings.iceServers.forEach(server => {
+            const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+            urls.forEach(url => {
+                if (!/^(stun|stuns|turn|turns):/.test(url)) {
+                    problems.push(`ICE server "${url}" must start with stun:, stuns:, turn: or turns:`);
+                }
+            });
+        });
+        settings.turnUrls.forEach(url => {
+            if (!/^(turn|turns):/.test(url)) {
+                problems.push(`TURN server "${url}" must start with turn: or turns:`);
+            }
+        });
+        if (settings.turnUrls.length > 0 && !this.hasTurnCredentials(settings)) {
+            problems.push('TURN servers need a username and credential, or a credential URL');
+        }
+        const hasTurnServer = settings.turnUrls.length > 0 || !!settings.turnCredentialUrl ||
+            settings.iceServers.some(server => [].concat(server.urls).some(url => /^turns?:/.test(url)));
+        if (settings.forceRelay && !hasTurnServer) {
+            problems.push('Force relay needs at least one TURN server');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Whether any kind of TURN credential is configured
+     * @param {Object} settings The settings to check
+     * @returns {boolean} True if credentials are available
+     */
+    hasTurnCredentials(settings = this.settings) {
+        return !!((settings.turnUsername && settings.turnCredential) || settings.turnCredentialUrl);
+    }
+
+    /**
+     * Save settings from the settings panel
+     * @param {Object} values The settings to save
+     * @returns {Object} The effective settings
+     */
+    save(values) {
+        const normalized = this.normalize(values);
+        const problems = this.validate(Object.assign({}, this.defaults, normalized));
+        if (problems.length > 0) {
+            throw new Error(problems.join('. '));
+        }
+
+        this.savedSettings = normalized;
+        localStorage.setItem(this.storageKey, JSON.stringify(normalized));
+
+        // Settings saved explicitly win over the ones from the link
+        this.urlSettings = {};
+        this.settings = this.merge();
+        utils.log(`Connection settings saved: ${this.describeServer()}`);
+        return this.settings;
+    }
+
+    /**
+     * Clear saved settings and fall back to config file/defaults
+     * @returns {Object} The effective settings
+     */
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.savedSettings = {};
+        this.urlSettings = {};
+        this.settings = this.merge();
+        utils.log('Connection settings reset');
+        return this.settings;
+    }
+
+    /**
+     * Whether a self-hosted signaling server is configured
+     * @returns {boolean} True if not using the PeerJS cloud
+     */
+    isCustomServer() {
+        return !!this.settings.host;
+    }
+
+    /**
+     * Describe the signaling server for logs and error messages
+     * @returns {string} Human readable server address
+     */
+    describeServer() {
+        if (!this.isCustomServer()) {
+            return 'PeerJS cloud server';
+        }
+
+        const { host, port, path, secure } = this.settings;
+        const scheme = secure ? 'wss' : 'ws';
+        return `${scheme}://${host}${port ? `:${port}` : ''}${path}`;
+    }
+
+    /**
+     * Build the TURN entry for the ICE server list
+     * Time-limited credentials follow the TURN REST API convention that coturn accepts with
+     * --use-auth-secret. The server holding the shared secret issues them; the browser never sees it.
+     * @returns {Promise} Promise that resolves with an RTCIceServer or null
+     */
+    async getTurnServer() {
+        const { turnUrls, turnUsername, turnCredential, turnCredentialUrl } = this.settings;
+        if (turnUrls.length === 0 && !turnCredentialUrl) {
+            return null;
+        }
+
+        // Credentials issued by a server endpoint
+        if (turnCredentialUrl) {
+            const response = await fetch(turnCredentialUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`TURN credential request to ${turnCredentialUrl} failed (HTTP ${response.status})`);
+            }
+            const issued = await response.json();
+            const expires = issued.ttl ? ` (valid ${issued.ttl}s)` : '';
+            utils.log(`Fetched TURN credentials for ${issued.username}${expires}`);
+            const turnServer = {
+                urls: issued.uris || issued.urls || turnUrls,
+                username: issued.username,
+                credential: issued.password || issued.credential
+            };
+            if (issued.ttl > 0) {
+                this.turnExpiry.set(turnServer, Date.now() + issued.ttl * 1000);
+            }
+            return turnServer;
+        }
+
+        return { urls: turnUrls, username: turnUsername, credential: turnCredential };
+    }
+
+    /**
+     * Find when the first fetched TURN credentials in an ICE server list expire
+     * @param {Array} iceServers An ICE server list built by getPeerOptions
+     * @returns {number|null} The expiry time (ms since epoch), or null if nothing in the list expires
+     */
+    getTurnExpiry(iceServers) {
+        const expiries = iceServers.filter(server => this.turnExpiry.has(server)).map(server => this.turnExpiry.get(server));
+        return expiries.length > 0 ? Math.min(...expiries) : null;
+    }
+
+    /**
+     * Fetch new TURN credentials and put them in place of the expiring ones in an ICE server list
+     * @param {Array} iceServers An ICE server list built by getPeerOptions
+     * @returns {Promise} Promise that resolves with the updated list
+     */
+    async refreshTurnServer(iceServers) {
+        const turnServer = await this.getTurnServer();
+        const others = iceServers.filter(server => !this.turnExpiry.has(server));
+        return turnServer ? others.concat(turnServer) : others;
+    }
+
+    /**
+     * Build the options object passed to the Peer constructor
+     * @returns {Promise} Promise that resolves with the PeerJS options
+     */
+    async getPeerOptions() {
+        const iceServers = this.settings.iceServers.slice();
+        const turnServer = await this.getTurnServer();
+        if (turnServer) {
+            iceServers.push(turnServer);
+        }
+
+        const options = {
+            debug: 2,
+            config: {
+                iceServers: iceServers,
+                iceTransportPolicy: this.settings.forceRelay ? 'relay' : 'all',
+                bundlePolicy: 'max-bundle',
+                rtcpMuxPolicy: 'require',
+                iceCandidatePoolSize: 10  // Faster connection establishment
+            }
+        };
+
+        if (this.isCustomServer()) {
+            options.host = this.settings.host;
+            options.path = this.settings.path;
+            options.key = this.settings.key;
+            options.secure = this.settings.secure;
+            if (this.settings.port) {
+                options.port = parseInt(this.settings.port);
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Add the signaling settings to a share URL so every peer uses the same server
+     * @param {URL} url The URL to update
+     */
+    applyToUrl(url) {
+        Object.values(this.urlParams).forEach(param => url.searchParams.delete(param));
+
+        if (this.isCustomServer()) {
+            url.searchParams.set(this.urlParams.host, this.settings.host);
+            if (this.settings.port) url.searchParams.set(this.urlParams.port, this.settings.port);
+            url.searchParams.set(this.urlParams.path, this.settings.path);
+            url.searchParams.set(this.urlParams.key, this.settings.key);
+            url.searchParams.set(this.urlParams.secure, this.settings.secure ? '1' : '0');
+        }
+
+        // Only share the ICE list when it differs from the defaults. Servers with credentials stay out
+        // of the link; joiners load them from the same config file
+        const credentialed = this.getCredentialedIceServers();
+        const plain = this.settings.iceServers.filter(server => !credentialed.includes(server));
+        if (JSON.stringify(plain) !== JSON.stringify(this.defaults.iceServers)) {
+            const urls = plain.flatMap(server => (Array.isArray(server.urls) ? server.urls : [server.urls]));
+            url.searchParams.set(this.urlParams.iceServers, urls.join(','));
+        }
+    }
+}
+
+// Create global connection config instance
+window.connectionConfig = new ConnectionConfig();
@@ -0,0 +1,246 @@
+/**
+ * Diagnostics for DAW Collaboration Tool
+ * Collects the state of the app into one JSON file that users can attach to a support request
+ */
+
+class Diagnostics {
+    constructor() {
+        this.errors = []; // Uncaught errors and rejections, which never reach utils.log
+        this.maxErrors = 200;
+        
+        window.addEventListener('error', (event) => {
+            this.recordError(event.message, event.error && event.error.stack);
+        });
+        window.addEventListener('unhandledrejection', (event) => {
+            const reason = event.reason;
+            this.recordError(reason && reason.message ? reason.message : String(reason), reason && reason.stack);
+        });
+    }
+    
+    /**
+     * Look up the export button and attach its event listener
+     */
+    initialize() {
+        this.exportBtn = utils.$('#exportDiagnosticsBtn');
+        this.exportBtn.addEventListener('click', () => this.export());
+    }
+    
+    /**
+     * Keep an uncaught error for the export
+     * @param {string} message The error message
+     * @param {string} stack The stack trace, if any
+     */
+    recordError(message, stack) {
+        this.errors.push({ time: new Date().toISOString(), message: message, stack: stack || null });
+        if (this.errors.length > this.maxErrors) {
+            this.errors.shift();
+        }
+    }
+    
+    /**
+     * Collect everything into one object
+     * Passphrases, keys, TURN credentials and IP addresses are left out.
+     * @returns {Promise} Promise that resolves with the diagnostics
+     */
+    async collect() {
+        const peerIds = new Set(Object.keys(peerManager.connections)
+            .concat(Object.keys(peerManager.calls), peerManager.roster)
+            .filter(peerId => peerId !== peerManager.peerId));
+        
+        const peers = [];
+        for (const peerId of peerIds) {
+            peers.push(await this.collectPeer(peerId));
+        }
+        
+        return {
+            generatedAt: new Date().toISOString(),
+            appVersion: typeof app !== 'undefined' ? app.version : null,
+            browser: Object.assign(utils.getBrowserInfo(), {
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                language: navigator.language,
+                hardwareConcurrency: navigator.hardwareConcurrency || null,
+                deviceMemory: navigator.deviceMemory || null,
+                webRTC: utils.isWebRTCSupported(),
+                webAudio: utils.isWebAudioSupported()
+            }),
+            audio: this.collectAudio(),
+            session: {
+                peerId: peerManager.peerId,
+                sessionId: peerManager.sessionId,
+                hostId: peerManager.hostId,
+                isHost: peerManager.isHost,
+                isConnected: peerManager.isConnected,
+                role: peerManager.role,
+                roster: peerManager.roster.slice(),
+                passphraseSet: !!peerManager.passphrase,
+                encryption: e2eeManager.enabled,
+                profile: profileManager.getProfile()
+            },
+            connection: {
+                signalingServer: connectionConfig.describeServer(),
+                iceServers: connectionConfig.settings.iceServers.map(server => server.urls),
+                turnServers: connectionConfig.settings.turnUrls.slice(),
+                turnCredentialsConfigured: connectionConfig.hasTurnCredentials(),
+                forceRelay: connectionConfig.settings.forceRelay
+            },
+            peers: peers,
+            qualityThresholds: qualityThresholds.settings,
+            qualityHistory: qualityScore.history,
+            statsHistory: statsHistory.toJson(),
+            log: utils.getLogHistory(),
+            errors: this.errors.slice()
+        };
+    }
+    
+    /**
+     * Collect the audio settings, the AudioContext and the input tracks
+     * @returns {Object} The audio state
+     */
+    collectAudio() {
+        const context = audioManager.audioContext;
+        const stream = audioManager.getLocalStream();
+        
+        return {
+            settings: audioManager.getAudioSettings(),
+            sendBitrateRange: Object.assign({}, audioManager.sendBitrateRange),
+            sendMuted: audioManager.sendMuted,
+            deafened: audioManager.deafened,
+            context: context ? {
+                state: context.state,
+                sampleRate: context.sampleRate,
+                baseLatency: context.baseLatency !== undefined ? context.baseLatency : null,
+                outputLatency: context.outputLatency !== undefined ? context.outputLatency : null,
+                currentTime: context.currentTime
+            } : null,
+            // The same track details debugAudioInput logs
+            inputTracks: stream ? stream.getAudioTracks().map(track => ({
+                label: track.label,
+                enabled: track.enabled,
+                muted: track.muted,
+                readyState: track.readyState,
+                constraints: track.getConstraints ? track.getConstraints() : null,
+                settings: track.getSettings ? track.getSettings() : null
+            })) : [],
+            remoteStreams: Object.keys(audioManager.remoteStreams)
+        };
+    }
+    
+    /**
+     * Collect one peer's connection state, ICE candidates and measurements
+     * @param {string} peerId The peer ID
+     * @returns {Promise} Promise that resolves with the peer's state
+     */
+    async collectPeer(peerId) {
+        const conn = peerManager.connections[peerId];
+        const call = peerManager.calls[peerId];
+        const peerConnection = call ? call.peerConnection : null;
+        const pair = peerManager.candidatePairs[peerId];
+        const stats = latencyMonitor.getStats(peerId);
+        const jitterBuffer = peerManager.jitterBuffers[peerId];
+        const controller = peerManager.bitrateControllers[peerId];
+        
+        return {
+            peerId: peerId,
+            name: profileManager.getDisplayName(peerId),
+            role: peerManager.peerRoles[peerId] || null,
+            state: peerManager.peerStates[peerId] || null,
+            admitted: peerManager.approvedPeers.has(peerId),
+            reconnecting: !!peerManager.reconnecting[peerId],
+            dataChannel: conn ? { open: conn.open, bufferedAmount: conn.dataChannel ? conn.dataChannel.bufferedAmount : null } : null,
+            call: peerConnection ? {
+                connectionState: peerConnection.connectionState,
+                iceConnectionState: peerConnection.iceConnectionState,
+                iceGatheringState: peerConnection.iceGatheringState,
+                signalingState: peerConnection.signalingState
+            } : null,
+            selectedCandidatePair: pair ? {
+                localType: pair.localType,
+                remoteType: pair.remoteType,
+                protocol: pair.protocol,
+                relayProtocol: pair.relayProtocol
+            } : null,
+            candidates: peerConnection ? await this.collectCandidates(peerConnection) : null,
+            stats: {
+                rtt: stats.rtt,
+                jitter: stats.jitter,
+                packetLoss: stats.packetLoss,
+                concealment: stats.concealment,
+                sources: stats.sources,
+                measured: stats.measured,
+                reported: stats.reported
+            },
+            quality: latencyMonitor.getQuality(peerId),
+            score: qualityScore.getScore(peerId),
+            clock: latencyMonitor.getClock(peerId),
+            acoustic: latencyMonitor.getAcousticResult(peerId),
+            playout: jitterBuffer ? {
+                overrideMs: jitterBuffer.overrideMs,
+                targetMs: jitterBuffer.targetMs,
+                appliedMs: jitterBuffer.appliedMs,
+                method: jitterBuffer.method,
+                networkMs: jitterBuffer.networkMs,
+                effectiveMs: jitterBuffer.effectiveMs
+            } : null,
+            sendBitrate: controller ? {
+                bitrate: controller.bitrate,
+                measuredBitrate: controller.measuredBitrate
+            } : null,
+            encryption: e2eeManager.peerStatus[peerId] || null
+        };
+    }
+    
+    /**
+     * List the ICE candidates gathered on both sides, without their addresses
+     * @param {RTCPeerConnection} peerConnection The peer connection
+     * @returns {Promise} Promise that resolves with { local, remote, pairs }
+     */
+    async collectCandidates(peerConnection) {
+        const result = { local: [], remote: [], pairs: {} };
+        try {
+            const stats = await peerConnection.getStats();
+            stats.forEach(report => {
+                if (report.type === 'local-candidate' || report.type === 'remote-candidate') {
+                    (report.type === 'local-candidate' ? result.local : result.remote).push({
+                        type: report.candidateType || null,
+                        protocol: report.protocol || null,
+                        relayProtocol: report.relayProtocol || null,
+                        networkType: report.networkType || null
+                    });
+                } else if (report.type === 'candidate-pair') {
+                    result.pairs[report.state] = (result.pairs[report.state] || 0) + 1;
+                }
+            });
+        } catch (error) {
+            result.error = error.message;
+        }
+        return result;
+    }
+    
+    /**
+     * Collect the diagnostics and download them as a JSON file
+     * @returns {Promise} Promise that resolves once the download has started
+     */
+    async export() {
+        if (this.exportBtn) {
+            this.exportBtn.disabled = true;
+        }
+        
+        try {
+            const diagnostics = await this.collect();
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            utils.downloadFile(`daw-collab-diagnostics-${stamp}.json`, JSON.stringify(diagnostics, null, 2), 'application/json');
+            utils.log(`Exported diagnostics (${diagnostics.peers.length} peers, ${diagnostics.log.length} log entries)`);
+        } catch (error) {
+            utils.log(`Could not export diagnostics: ${error.message}`);
+            utils.showNotification(`Could not export diagnostics: ${error.message}`, 'error');
+        } finally {
+            if (this.exportBtn) {
+                this.exportBtn.disabled = false;
+            }
+        }
+    }
+}
+
+// Create a global instance
+window.diagnostics = new Diagnostics();
@@ -0,0 +1,312 @@
+/**
+ * E2EE Manager for DAW Collaboration Tool
+ * End-to-end encrypted audio with a key derived from the session passphrase
+ */
+
+class E2eeManager {
+    constructor() {
+        this.workerUrl = 'js/workers/e2ee-worker.js';
+        this.iterations = 100000; // PBKDF2 iterations for deriving the key
+        this.rotationDelay = 1000; // Time for every peer to install a new key before we send with it (ms)
+        this.errorSeconds = 3; // Seconds of undecryptable audio before reporting a key mismatch
+        
+        this.enabled = false;
+        this.requested = false; // The user asked to join only encrypted sessions
+        this.mode = this.detectMode(); // 'script-transform', 'insertable-streams' or null
+        this.worker = null;
+        this.passphrase = '';
+        this.sessionId = null;
+        this.epoch = 0; // Incremented on every key rotation
+        this.salt = null; // Salt of the current epoch
+        this.pending = null; // Key derivation in progress
+        this.peerStatus = {}; // Decryption state by peer ID
+        this.attached = new WeakSet(); // Senders and receivers with a transform
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Register the key rotation message with the message protocol
+     */
+    registerMessageHandlers() {
+        // Only the host rotates the key; anyone else could split the session by sending each peer a different salt
+        messageProtocol.register('e2ee-key', { epoch: 'number', salt: 'string' }, (data, conn) => {
+            if (conn.peer !== peerManager.hostId) {
+                utils.log(`Ignoring an encryption key from ${profileManager.getLogName(conn.peer)}: only the host rotates keys`);
+                return;
+            }
+            if (!this.enabled || data.epoch <= this.epoch) {
+                return;
+            }
+            utils.log(`Encryption key rotated by ${profileManager.getLogName(conn.peer)} (epoch ${data.epoch})`);
+            return this.setEpoch(data.epoch, data.salt);
+        });
+    }
+    
+    /**
+     * Find which encoded transform API the browser offers
+     * @returns {string|null} 'script-transform', 'insertable-streams' or null
+     */
+    detectMode() {
+        if (!window.Worker || !window.crypto || !crypto.subtle) {
+            return null;
+        }
+        if (window.RTCRtpScriptTransform) {
+            return 'script-transform';
+        }
+        if (window.RTCRtpSender && 'createEncodedStreams' in RTCRtpSender.prototype) {
+            return 'insertable-streams';
+        }
+        return null;
+    }
+    
+    /**
+     * Turn on encryption for the session
+     * @param {string} passphrase The session passphrase
+     * @param {string} sessionId The session ID (salts the first key)
+     * @param {Object} keyInfo { epoch, salt } of the current key, when joining a running session
+     * @returns {Promise} Promise that resolves once the key is installed
+     */
+    async enable(passphrase, sessionId, keyInfo = null) {
+        if (!this.mode) {
+            throw new Error('This browser cannot encrypt audio end to end. Try a current Chrome, Edge, Firefox or Safari.');
+        }
+        if (!passphrase) {
+            throw new Error('End-to-end encryption needs a session passphrase');
+        }
+        
+        const epoch = keyInfo ? keyInfo.epoch : 0;
+        const salt = keyInfo ? keyInfo.salt : sessionId;
+        if (this.enabled && this.sessionId === sessionId && this.epoch >= epoch) {
+            return this.pending; // Already on (possibly still deriving)
+        }
+        
+        this.passphrase = passphrase;
+        this.sessionId = sessionId;
+        this.enabled = true;
+        
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        }
+        
+        // createEncodedStreams only works on connections created with this flag
+        if (this.mode === 'insertable-streams' && peerManager.peer) {
+            peerManager.peer.options.config.encodedInsertableStreams = true;
+        }
+        
+        utils.log(`End-to-end encryption on (${this.mode})`);
+        this.pending = this.setEpoch(epoch, salt, true);
+        return this.pending;
+    }
+    
+    /**
+     * Turn encryption off and forget the keys
+     */
+    disable() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (peerManager.peer && peerManager.peer.options.config) {
+            delete peerManager.peer.options.config.encodedInsertableStreams;
+        }
+        
+        this.enabled = false;
+        this.passphrase = '';
+        this.sessionId = null;
+        this.epoch = 0;
+        this.salt = null;
+        this.pending = null;
+        this.peerStatus = {};
+        this.attached = new WeakSet();
+    }
+    
+    /**
+     * Get the current key epoch and salt, for peers joining the session
+     * @returns {Object|null} { epoch, salt }, or null if encryption is off
+     */
+    getKeyInfo() {
+        return this.enabled ? { epoch: this.epoch, salt: this.salt } : null;
+    }
+    
+    /**
+     * Derive the AES-GCM key for a salt from the passphrase
+     * @param {string} salt The salt
+     * @returns {Promise} Promise that resolves with the CryptoKey
+     */
+    async deriveKey(salt) {
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', encoder.encode(this.passphrase), 'PBKDF2', false, ['deriveKey']);
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: encoder.encode(`daw-e2ee:${salt}`), iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Install the key for an epoch and start sending with it
+     * New keys are accepted for decryption at once but used for sending only after a short delay,
+     * so peers that receive the rotation a little later can still decrypt us
+     * @param {number} epoch The key epoch
+     * @param {string} salt The salt of the epoch
+     * @param {boolean} immediate Send with the key right away (first key)
+     * @returns {Promise} Promise that resolves once the key is installed
+     */
+    async setEpoch(epoch, salt, immediate = false) {
+        const key = await this.deriveKey(salt);
+        if (!this.worker || epoch < this.epoch) {
+            return; // Disabled or superseded meanwhile
+        }
+        
+        this.epoch = epoch;
+        this.salt = salt;
+        
+        const keyIndex = epoch % 256;
+        this.worker.postMessage({ type: 'set-key', keyIndex: keyIndex, key: key });
+        
+        const useKey = () => {
+            if (this.worker && this.epoch === epoch) {
+                this.worker.postMessage({ type: 'set-send-key', keyIndex: keyIndex });
+            }
+        };
+        if (immediate) {
+            useKey();
+        } else {
+            setTimeout(useKey, this.rotationDelay);
+        }
+    }
+    
+    /**
+     * Replace the session key after a participant left (host only)
+     * The new salt only goes to the remaining participants, so the old key's holder cannot follow
+     * @returns {Promise} Promise that resolves once our side uses the new key
+     */
+    rotate() {
+        if (!this.enabled) {
+            return Promise.resolve();
+        }
+        
+        const epoch = this.epoch + 1;
+        const salt = utils.generateNonce();
+        utils.log(`Rotating the encryption key (epoch ${epoch})`);
+        
+        peerManager.sendToAllPeers({ type: 'e2ee-key', epoch: epoch, salt: salt });
+        return this.setEpoch(epoch, salt);
+    }
+    
+    /**
+     * Encrypt everything a sender sends
+     * @param {RTCRtpSender} sender The audio sender
+     * @param {string} peerId The ID of the remote peer
+     */
+    attachSender(sender, peerId) {
+        this.attach(sender, { operation: 'encrypt', peerId: peerId });
+    }
+    
+    /**
+     * Decrypt everything a receiver receives
+     * @param {RTCRtpReceiver} receiver The audio receiver
+     * @param {string} peerId The ID of the remote peer
+     */
+    attachReceiver(receiver, peerId) {
+        if (!this.peerStatus[peerId]) {
+            this.peerStatus[peerId] = { state: 'pending', badSeconds: 0 };
+            UIController.updateEncryptionStatus(peerId, 'pending');
+        }
+        this.attach(receiver, { operation: 'decrypt', peerId: peerId });
+    }
+    
+    /**
+     * Route a sender's or receiver's encoded frames through the worker
+     * @param {RTCRtpSender|RTCRtpReceiver} endpoint The sender or receiver
+     * @param {Object} options { operation, peerId }
+     */
+    attach(endpoint, options) {
+        if (!this.enabled || this.attached.has(endpoint)) {
+            return;
+        }
+        
+        try {
+            if (this.mode === 'script-transform') {
+                endpoint.transform = new RTCRtpScriptTransform(this.worker, options);
+            } else {
+                const streams = endpoint.createEncodedStreams();
+                this.worker.postMessage(
+                    Object.assign({ type: 'attach', readable: streams.readable, writable: streams.writable }, options),
+                    [streams.readable, streams.writable]
+                );
+            }
+            this.attached.add(endpoint);
+        } catch (e) {
+            utils.log(`Could not ${options.operation} audio for ${options.peerId}: ${e.message}`);
+            utils.showNotification(`End-to-end encryption failed for ${profileManager.getDisplayName(options.peerId)}`, 'error');
+        }
+    }
+    
+    /**
+     * Encrypt and decrypt the audio of a call
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    attachPeerConnection(peerConnection, peerId) {
+        if (!this.enabled) {
+            return;
+        }
+        
+        peerConnection.getTransceivers()
+            .filter(transceiver => transceiver.receiver.track && transceiver.receiver.track.kind === 'audio')
+            .forEach(transceiver => {
+                this.attachSender(transceiver.sender, peerId);
+                this.attachReceiver(transceiver.receiver, peerId);
+            });
+    }
+    
+    /**
+     * Turn the worker's decryption counts into a lock state per peer
+     * @param {Object} message { type: 'status', peerId, decrypted, failed }
+     */
+    handleWorkerMessage(message) {
+        if (message.type !== 'status') {
+            return;
+        }
+        
+        const status = this.peerStatus[message.peerId];
+        if (!status) {
+            return; // Peer has left
+        }
+        
+        if (message.decrypted > 0) {
+            status.badSeconds = 0;
+            if (status.state !== 'ok') {
+                status.state = 'ok';
+                utils.log(`Audio from ${profileManager.getLogName(message.peerId)} is end-to-end encrypted`);
+                UIController.updateEncryptionStatus(message.peerId, 'ok');
+            }
+        } else if (message.failed > 0 && ++status.badSeconds >= this.errorSeconds && status.state !== 'error') {
+            status.state = 'error';
+            const name = profileManager.getDisplayName(message.peerId);
+            utils.log(`Cannot decrypt audio from ${profileManager.getLogName(message.peerId)}: keys do not match`);
+            utils.showNotification(
+                `Cannot decrypt audio from ${name}. Your encryption keys do not match; check that you both use the same session passphrase.`,
+                'error'
+            );
+            UIController.updateEncryptionStatus(message.peerId, 'error');
+        }
+    }
+    
+    /**
+     * Forget a peer's decryption state once they have left
+     * @param {string} peerId The ID of the peer
+     */
+    forgetPeer(peerId) {
+        delete this.peerStatus[peerId];
+    }
+}
+
+// Create global E2EE manager instance
+window.e2eeManager = new E2eeManager();
@@ -0,0 +1,742 @@
+/**
+ * File Transfer Manager for DAW Collaboration Tool
+ * Sends stems and bounces to other participants over the data connections
+ */
+
+class FileTransferManager {
+    constructor() {
+        this.chunkSize = 15 * 1024; // Bytes per chunk, small enough that PeerJS does not split it again
+        this.highWaterMark = 1024 * 1024; // Stop queueing chunks while this much is buffered on a channel (bytes)
+        this.lowWaterMark = 256 * 1024; // Carry on once the buffer drains below this (bytes)
+        this.maxFileSize = 1024 * 1024 * 1024; // Receivers hold the whole file in memory
+        this.hashSliceSize = 4 * 1024 * 1024; // Bytes read at a time while hashing a file to send
+        this.renderInterval = 200; // Minimum time between progress bar updates (ms)
+        
+        this.transfers = {}; // Outgoing and incoming transfers by transfer ID
+        this.enabled = false;
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Look up the file panel elements and attach event listeners
+     */
+    initialize() {
+        this.fileInput = utils.$('#fileInput');
+        this.fileTargetSelect = utils.$('#fileTargetSelect');
+        this.fileSendBtn = utils.$('#fileSendBtn');
+        this.fileTransfers = utils.$('#fileTransfers');
+        
+        this.fileInput.addEventListener('change', () => this.updateSendButton());
+        this.fileTargetSelect.addEventListener('focus', () => this.updateTargets());
+        this.fileSendBtn.addEventListener('click', () => this.sendFromInput());
+        
+        this.updateTargets();
+    }
+    
+    /**
+     * Register the file transfer messages with the message protocol
+     */
+    registerMessageHandlers() {
+        // Sender announces a file, or re-announces it after a reconnect
+        messageProtocol.register('file-offer', {
+            transferId: 'string',
+            name: 'string',
+            size: 'number',
+            hash: 'string',
+            'mimeType?': 'string'
+        }, (data, conn) => this.handleOffer(data, conn));
+        
+        // Receiver asks for the file from a byte offset (0 to start, more to resume)
+        messageProtocol.register('file-resume', { transferId: 'string', offset: 'number' },
+            (data, conn) => this.handleResume(data, conn));
+        
+        messageProtocol.register('file-chunk', { transferId: 'string', offset: 'number', data: 'object' },
+            (data, conn) => this.handleChunk(data, conn));
+        
+        // Receiver reports whether the SHA-256 of what arrived matches the offer
+        messageProtocol.register('file-verified', { transferId: 'string', ok: 'boolean' },
+            (data, conn) => this.handleVerified(data, conn));
+        
+        // Either side gives up on a transfer
+        messageProtocol.register('file-cancel', { transferId: 'string', 'reason?': 'string' },
+            (data, conn) => this.handleCancel(data, conn));
+    }
+    
+    /**
+     * Send the file chosen in the file input to the selected participants
+     */
+    async sendFromInput() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        const target = this.fileTargetSelect.value;
+        const peerIds = target === 'all' ? this.getTargets() : this.getTargets().filter(peerId => peerId === target);
+        if (peerIds.length === 0) {
+            utils.showNotification('Nobody to send the file to', 'error');
+            return;
+        }
+        
+        this.fileInput.value = '';
+        this.updateSendButton();
+        
+        try {
+            await this.sendFile(file, peerIds);
+        } catch (error) {
+            utils.log(`Could not send ${file.name}: ${error.message}`);
+            utils.showNotification(`Could not send ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Offer a file to one or more participants
+     * @param {File} file The file to send
+     * @param {Array} peerIds The IDs of the recipients
+     * @returns {Promise} Promise that resolves once the file is offered
+     */
+    async sendFile(file, peerIds) {
+        if (file.size > this.maxFileSize) {
+            throw new Error(`files over ${utils.formatBytes(this.maxFileSize)} cannot be sent`);
+        }
+        
+        // One transfer per recipient so each progresses and resumes on its own
+        const transfers = peerIds.map(peerId => this.addTransfer({
+            id: `${peerManager.peerId}-${utils.generateRandomId(8)}`,
+            direction: 'send',
+            peerId: peerId,
+            file: file,
+            name: file.name,
+            size: file.size,
+            mimeType: file.type,
+            hash: null,
+            sent: 0,
+            state: 'hashing'
+        }));
+        
+        utils.log(`Hashing ${file.name} (${utils.formatBytes(file.size)})`);
+        let hash;
+        try {
+            const hasher = utils.createSha256();
+            for (let offset = 0; offset < file.size; offset += this.hashSliceSize) {
+                hasher.update(await file.slice(offset, offset + this.hashSliceSize).arrayBuffer());
+            }
+            hash = hasher.digestHex();
+        } catch (error) {
+            transfers.forEach(transfer => this.setState(transfer, 'failed', error.message));
+            throw error;
+        }
+        
+        transfers
+            .filter(transfer => transfer.state === 'hashing') // Not cancelled meanwhile
+            .forEach(transfer => {
+                transfer.hash = hash;
+                this.setState(transfer, 'offered');
+                this.sendOffer(transfer);
+                utils.log(`Offering ${file.name} (${utils.formatBytes(file.size)}) to ${profileManager.getLogName(transfer.peerId)}`);
+            });
+    }
+    
+    /**
+     * Announce an outgoing transfer to its recipient
+     * The recipient answers with the offset to send from
+     * @param {Object} transfer The outgoing transfer
+     */
+    sendOffer(transfer) {
+        messageProtocol.send(peerManager.connections[transfer.peerId], {
+            type: 'file-offer',
+            transferId: transfer.id,
+            name: transfer.name,
+            size: transfer.size,
+            hash: transfer.hash,
+            mimeType: transfer.mimeType || null
+        });
+    }
+    
+    /**
+     * Accept a file offer and ask for the file, or say how far we got if we already know it
+     * @param {Object} data The file-offer message
+     * @param {DataConnection} conn The data connection it arrived on
+     */
+    handleOffer(data, conn) {
+        const existing = this.transfers[data.transferId];
+        if (existing) {
+            if (existing.direction === 'receive' && existing.peerId === conn.peer) {
+                this.answerRepeatedOffer(existing, conn);
+            }
+            return;
+        }
+        
+        // Offers come from other peers, so nothing in them is trusted
+        const size = Math.floor(data.size);
+        if (!(size >= 0) || size > this.maxFileSize || !/^[0-9a-f]{64}$/.test(data.hash)) {
+            utils.log(`Refusing file ${data.name} from ${profileManager.getLogName(conn.peer)}: invalid size or hash`);
+            messageProtocol.send(conn, { type: 'file-cancel', transferId: data.transferId, reason: 'File refused: too large or invalid' });
+            return;
+        }
+        
+        const transfer = this.addTransfer({
+            id: data.transferId,
+            direction: 'receive',
+            peerId: conn.peer,
+            name: data.name.replace(/[\\/]/g, '_').slice(0, 255) || 'file',
+            size: size,
+            mimeType: typeof data.mimeType === 'string' ? data.mimeType.slice(0, 100) : '',
+            hash: data.hash,
+            chunks: [],
+            hasher: utils.createSha256(), // Fed as chunks arrive, so the file is never hashed in one piece
+            received: 0,
+            state: 'receiving'
+        });
+        
+        utils.log(`Receiving ${transfer.name} (${utils.formatBytes(size)}) from ${profileManager.getLogName(conn.peer)}`);
+        
+        if (size === 0) {
+            this.finishIncoming(transfer);
+        } else {
+            messageProtocol.send(conn, { type: 'file-resume', transferId: transfer.id, offset: 0 });
+        }
+    }
+    
+    /**
+     * Tell a sender where an offer it repeated after a reconnect stands on our side
+     * @param {Object} transfer The incoming transfer
+     * @param {DataConnection} conn The data connection to the sender
+     */
+    answerRepeatedOffer(transfer, conn) {
+        if (transfer.state === 'receiving' || transfer.state === 'paused') {
+            utils.log(`Resuming ${transfer.name} from ${profileManager.getLogName(conn.peer)} at ${utils.formatBytes(transfer.received)}`);
+            this.setState(transfer, 'receiving');
+            messageProtocol.send(conn, { type: 'file-resume', transferId: transfer.id, offset: transfer.received });
+        } else if (transfer.state === 'done') {
+            messageProtocol.send(conn, { type: 'file-verified', transferId: transfer.id, ok: true });
+        } else if (transfer.state !== 'verifying') {
+            messageProtocol.send(conn, { type: 'file-cancel', transferId: transfer.id, reason: transfer.error });
+        }
+    }
+    
+    /**
+     * Start or resume sending from the offset the recipient asked for
+     * @param {Object} data The file-resume message
+     * @param {DataConnection} conn The data connection it arrived on
+     */
+    handleResume(data, conn) {
+        const transfer = this.getTransfer(data.transferId, conn.peer, 'send');
+        if (!transfer) {
+            messageProtocol.send(conn, { type: 'file-cancel', transferId: data.transferId, reason: 'Unknown transfer' });
+            return;
+        }
+        if (this.isFinished(transfer)) {
+            return;
+        }
+        
+        transfer.sent = Math.max(0, Math.min(transfer.size, Math.floor(data.offset) || 0));
+        this.setState(transfer, 'sending');
+        this.pump(transfer);
+    }
+    
+    /**
+     * Send chunks until the file is done, the link drops or the transfer stops
+     * @param {Object} transfer The outgoing transfer
+     * @returns {Promise} Promise that resolves when sending stops
+     */
+    async pump(transfer) {
+        if (transfer.pumping) {
+            return; // The running loop picks up the new offset
+        }
+        transfer.pumping = true;
+        
+        try {
+            while (transfer.state === 'sending' && transfer.sent < transfer.size) {
+                const conn = peerManager.connections[transfer.peerId];
+                if (!conn || !conn.open) {
+                    this.setState(transfer, 'paused');
+                    return; // Resumed when the recipient is admitted again
+                }
+                
+                await this.waitForBuffer(conn);
+                if (transfer.state !== 'sending' || conn !== peerManager.connections[transfer.peerId]) {
+                    continue;
+                }
+                
+                const offset = transfer.sent;
+                const end = Math.min(transfer.size, offset + this.chunkSize);
+                const data = await transfer.file.slice(offset, end).arrayBuffer();
+                if (transfer.state !== 'sending' || transfer.sent !== offset) {
+                    continue; // Cancelled, or the recipient asked for another offset meanwhile
+                }
+                
+                if (!messageProtocol.send(conn, { type: 'file-chunk', transferId: transfer.id, offset: offset, data: data })) {
+                    continue;
+                }
+                transfer.sent = end;
+                this.renderTransfer(transfer);
+            }
+            
+            if (transfer.state === 'sending') {
+                this.setState(transfer, 'verifying');
+            }
+        } catch (error) {
+            utils.log(`Error sending ${transfer.name}: ${error.message}`);
+            this.cancel(transfer.id, `Could not read the file: ${error.message}`);
+        } finally {
+            transfer.pumping = false;
+        }
+    }
+    
+    /**
+     * Wait until a data channel has room for more chunks
+     * @param {DataConnection} conn The data connection
+     * @returns {Promise} Promise that resolves when the channel has drained enough
+     */
+    waitForBuffer(conn) {
+        const channel = conn.dataChannel;
+        
+        // PeerJS queues messages of its own once the channel is full
+        const buffered = () => channel.bufferedAmount + conn.bufferSize * this.chunkSize;
+        if (!channel || buffered() <= this.highWaterMark) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            const done = () => {
+                clearInterval(timer);
+                channel.removeEventListener('bufferedamountlow', done);
+                resolve();
+            };
+            
+            channel.bufferedAmountLowThreshold = this.lowWaterMark;
+            channel.addEventListener('bufferedamountlow', done);
+            
+            // The event does not cover PeerJS's own queue or a closed channel
+            const timer = setInterval(() => {
+                if (!conn.open || buffered() <= this.lowWaterMark) {
+                    done();
+                }
+            }, 100);
+        });
+    }
+    
+    /**
+     * Store an incoming chunk
+     * @param {Object} data The file-chunk message
+     * @param {DataConnection} conn The data connection it arrived on
+     */
+    handleChunk(data, conn) {
+        const transfer = this.getTransfer(data.transferId, conn.peer, 'receive');
+        if (!transfer || (transfer.state !== 'receiving' && transfer.state !== 'paused')) {
+            return;
+        }
+        if (!(data.data instanceof ArrayBuffer) || data.offset !== transfer.received) {
+            return; // Sent again after a resume, or not a chunk at all
+        }
+        
+        transfer.chunks.push(data.data);
+        transfer.hasher.update(data.data);
+        transfer.received += data.data.byteLength;
+        
+        if (transfer.received > transfer.size) {
+            this.cancel(transfer.id, 'Received more data than the offered size');
+            return;
+        }
+        
+        if (transfer.state === 'paused') {
+            this.setState(transfer, 'receiving');
+        } else {
+            this.renderTransfer(transfer);
+        }
+        
+        if (transfer.received === transfer.size) {
+            this.finishIncoming(transfer);
+        }
+    }
+    
+    /**
+     * Check an incoming file against its SHA-256 and offer it for download
+     * Errors end the transfer here, since callers do not wait for it.
+     * @param {Object} transfer The incoming transfer
+     */
+    finishIncoming(transfer) {
+        this.setState(transfer, 'verifying');
+        
+        let blob;
+        let hash;
+        try {
+            blob = new Blob(transfer.chunks, { type: transfer.mimeType || 'application/octet-stream' });
+            hash = transfer.hasher.digestHex();
+        } catch (error) {
+            utils.log(`Could not check ${transfer.name} from ${profileManager.getLogName(transfer.peerId)}: ${error.message}`);
+            this.setState(transfer, 'failed', `Could not check the file: ${error.message}`);
+            messageProtocol.send(peerManager.connections[transfer.peerId], {
+                type: 'file-cancel',
+                transferId: transfer.id,
+                reason: `The recipient could not check the file: ${error.message}`
+            });
+            return;
+        } finally {
+            transfer.chunks = null;
+            transfer.hasher = null;
+        }
+        
+        const ok = hash === transfer.hash;
+        messageProtocol.send(peerManager.connections[transfer.peerId], { type: 'file-verified', transferId: transfer.id, ok: ok });
+        
+        const sender = profileManager.getDisplayName(transfer.peerId);
+        if (ok) {
+            transfer.url = URL.createObjectURL(blob);
+            this.setState(transfer, 'done');
+            utils.log(`Received ${transfer.name} (${utils.formatBytes(transfer.size)}) from ${profileManager.getLogName(transfer.peerId)}, SHA-256 verified`);
+            utils.showNotification(`${sender} sent you ${transfer.name} (${utils.formatBytes(transfer.size)})`, 'info');
+        } else {
+            this.setState(transfer, 'failed', 'Integrity check failed');
+            utils.log(`${transfer.name} from ${profileManager.getLogName(transfer.peerId)} failed the SHA-256 check`);
+            utils.showNotification(`${transfer.name} from ${sender} arrived corrupted. Ask them to send it again.`, 'error');
+        }
+    }
+    
+    /**
+     * Record the recipient's integrity check result
+     * @param {Object} data The file-verified message
+     * @param {DataConnection} conn The data connection it arrived on
+     */
+    handleVerified(data, conn) {
+        const transfer = this.getTransfer(data.transferId, conn.peer, 'send');
+        if (!transfer || this.isFinished(transfer)) {
+            return;
+        }
+        
+        if (data.ok) {
+            this.setState(transfer, 'done');
+            utils.log(`${profileManager.getLogName(conn.peer)} received ${transfer.name}`);
+        } else {
+            this.setState(transfer, 'failed', 'Integrity check failed');
+            utils.showNotification(`${transfer.name} arrived corrupted at ${profileManager.getDisplayName(conn.peer)}. Try sending it again.`, 'error');
+        }
+    }
+    
+    /**
+     * Stop a transfer the other side cancelled
+     * @param {Object} data The file-cancel message
+     * @param {DataConnection} conn The data connection it arrived on
+     */
+    handleCancel(data, conn) {
+        const transfer = this.transfers[data.transferId];
+        if (!transfer || transfer.peerId !== conn.peer || this.isFinished(transfer)) {
+            return;
+        }
+        
+        const reason = data.reason || `Cancelled by ${profileManager.getDisplayName(conn.peer)}`;
+        utils.log(`Transfer of ${transfer.name} with ${profileManager.getLogName(conn.peer)} stopped: ${reason}`);
+        this.setState(transfer, 'cancelled', reason.slice(0, 200));
+    }
+    
+    /**
+     * Cancel a transfer and tell the other side
+     * @param {string} transferId The ID of the transfer
+     * @param {string} reason Why it was cancelled
+     */
+    cancel(transferId, reason = null) {
+        const transfer = this.transfers[transferId];
+        if (!transfer || this.isFinished(transfer)) {
+            return;
+        }
+        
+        messageProtocol.send(peerManager.connections[transfer.peerId], {
+            type: 'file-cancel',
+            transferId: transferId,
+            reason: reason
+        });
+        this.setState(transfer, 'cancelled', reason || 'Cancelled');
+        utils.log(`Transfer of ${transfer.name} with ${profileManager.getLogName(transfer.peerId)} cancelled`);
+    }
+    
+    /**
+     * Remove a finished transfer from the list and free its memory
+     * @param {string} transferId The ID of the transfer
+     */
+    dismiss(transferId) {
+        const transfer = this.transfers[transferId];
+        if (!transfer) {
+            return;
+        }
+        
+        this.cancel(transferId);
+        if (transfer.url) {
+            URL.revokeObjectURL(transfer.url);
+        }
+        if (transfer.element) {
+            transfer.element.remove();
+        }
+        delete this.transfers[transferId];
+    }
+    
+    /**
+     * Hold a peer's transfers while the link to them is re-established
+     * @param {string} peerId The ID of the peer
+     */
+    pausePeer(peerId) {
+        this.getPeerTransfers(peerId)
+            .filter(transfer => transfer.state !== 'hashing')
+            .forEach(transfer => this.setState(transfer, 'paused'));
+    }
+    
+    /**
+     * Pick up a peer's transfers once they are admitted again
+     * We re-offer what we were sending; the recipient answers with how much it already has
+     * @param {string} peerId The ID of the peer
+     */
+    resumePeer(peerId) {
+        this.getPeerTransfers(peerId)
+            .filter(transfer => transfer.direction === 'send' && transfer.state !== 'hashing')
+            .forEach(transfer => this.sendOffer(transfer));
+        this.updateTargets();
+    }
+    
+    /**
+     * Fail a peer's unfinished transfers once they have left
+     * @param {string} peerId The ID of the peer
+     */
+    forgetPeer(peerId) {
+        this.getPeerTransfers(peerId).forEach(transfer => {
+            transfer.chunks = null;
+            this.setState(transfer, 'failed', `${profileManager.getDisplayName(peerId)} left the session`);
+        });
+        this.updateTargets();
+    }
+    
+    /**
+     * Get a peer's unfinished transfers
+     * @param {string} peerId The ID of the peer
+     * @returns {Array} The transfers
+     */
+    getPeerTransfers(peerId) {
+        return Object.values(this.transfers).filter(transfer => transfer.peerId === peerId && !this.isFinished(transfer));
+    }
+    
+    /**
+     * Look up a transfer, checking it belongs to the peer that mentions it
+     * @param {string} transferId The ID of the transfer
+     * @param {string} peerId The ID of the peer
+     * @param {string} direction 'send' or 'receive'
+     * @returns {Object|null} The transfer
+     */
+    getTransfer(transferId, peerId, direction) {
+        const transfer = this.transfers[transferId];
+        return transfer && transfer.peerId === peerId && transfer.direction === direction ? transfer : null;
+    }
+    
+    /**
+     * Check whether a transfer has ended, one way or another
+     * @param {Object} transfer The transfer
+     * @returns {boolean} True if done, failed or cancelled
+     */
+    isFinished(transfer) {
+        return transfer.state === 'done' || transfer.state === 'failed' || transfer.state === 'cancelled';
+    }
+    
+    /**
+     * Track a new transfer and add it to the list
+     * @param {Object} transfer The transfer
+     * @returns {Object} The transfer
+     */
+    addTransfer(transfer) {
+        this.transfers[transfer.id] = transfer;
+        this.createTransferElement(transfer);
+        this.renderTransfer(transfer, true);
+        return transfer;
+    }
+    
+    /**
+     * Move a transfer to a new state
+     * @param {Object} transfer The transfer
+     * @param {string} state The new state
+     * @param {string} error What went wrong, for failed and cancelled transfers
+     */
+    setState(transfer, state, error = null) {
+        transfer.state = state;
+        transfer.error = error;
+        if (this.isFinished(transfer)) {
+            transfer.chunks = null;
+        }
+        this.renderTransfer(transfer, true);
+    }
+    
+    /**
+     * Create the list entry for a transfer
+     * @param {Object} transfer The transfer
+     */
+    createTransferElement(transfer) {
+        if (!this.fileTransfers) {
+            return; // Panel not initialized yet
+        }
+        
+        const entry = document.createElement('div');
+        entry.className = `file-transfer ${transfer.direction}`;
+        
+        const info = document.createElement('div');
+        info.className = 'file-transfer-info';
+        
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = transfer.name;
+        
+        // Sender or recipient and size
+        const meta = document.createElement('span');
+        meta.className = 'file-meta';
+        const other = profileManager.getDisplayName(transfer.peerId);
+        meta.textContent = `${transfer.direction === 'send' ? 'to' : 'from'} ${other} \u00b7 ${utils.formatBytes(transfer.size)}`;
+        meta.title = transfer.peerId;
+        
+        const status = document.createElement('span');
+        status.className = 'file-status';
+        
+        info.appendChild(name);
+        info.appendChild(meta);
+        info.appendChild(status);
+        
+        const progress = document.createElement('progress');
+        progress.max = Math.max(1, transfer.size);
+        progress.value = 0;
+        
+        const actions = document.createElement('div');
+        actions.className = 'file-actions';
+        
+        const download = document.createElement('a');
+        download.className = 'small-button file-download';
+        download.textContent = 'Download';
+        download.download = transfer.name;
+        download.style.display = 'none';
+        
+        // Cancels a running transfer; removes a finished one
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'small-button';
+        closeBtn.addEventListener('click', () => {
+            if (this.isFinished(transfer)) {
+                this.dismiss(transfer.id);
+            } else {
+                this.cancel(transfer.id);
+            }
+        });
+        
+        actions.appendChild(download);
+        actions.appendChild(closeBtn);
+        
+        entry.appendChild(info);
+        entry.appendChild(progress);
+        entry.appendChild(actions);
+        this.fileTransfers.appendChild(entry);
+        
+        transfer.element = entry;
+        transfer.elements = { status, progress, download, closeBtn };
+    }
+    
+    /**
+     * Show a transfer's state and progress
+     * @param {Object} transfer The transfer
+     * @param {boolean} force Render even if the last update was very recent
+     */
+    renderTransfer(transfer, force = false) {
+        if (!transfer.elements) {
+            return;
+        }
+        
+        // Progress changes with every chunk; redrawing that often is wasted work
+        const now = Date.now();
+        if (!force && now - (transfer.renderedAt || 0) < this.renderInterval) {
+            return;
+        }
+        transfer.renderedAt = now;
+        
+        const done = transfer.direction === 'send' ? transfer.sent : transfer.received;
+        const progressText = `${utils.formatBytes(done)} of ${utils.formatBytes(transfer.size)}`;
+        const labels = {
+            hashing: 'Computing checksum\u2026',
+            offered: 'Waiting for recipient\u2026',
+            sending: progressText,
+            receiving: progressText,
+            paused: `Paused at ${progressText}: reconnecting\u2026`,
+            verifying: 'Verifying\u2026',
+            done: transfer.direction === 'send' ? 'Delivered' : 'Verified',
+            failed: transfer.error || 'Failed',
+            cancelled: transfer.error || 'Cancelled'
+        };
+        
+        const { status, progress, download, closeBtn } = transfer.elements;
+        status.textContent = labels[transfer.state];
+        progress.value = transfer.state === 'done' ? progress.max : done;
+        transfer.element.classList.toggle('failed', transfer.state === 'failed' || transfer.state === 'cancelled');
+        closeBtn.textContent = this.isFinished(transfer) ? 'Dismiss' : 'Cancel';
+        
+        // Received files are offered for download once verified
+        if (transfer.url) {
+            download.href = transfer.url;
+            download.style.display = '';
+        }
+    }
+    
+    /**
+     * Get the participants files can be sent to
+     * @returns {Array} Peer IDs of admitted peers with an open data connection
+     */
+    getTargets() {
+        return Array.from(peerManager.approvedPeers).filter(peerId => {
+            const conn = peerManager.connections[peerId];
+            return conn && conn.open;
+        });
+    }
+    
+    /**
+     * Refresh the recipient dropdown with the current participants
+     */
+    updateTargets() {
+        if (!this.fileTargetSelect) {
+            return;
+        }
+        
+        const selected = this.fileTargetSelect.value;
+        this.fileTargetSelect.innerHTML = '';
+        
+        const everyone = document.createElement('option');
+        everyone.value = 'all';
+        everyone.textContent = 'Everyone';
+        this.fileTargetSelect.appendChild(everyone);
+        
+        this.getTargets().forEach(peerId => {
+            const option = document.createElement('option');
+            option.value = peerId;
+            option.textContent = profileManager.getDisplayName(peerId);
+            this.fileTargetSelect.appendChild(option);
+        });
+        
+        this.fileTargetSelect.value = Array.from(this.fileTargetSelect.options).some(option => option.value === selected)
+            ? selected
+            : 'all';
+    }
+    
+    /**
+     * Enable the send button only when there is a file to send
+     */
+    updateSendButton() {
+        this.fileSendBtn.disabled = !this.enabled || !this.fileInput.files.length;
+    }
+    
+    /**
+     * Enable or disable sending
+     * @param {boolean} enabled Whether the user is in a session
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!this.fileInput) {
+            return;
+        }
+        
+        this.fileInput.disabled = !enabled;
+        this.fileTargetSelect.disabled = !enabled;
+        this.updateTargets();
+        this.updateSendButton();
+    }
+}
+
+// Create global file transfer manager instance
+window.fileTransferManager = new FileTransferManager();
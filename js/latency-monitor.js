@@ -1,201 +1,435 @@
 /**
- * Replace the entire latency-monitor.js file with this simplified version
- * that uses a more direct approach to sharing statistics
- */
-
-/**
- * Simplified Latency Monitor for DAW Collaboration Tool
- * Uses direct data transfer for statistics sharing
+ * Latency Monitor for DAW Collaboration Tool
+ * Connection quality for each peer, measured with getStats on the peer's RTCPeerConnection
  */
 
 class LatencyMonitor {
     constructor() {
         this.updateIntervals = {}; // Store interval IDs by peer ID
-        this.fallbackValues = {}; // Store fallback values by peer ID
         this.updateInterval = 2000; // Update every 2 seconds (ms)
         
-        // Generate initial fallback values
-        this.generateFallbackValues();
+        this.measured = {}; // Our own getStats measurements by peer ID
+        this.reported = {}; // What each peer measured on its side, used where we measured nothing
+        this.counters = {}; // Packet and sample counters from the previous poll, for rates
+        
+        // Application-level ping/pong for RTT and clock offset
+        this.clockSamples = {}; // Recent { delay, offset, at } samples by peer ID
+        this.clocks = {}; // Current { rtt, offset, spread, samples, updatedAt } estimate by peer ID
+        this.maxClockSamples = 16; // Samples kept per peer
+        this.clockBurst = 5; // Pings sent quickly when monitoring starts, for a first estimate
+        this.pingTimeout = 2000; // Pings not answered by then are dropped (ms)
         
-        // Set up global message handler
-        this.setupGlobalMessageHandler();
+        this.acoustic = {}; // Latest acoustic round trip measurement by peer ID (see AcousticMeter)
+        
+        // Shown quality level by peer ID: { level, lastKnown, candidate, candidateSince }, see updateQuality
+        this.quality = {};
+        
+        // Handle statistics from peers
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Register the statistics message with the message protocol
+     */
+    registerMessageHandlers() {
+        // Each peer shares what it measured, so we have something when our own stats are missing
+        messageProtocol.register('stats-update', { stats: 'object' }, (data, conn) => {
+            this.reported[conn.peer] = this.sanitize(data.stats);
+            this.updateQuality(conn.peer);
+            this.updateLatencyDisplay(conn.peer);
+        });
+        
+        // Answer a ping with when it arrived and when we answered, on our clock
+        messageProtocol.register('clock-ping', { t1: 'number' }, () => {
+            const t2 = this.now();
+            return { t2: t2, t3: this.now() };
+        });
     }
     
     /**
-     * Generate reasonable fallback values
+     * Get the current time in milliseconds since the epoch, with sub-millisecond resolution
+     * @returns {number} The time
      */
-    generateFallbackValues() {
-        // Base values
-        const baseRtt = 30 + Math.floor(Math.random() * 20); // Between 30-50ms
-        const baseJitter = 5 + Math.floor(Math.random() * 5); // Between 5-10ms
+    now() {
+        return performance.timeOrigin + performance.now();
+    }
+    
+    /**
+     * Keep only finite numbers from stats a peer sent
+     * @param {Object} stats The stats from the peer
+     * @returns {Object} { rtt, jitter, packetLoss, concealment }, null where missing
+     */
+    sanitize(stats) {
+        const number = (value) => typeof value === 'number' && isFinite(value) && value >= 0 ? value : null;
+        return {
+            rtt: number(stats.rtt),
+            jitter: number(stats.jitter),
+            packetLoss: number(stats.packetLoss),
+            concealment: number(stats.concealment),
+            receivedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Start monitoring latency for a peer
+     * @param {string} peerId The peer ID to monitor
+     * @param {DataConnection} connection The data connection, used to share our measurements
+     */
+    startMonitoring(peerId, connection) {
+        console.log(`Starting latency monitoring for peer: ${peerId}`);
         
-        // Store these values
-        this.baseValues = { rtt: baseRtt, jitter: baseJitter };
+        // Stop any existing interval
+        if (this.updateIntervals[peerId]) {
+            clearInterval(this.updateIntervals[peerId]);
+        }
+        
+        this.updateIntervals[peerId] = setInterval(() => {
+            this.poll(peerId);
+            this.ping(peerId);
+        }, this.updateInterval);
         
-        console.log(`Generated base fallback values: RTT=${baseRtt}ms, Jitter=${baseJitter}ms`);
+        this.updateLatencyDisplay(peerId);
+        this.poll(peerId);
+        
+        // A quick burst of pings gives a usable clock estimate before the first interval
+        for (let i = 0; i < this.clockBurst; i++) {
+            setTimeout(() => this.ping(peerId), i * 200);
+        }
+        return true;
     }
-
-
+    
     /**
-     * Add this function to the LatencyMonitor class in latency-monitor.js
-     * This will add the missing refreshAll function that's being called
+     * Send one NTP-style ping and add the result to the peer's clock samples
+     * t1: we send, t2: the peer receives, t3: the peer answers, t4: we receive.
+     * The round trip excludes the peer's processing time: (t4 - t1) - (t3 - t2).
+     * The offset assumes the path takes as long each way: ((t2 - t1) + (t3 - t4)) / 2.
+     * @param {string} peerId The peer ID
+     * @returns {Promise} Promise that resolves once the ping is answered or has failed
      */
-    refreshAll() {
-        console.log('Refreshing all latency displays');
+    async ping(peerId) {
+        const conn = peerManager.connections[peerId];
+        if (!this.updateIntervals[peerId] || !conn || !conn.open) {
+            return;
+        }
         
-        if (!window.peerManager) {
-            return 'No peer manager available';
+        const t1 = this.now();
+        let result;
+        try {
+            result = await messageProtocol.request(conn, { type: 'clock-ping', t1: t1 }, this.pingTimeout);
+        } catch (error) {
+            console.log(`Clock ping to ${peerId} failed: ${error.message}`);
+            return;
         }
+        const t4 = this.now();
         
-        const peers = window.peerManager.getConnectedPeers();
-        console.log(`Found ${peers.length} connected peers to refresh`);
+        if (!result || typeof result.t2 !== 'number' || typeof result.t3 !== 'number' || !this.updateIntervals[peerId]) {
+            return;
+        }
         
-        if (peers.length === 0) {
-            return 'No connected peers found';
+        const delay = (t4 - t1) - (result.t3 - result.t2);
+        const offset = ((result.t2 - t1) + (result.t3 - t4)) / 2;
+        if (!isFinite(delay) || !isFinite(offset) || delay < 0) {
+            return;
         }
         
-        // Update each peer's latency display
-        peers.forEach(peerId => {
-            const latencyEl = document.getElementById(`latency-${peerId}`);
-            if (latencyEl) {
-                latencyEl.textContent = 'Updating...';
-                
-                // Use the existing updateLatencyStats function or fall back to updateLatencyDisplay
-                if (this.updateLatencyStats) {
-                    this.updateLatencyStats(peerId);
-                } else {
-                    // Get current values or defaults
-                    const values = this.fallbackValues[peerId] || { 
-                        rtt: this.baseValues.rtt,
-                        jitter: this.baseValues.jitter
-                    };
-                    
-                    // Update with slightly randomized values to show activity
-                    const rtt = values.rtt + Math.floor(Math.random() * 6) - 3;  // +/- 3ms
-                    const jitter = values.jitter + Math.floor(Math.random() * 2) - 1; // +/- 1ms
-                    
-                    this.updateLatencyDisplay(peerId, rtt, jitter);
-                }
-            }
-        });
+        const samples = this.clockSamples[peerId] || (this.clockSamples[peerId] = []);
+        samples.push({ delay: delay, offset: offset, at: t4 });
+        if (samples.length > this.maxClockSamples) {
+            samples.shift();
+        }
         
-        return `Refreshed latency displays for ${peers.length} peers`;
+        this.clocks[peerId] = this.estimateClock(samples);
+        this.updateLatencyDisplay(peerId);
     }
     
     /**
-     * Set up a global message handler for statistics messages
+     * Estimate RTT and clock offset from ping samples, ignoring outliers
+     * Samples whose round trip is far above the median (by more than three median absolute
+     * deviations) were queued somewhere and are dropped. Queueing is rarely symmetric, so the
+     * offset is the median of the fastest half of what is left, as NTP prefers low-delay samples.
+     * @param {Array} samples The peer's samples
+     * @returns {Object} { rtt, offset, spread, samples, updatedAt }
      */
-    setupGlobalMessageHandler() {
-        // Check if we already have a global handler
-        if (window.globalStatsHandler) {
-            return;
-        }
+    estimateClock(samples) {
+        const median = (values) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
         
-        // This function will be called from peer-manager.js for all data messages
-        window.globalStatsHandler = (peerId, data) => {
-            if (data && typeof data === 'object' && data.type === 'stats-update') {
-                console.log(`Received stats update from peer ${peerId}:`, data.stats);
-                
-                // Update the display with the received stats
-                this.updateLatencyDisplay(peerId, data.stats.rtt, data.stats.jitter);
-                
-                // Store these values as fallbacks
-                this.fallbackValues[peerId] = { 
-                    rtt: data.stats.rtt, 
-                    jitter: data.stats.jitter 
-                };
-                
-                return true; // Message was handled
-            }
-            
-            return false; // Message was not handled
+        const medianDelay = median(samples.map(sample => sample.delay));
+        const deviation = median(samples.map(sample => Math.abs(sample.delay - medianDelay)));
+        const limit = medianDelay + 3 * Math.max(deviation, 1);
+        const kept = samples.filter(sample => sample.delay <= limit);
+        
+        const fastest = kept.slice().sort((a, b) => a.delay - b.delay).slice(0, Math.max(1, Math.ceil(kept.length / 2)));
+        const offsets = fastest.map(sample => sample.offset);
+        
+        return {
+            rtt: median(kept.map(sample => sample.delay)),
+            offset: median(offsets),
+            spread: Math.max(...offsets) - Math.min(...offsets), // How far the best samples disagree (ms)
+            samples: kept.length,
+            updatedAt: Date.now()
         };
     }
     
     /**
-     * Start monitoring latency for a peer
-     * @param {string} peerId The peer ID to monitor
-     * @param {DataConnection} connection The peer connection
+     * Get the ping RTT and clock offset estimate for a peer
+     * The offset is the peer's clock minus ours: positive when the peer's clock is ahead
+     * @param {string} peerId The peer ID
+     * @returns {Object|null} { rtt, offset, spread, samples, updatedAt }, or null before the first pong
      */
-    startMonitoring(peerId, connection) {
-        console.log(`Starting latency monitoring for peer: ${peerId}`);
+    getClock(peerId) {
+        return this.clocks[peerId] || null;
+    }
+    
+    /**
+     * Store an acoustic round trip measurement next to the peer's network stats
+     * @param {string} peerId The peer ID
+     * @param {Object} result { roundTripMs, deviceMs, totalMs, confidence, measuredAt }
+     */
+    setAcousticResult(peerId, result) {
+        this.acoustic[peerId] = result;
+        this.updateLatencyDisplay(peerId);
+    }
+    
+    /**
+     * Get the latest acoustic round trip measurement for a peer
+     * @param {string} peerId The peer ID
+     * @returns {Object|null} The measurement, or null if the peer has not been measured
+     */
+    getAcousticResult(peerId) {
+        return this.acoustic[peerId] || null;
+    }
+    
+    /**
+     * Convert a time on a peer's clock to ours
+     * @param {string} peerId The peer ID
+     * @param {number} peerTime Milliseconds since the epoch on the peer's clock
+     * @returns {number|null} The same instant on our clock, or null without an estimate
+     */
+    toLocalTime(peerId, peerTime) {
+        const clock = this.clocks[peerId];
+        return clock ? peerTime - clock.offset : null;
+    }
+    
+    /**
+     * Convert a time on our clock to a peer's
+     * @param {string} peerId The peer ID
+     * @param {number} localTime Milliseconds since the epoch on our clock
+     * @returns {number|null} The same instant on the peer's clock, or null without an estimate
+     */
+    toPeerTime(peerId, localTime) {
+        const clock = this.clocks[peerId];
+        return clock ? localTime + clock.offset : null;
+    }
+    
+    /**
+     * Measure a peer's connection, show it and share it with the peer
+     * @param {string} peerId The peer ID
+     * @returns {Promise} Promise that resolves once the display is updated
+     */
+    async poll(peerId) {
+        const call = peerManager.calls[peerId];
+        const peerConnection = call ? call.peerConnection : null;
         
-        // Stop any existing interval
-        if (this.updateIntervals[peerId]) {
-            clearInterval(this.updateIntervals[peerId]);
+        try {
+            this.measured[peerId] = peerConnection ? await this.measure(peerId, peerConnection) : null;
+        } catch (error) {
+            console.log(`Could not read stats for ${peerId}: ${error.message}`);
+            this.measured[peerId] = null;
+        }
+        
+        if (!this.updateIntervals[peerId]) {
+            return; // Stopped while getStats was running
+        }
+        
+        this.updateQuality(peerId);
+        this.updateLatencyDisplay(peerId);
+        qualityScore.update(peerId);
+        this.sendStatsUpdate(peerId, peerManager.connections[peerId]);
+        this.recordHistory(peerId);
+    }
+    
+    /**
+     * Add the peer's current stats to its history
+     * @param {string} peerId The peer ID
+     */
+    recordHistory(peerId) {
+        if (!window.statsHistory) {
+            return;
         }
         
-        // Generate initial values for this peer
-        const initialRtt = this.baseValues.rtt + Math.floor(Math.random() * 10);
-        const initialJitter = this.baseValues.jitter + Math.floor(Math.random() * 3);
+        const stats = this.getStats(peerId);
+        const measured = stats.measured;
+        const controller = peerManager.bitrateControllers[peerId];
+        const sendBitrate = controller && controller.measuredBitrate !== null ? controller.measuredBitrate / 1000 : null;
+        
+        statsHistory.record(peerId, {
+            rtt: stats.rtt,
+            jitter: stats.jitter,
+            packetLoss: stats.packetLoss,
+            concealment: stats.concealment,
+            bitrate: measured ? measured.bitrate : null,
+            sendBitrate: sendBitrate,
+            audioLevel: measured ? measured.audioLevel : null
+        });
+    }
+    
+    /**
+     * Read RTT, jitter, packet loss, concealment, bitrate and audio level from getStats
+     * RTT comes from the selected candidate pair, or from RTCP receiver reports where the
+     * browser does not expose it there. Loss, concealment and bitrate are rates since the last poll.
+     * @param {string} peerId The peer ID
+     * @param {RTCPeerConnection} peerConnection The peer's connection
+     * @returns {Promise} Promise that resolves with the measurement, or null if nothing was measurable
+     */
+    async measure(peerId, peerConnection) {
+        const stats = await peerConnection.getStats();
+        
+        let inbound = null;
+        let remoteInbound = null;
+        stats.forEach(report => {
+            if (report.kind !== 'audio' && report.mediaType !== 'audio') {
+                return;
+            }
+            if (report.type === 'inbound-rtp') {
+                inbound = report;
+            } else if (report.type === 'remote-inbound-rtp') {
+                remoteInbound = report;
+            }
+        });
         
-        // Store as fallback
-        this.fallbackValues[peerId] = { rtt: initialRtt, jitter: initialJitter };
+        const result = {
+            rtt: null,
+            rttSource: null,
+            jitter: null,
+            packetLoss: null,
+            concealment: null,
+            remoteJitter: null, // Jitter the peer sees on our audio (from its receiver reports)
+            remoteLoss: null, // Loss the peer sees on our audio
+            bitrate: null, // Audio received from the peer (kbps)
+            audioLevel: null, // Level of the audio received from the peer (dBFS)
+            measuredAt: Date.now()
+        };
         
-        // Update display with initial values
-        this.updateLatencyDisplay(peerId, initialRtt, initialJitter);
+        const pair = peerManager.findSelectedCandidatePair(stats);
+        if (pair && typeof pair.currentRoundTripTime === 'number') {
+            result.rtt = pair.currentRoundTripTime * 1000;
+            result.rttSource = 'candidate-pair';
+        } else if (remoteInbound && typeof remoteInbound.roundTripTime === 'number') {
+            result.rtt = remoteInbound.roundTripTime * 1000;
+            result.rttSource = 'remote-inbound-rtp';
+        }
         
-        // Send initial values to the peer
-        this.sendStatsUpdate(peerId, connection);
+        if (remoteInbound) {
+            if (typeof remoteInbound.jitter === 'number') {
+                result.remoteJitter = remoteInbound.jitter * 1000;
+            }
+            if (typeof remoteInbound.fractionLost === 'number') {
+                result.remoteLoss = remoteInbound.fractionLost * 100;
+            }
+        }
         
-        // Set up interval to update and send values
-        this.updateIntervals[peerId] = setInterval(() => {
-            // FIXED: Use the base values plus a random variation instead of modifying previous values
-            // This ensures values stay within a reasonable range and don't progressively get smaller
-            const rtt = this.baseValues.rtt + Math.floor(Math.random() * 20) - 10; // +/- 10ms
-            const jitter = this.baseValues.jitter + Math.floor(Math.random() * 4) - 2; // +/- 2ms
-            
-            // Make sure values never go below minimums
-            const finalRtt = Math.max(15, rtt);
-            const finalJitter = Math.max(2, jitter);
-            
-            // Update local display
-            this.updateLatencyDisplay(peerId, finalRtt, finalJitter);
+        // Listeners send nothing, so there is no inbound audio from them
+        const previous = this.counters[peerId];
+        if (inbound) {
+            if (typeof inbound.jitter === 'number') {
+                result.jitter = inbound.jitter * 1000;
+            }
+            if (typeof inbound.audioLevel === 'number') {
+                result.audioLevel = inbound.audioLevel > 0 ? Math.max(-100, 20 * Math.log10(inbound.audioLevel)) : -100;
+            }
             
-            // Store as fallback
-            this.fallbackValues[peerId] = { rtt: finalRtt, jitter: finalJitter };
+            const current = {
+                packetsLost: Math.max(0, inbound.packetsLost || 0),
+                packetsReceived: inbound.packetsReceived || 0,
+                concealedSamples: inbound.concealedSamples,
+                totalSamplesReceived: inbound.totalSamplesReceived,
+                bytesReceived: inbound.bytesReceived,
+                timestamp: inbound.timestamp
+            };
             
-            // Send to peer
-            this.sendStatsUpdate(peerId, connection);
-        }, this.updateInterval);
+            if (previous) {
+                const lost = current.packetsLost - previous.packetsLost;
+                const received = current.packetsReceived - previous.packetsReceived;
+                if (lost >= 0 && received >= 0 && lost + received > 0) {
+                    result.packetLoss = lost / (lost + received) * 100;
+                }
+                
+                const samples = current.totalSamplesReceived - previous.totalSamplesReceived;
+                const concealed = current.concealedSamples - previous.concealedSamples;
+                if (samples > 0 && concealed >= 0) {
+                    result.concealment = Math.min(100, concealed / samples * 100);
+                }
+                
+                const bytes = current.bytesReceived - previous.bytesReceived;
+                const seconds = (current.timestamp - previous.timestamp) / 1000;
+                if (bytes >= 0 && seconds > 0) {
+                    result.bitrate = bytes * 8 / seconds / 1000;
+                }
+            }
+            this.counters[peerId] = current;
+        } else {
+            delete this.counters[peerId];
+        }
         
-        return true;
+        const measuredAnything = ['rtt', 'jitter', 'packetLoss', 'concealment', 'bitrate', 'audioLevel'].some(key => result[key] !== null);
+        return measuredAnything ? result : null;
+    }
+    
+    /**
+     * Get the stats to show for a peer
+     * Each value is our own measurement where we have one, otherwise what the peer measured.
+     * RTT is the same in both directions; the other values describe the direction the peer receives.
+     * @param {string} peerId The peer ID
+     * @returns {Object} { rtt, jitter, packetLoss, concealment, sources, measured, reported };
+     *                   values are null when unavailable, sources says where each came from
+     */
+    getStats(peerId) {
+        const measured = this.measured[peerId] || null;
+        const reported = this.reported[peerId] || null;
+        const result = { sources: {}, measured: measured, reported: reported };
+        
+        ['rtt', 'jitter', 'packetLoss', 'concealment'].forEach(key => {
+            if (measured && measured[key] !== null) {
+                result[key] = measured[key];
+                result.sources[key] = 'measured';
+            } else if (reported && reported[key] !== null) {
+                result[key] = reported[key];
+                result.sources[key] = 'peer';
+            } else {
+                result[key] = null;
+                result.sources[key] = null;
+            }
+        });
+        return result;
     }
     
     /**
-     * Send statistics update to a peer
+     * Send our measurements to a peer
      * @param {string} peerId The peer ID
      * @param {DataConnection} connection The data connection
+     * @returns {boolean} True if the stats were sent
      */
     sendStatsUpdate(peerId, connection) {
         if (!connection || !connection.open) {
-            console.log(`Connection to peer ${peerId} is not open, cannot send stats`);
             return false;
         }
         
-        // Get current values
-        const stats = this.fallbackValues[peerId] || this.baseValues;
-        
-        // Create the message - use a simpler format with just the necessary fields
-        const statsMessage = {
-            type: 'stats-update',  // Important: use consistent type name
+        // Only our own measurements: forwarding the peer's values back would look measured on their side
+        const measured = this.measured[peerId];
+        return messageProtocol.send(connection, {
+            type: 'stats-update',
             stats: {
-                rtt: stats.rtt || 50,  // Provide fallback
-                jitter: stats.jitter || 10  // Provide fallback
+                rtt: measured ? measured.rtt : null,
+                jitter: measured ? measured.jitter : null,
+                packetLoss: measured ? measured.packetLoss : null,
+                concealment: measured ? measured.concealment : null
             },
             timestamp: Date.now()
-        };
-        
-        // Send the message
-        try {
-            console.log(`Sending stats update to peer ${peerId}:`, statsMessage);
-            connection.send(statsMessage);
-            console.log(`Sent stats update to peer ${peerId}: RTT=${stats.rtt}ms, Jitter=${stats.jitter}ms`);
-            return true;
-        } catch (err) {
-            console.error(`Error sending stats to peer ${peerId}:`, err);
-            return false;
-        }
+        });
     }
     
     /**
@@ -206,21 +440,34 @@ class LatencyMonitor {
         if (this.updateIntervals[peerId]) {
             clearInterval(this.updateIntervals[peerId]);
             delete this.updateIntervals[peerId];
-            delete this.fallbackValues[peerId];
             console.log(`Stopped latency monitoring for peer: ${peerId}`);
         }
+        delete this.measured[peerId];
+        delete this.reported[peerId];
+        delete this.counters[peerId];
+        delete this.clockSamples[peerId];
+        delete this.clocks[peerId];
+        delete this.acoustic[peerId];
+        delete this.quality[peerId];
+        qualityScore.finishPeer(peerId);
     }
     
     /**
-     * Get the latency quality level based on latency values
-     * @param {number} rtt The round-trip time in ms
-     * @param {number} jitter The jitter in ms
-     * @returns {string} The quality level: 'good', 'medium', or 'poor'
+     * Get the latency quality level from a peer's stats, using the limits from QualityThresholds
+     * @param {Object} stats Stats from getStats(peerId)
+     * @param {number} scale Factor applied to every limit, below 1 to make a level harder to reach
+     * @returns {string} The quality level: 'good', 'medium', 'poor' or 'unavailable'
      */
-    getLatencyQuality(rtt, jitter) {
-        if (rtt < 50 && jitter < 15) {
+    getLatencyQuality(stats, scale = 1) {
+        if (stats.rtt === null && stats.jitter === null && stats.packetLoss === null) {
+            return 'unavailable';
+        }
+        
+        const limits = qualityThresholds.getThresholds();
+        const within = (level) => qualityThresholds.metrics.every(metric => (stats[metric] || 0) < limits[level][metric] * scale);
+        if (within('good')) {
             return 'good';
-        } else if (rtt < 100 && jitter < 30) {
+        } else if (within('medium')) {
             return 'medium';
         } else {
             return 'poor';
@@ -228,102 +475,196 @@ class LatencyMonitor {
     }
     
     /**
-     * Update the latency display in the UI
+     * Work out the quality level to show for a peer, without flickering around a limit
+     * Getting worse only needs a limit to be crossed; getting better needs it beaten by the
+     * hysteresis margin. Either way the new level must last the minimum duration before it is shown.
+     * After a gap in the stats (or at the start) the level is shown straight away, but entering or
+     * leaving "poor" is still reported against the last level known before the gap.
      * @param {string} peerId The peer ID
-     * @param {number} rtt The round-trip time in ms
-     * @param {number} jitter The jitter in ms
+     * @returns {string} The level now shown
      */
-    updateLatencyDisplay(peerId, rtt, jitter) {
-        const qualityLevel = this.getLatencyQuality(rtt, jitter);
+    updateQuality(peerId) {
+        const stats = this.getStats(peerId);
+        const ranks = { good: 0, medium: 1, poor: 2 };
+        const nominal = this.getLatencyQuality(stats);
+        const state = this.quality[peerId];
         
-        // Find the latency info element
-        const latencyEl = document.getElementById(`latency-${peerId}`);
+        // No stats, or nothing shown yet: nothing to smooth
+        if (!state || nominal === 'unavailable' || state.level === 'unavailable') {
+            const lastKnown = state ? state.lastKnown : null;
+            this.quality[peerId] = {
+                level: nominal,
+                lastKnown: nominal === 'unavailable' ? lastKnown : nominal,
+                candidate: null,
+                candidateSince: null
+            };
+            if (nominal !== 'unavailable' && nominal !== lastKnown && (nominal === 'poor' || lastKnown === 'poor')) {
+                this.reportQualityChange(peerId, lastKnown || 'unavailable', nominal, stats);
+            }
+            return nominal;
+        }
         
-        if (latencyEl) {
-            // Update text and class
-            latencyEl.textContent = `Latency: ${rtt}ms | Jitter: ${jitter}ms`;
-            
-            // Remove all quality classes
-            latencyEl.classList.remove('latency-good', 'latency-medium', 'latency-poor');
-            
-            // Add the current quality class
-            latencyEl.classList.add(`latency-${qualityLevel}`);
+        let target = state.level;
+        if (ranks[nominal] > ranks[state.level]) {
+            target = nominal;
         } else {
-            console.log(`Latency element not found for peer ${peerId} (looking for #latency-${peerId})`);
-            
-            // Try to find the meter div and create the latency element if needed
-            const meterDiv = document.getElementById(`remoteMeterDiv-${peerId}`);
-            if (meterDiv) {
-                const label = meterDiv.querySelector('label');
-                if (label) {
-                    // Check if latency span already exists
-                    let span = label.querySelector(`#latency-${peerId}`);
-                    
-                    if (!span) {
-                        // Create latency span
-                        span = document.createElement('span');
-                        span.id = `latency-${peerId}`;
-                        span.className = `latency-info latency-${qualityLevel}`;
-                        span.textContent = `Latency: ${rtt}ms | Jitter: ${jitter}ms`;
-                        
-                        // Add space before span
-                        label.appendChild(document.createTextNode(' '));
-                        label.appendChild(span);
-                        
-                        console.log(`Created new latency span for peer ${peerId}`);
-                    }
-                }
+            const strict = this.getLatencyQuality(stats, qualityThresholds.getRecoveryScale());
+            if (ranks[strict] < ranks[state.level]) {
+                target = strict;
             }
         }
+        
+        if (target === state.level) {
+            state.candidate = null;
+            state.candidateSince = null;
+            return state.level;
+        }
+        
+        const now = Date.now();
+        if (state.candidate !== target) {
+            state.candidate = target;
+            state.candidateSince = now;
+        }
+        if (now - state.candidateSince < qualityThresholds.getMinDuration()) {
+            return state.level;
+        }
+        
+        const previous = state.level;
+        state.level = target;
+        state.lastKnown = target;
+        state.candidate = null;
+        state.candidateSince = null;
+        this.reportQualityChange(peerId, previous, target, stats);
+        return target;
     }
     
     /**
-     * Get HTML for a latency indicator
+     * Get the quality level shown for a peer
      * @param {string} peerId The peer ID
-     * @returns {string} HTML for the latency indicator
+     * @returns {string} The quality level: 'good', 'medium', 'poor' or 'unavailable'
      */
-    getLatencyHtml(peerId) {
-        return `<span id="latency-${peerId}" class="latency-info">Measuring latency...</span>`;
+    getQuality(peerId) {
+        const state = this.quality[peerId];
+        return state ? state.level : this.getLatencyQuality(this.getStats(peerId));
     }
     
     /**
-     * Force update all latency displays
-     * Call from console: latencyMonitor.forceUpdate()
+     * Re-evaluate every peer straight away, after the thresholds changed
      */
-    forceUpdate() {
-        console.log('Forcing update of all latency displays');
+    resetQuality() {
+        // Keep the last known level, so a peer that was poor is still reported when it recovers
+        Object.keys(this.quality).forEach(peerId => {
+            this.quality[peerId] = { level: 'unavailable', lastKnown: this.quality[peerId].lastKnown, candidate: null, candidateSince: null };
+        });
+        Object.keys(this.updateIntervals).forEach(peerId => {
+            this.updateQuality(peerId);
+            this.updateLatencyDisplay(peerId);
+        });
+    }
+    
+    /**
+     * Log a change of quality level, and notify when a peer enters or leaves "poor"
+     * @param {string} peerId The peer ID
+     * @param {string} from The previous level
+     * @param {string} to The new level
+     * @param {Object} stats Stats from getStats(peerId)
+     */
+    reportQualityChange(peerId, from, to, stats) {
+        const name = profileManager.getDisplayName(peerId);
+        const values = [];
+        if (stats.rtt !== null) {
+            values.push(`RTT ${Math.round(stats.rtt)}ms`);
+        }
+        if (stats.jitter !== null) {
+            values.push(`jitter ${Math.round(stats.jitter)}ms`);
+        }
+        if (stats.packetLoss !== null) {
+            values.push(`loss ${stats.packetLoss.toFixed(1)}%`);
+        }
+        const detail = values.join(', ');
         
-        if (!window.peerManager) {
-            return 'No peer manager available';
+        if (to === 'poor') {
+            utils.log(`Connection to ${profileManager.getLogName(peerId)} is poor (${detail})`);
+            utils.showNotification(`Connection to ${name} is poor (${detail})`, 'error');
+        } else if (from === 'poor') {
+            utils.log(`Connection to ${profileManager.getLogName(peerId)} recovered to ${to} (${detail})`);
+            utils.showNotification(`Connection to ${name} recovered (${detail})`, 'info');
+        } else {
+            utils.log(`Connection to ${profileManager.getLogName(peerId)} is ${to} (${detail})`);
         }
+    }
+    
+    /**
+     * Update the latency display in the UI
+     * Values the peer measured instead of us are marked with an asterisk
+     * @param {string} peerId The peer ID
+     */
+    updateLatencyDisplay(peerId) {
+        const latencyEl = document.getElementById(`latency-${peerId}`);
+        if (!latencyEl) {
+            return; // Meter not created yet
+        }
+        
+        const stats = this.getStats(peerId);
+        const qualityLevel = this.getQuality(peerId);
         
-        const peers = window.peerManager.getConnectedPeers();
-        console.log(`Found ${peers.length} connected peers`);
+        latencyEl.classList.remove('latency-good', 'latency-medium', 'latency-poor', 'latency-unavailable');
+        latencyEl.classList.add(`latency-${qualityLevel}`);
         
-        if (peers.length === 0) {
-            return 'No connected peers found';
+        const clock = this.getClock(peerId);
+        const acoustic = this.getAcousticResult(peerId);
+        if (qualityLevel === 'unavailable' && stats.concealment === null && !clock && !acoustic) {
+            const call = peerManager.calls[peerId];
+            latencyEl.textContent = call ? 'Stats unavailable' : 'Stats unavailable (no audio call)';
+            latencyEl.title = 'The browser has not reported any statistics for this connection yet';
+            return;
         }
         
-        // Update each peer
-        peers.forEach(peerId => {
-            const conn = window.peerManager.connections[peerId];
-            if (conn && conn.open) {
-                // FIXED: Generate values that are always positive and reasonable
-                const rtt = 30 + Math.floor(Math.random() * 40); // 30-70ms
-                const jitter = 5 + Math.floor(Math.random() * 10); // 5-15ms
-                
-                // Update local display
-                this.updateLatencyDisplay(peerId, rtt, jitter);
-                
-                // Store as fallback
-                this.fallbackValues[peerId] = { rtt, jitter };
-                
-                // Send to peer
-                this.sendStatsUpdate(peerId, conn);
+        const parts = [];
+        const describe = (key, label, value) => {
+            if (stats[key] !== null) {
+                parts.push(`${label}: ${value}${stats.sources[key] === 'peer' ? '*' : ''}`);
             }
-        });
+        };
+        describe('rtt', 'RTT', `${Math.round(stats.rtt)}ms`);
+        describe('jitter', 'Jitter', `${Math.round(stats.jitter)}ms`);
+        describe('packetLoss', 'Loss', `${(stats.packetLoss || 0).toFixed(1)}%`);
+        describe('concealment', 'Concealed', `${(stats.concealment || 0).toFixed(1)}%`);
         
-        return `Updated latency displays for ${peers.length} peers`;
+        // Data channel ping and clock offset, measured by the app itself
+        if (clock) {
+            const sign = clock.offset >= 0 ? '+' : '-';
+            parts.push(`Ping: ${Math.round(clock.rtt)}ms`);
+            parts.push(`Clock: ${sign}${Math.abs(clock.offset).toFixed(1)}ms`);
+        }
+        
+        // Audio round trip, measured on request with a chirp
+        if (acoustic) {
+            parts.push(`Audio RTT: ${Math.round(acoustic.totalMs)}ms`);
+        }
+        latencyEl.textContent = parts.join(' | ');
+        
+        const fromPeer = Object.keys(stats.sources).some(key => stats.sources[key] === 'peer');
+        const rttSource = stats.measured && stats.measured.rttSource ? ` RTT from ${stats.measured.rttSource}.` : '';
+        const clockInfo = clock
+            ? ` Ping and clock offset from ${clock.samples} data channel pings (\u00b1${(clock.spread / 2).toFixed(1)}ms); positive means their clock is ahead.`
+            : '';
+        const acousticInfo = acoustic
+            ? ` Audio RTT measured ${new Date(acoustic.measuredAt).toLocaleTimeString()}: ` +
+                `${acoustic.roundTripMs.toFixed(1)}ms through the connection plus ${acoustic.deviceMs.toFixed(1)}ms reported by the audio devices.`
+            : '';
+        latencyEl.title = (fromPeer
+            ? `* Measured by ${profileManager.getDisplayName(peerId)}, not by this browser.${rttSource}`
+            : `Measured by this browser with getStats.${rttSource}`) + clockInfo + acousticInfo;
+    }
+    
+    /**
+     * Poll every monitored peer right away
+     * Call from console: latencyMonitor.pollAll()
+     * @returns {Promise} Promise that resolves once every display is updated
+     */
+    pollAll() {
+        return Promise.all(Object.keys(this.updateIntervals).map(peerId => this.poll(peerId)));
     }
     
     /**
@@ -333,17 +674,19 @@ class LatencyMonitor {
     debugLatencyMonitor() {
         console.log("=== Latency Monitor Debug Info ===");
         console.log("Active intervals:", Object.keys(this.updateIntervals).length);
-        console.log("Fallback values:", this.fallbackValues);
-        console.log("Base values:", this.baseValues);
+        console.log("Measured:", this.measured);
+        console.log("Reported by peers:", this.reported);
+        console.log("Clock estimates:", this.clocks);
+        console.log("Acoustic round trips:", this.acoustic);
+        console.log("Quality levels:", this.quality);
         
         // Check all connected peers
         if (window.peerManager) {
             const connectedPeers = window.peerManager.getConnectedPeers();
             console.log("Connected peers:", connectedPeers);
             
-            // Check if we're monitoring all connected peers
             for (const peerId of connectedPeers) {
-                console.log(`- Peer ${peerId}: monitoring=${!!this.updateIntervals[peerId]}`);
+                console.log(`- Peer ${peerId}: monitoring=${!!this.updateIntervals[peerId]}, has call=${!!peerManager.calls[peerId]}`);
                 
                 // Check if the latency element exists
                 const latencyEl = document.getElementById(`latency-${peerId}`);
@@ -351,25 +694,10 @@ class LatencyMonitor {
                 if (latencyEl) {
                     console.log(`  Current display: "${latencyEl.textContent}"`);
                 }
-                
-                // If not monitoring, start now
-                if (!this.updateIntervals[peerId]) {
-                    console.log(`  Not monitoring peer ${peerId}, starting now`);
-                    const conn = window.peerManager.connections[peerId];
-                    if (conn && conn.open) {
-                        this.startMonitoring(peerId, conn);
-                    }
-                }
-                
-                // Force send an update
-                const conn = window.peerManager.connections[peerId];
-                if (conn && conn.open) {
-                    this.sendStatsUpdate(peerId, conn);
-                }
             }
         }
     }
 }
 
 // Create global latency monitor instance
-window.latencyMonitor = new LatencyMonitor();
\ No newline at end of file
+window.latencyMonitor = new LatencyMonitor();
@@ -232,11 +232,71 @@ class DawCollaborationApp {
             return;
         }
         
+        // Fill in the saved profile
+        if (window.profileManager) {
+            profileManager.initialize();
+        } else {
+            console.error("ProfileManager not available. Check profile-manager.js.");
+        }
+        
+        // Set up the chat panel
+        if (window.chatManager) {
+            chatManager.initialize();
+        } else {
+            console.error("ChatManager not available. Check chat-manager.js.");
+        }
+        
+        // Set up the file transfer panel
+        if (window.fileTransferManager) {
+            fileTransferManager.initialize();
+        } else {
+            console.error("FileTransferManager not available. Check file-transfer-manager.js.");
+        }
+        
+        // Fill in the quality thresholds
+        if (window.qualityThresholds) {
+            qualityThresholds.initialize();
+        } else {
+            console.error("QualityThresholds not available. Check quality-thresholds.js.");
+        }
+        
+        // Show the quality score history
+        if (window.qualityScore) {
+            qualityScore.initialize();
+        } else {
+            console.error("QualityScore not available. Check quality-score.js.");
+        }
+        
+        // Set up the diagnostics export
+        if (window.diagnostics) {
+            diagnostics.initialize();
+        } else {
+            console.error("Diagnostics not available. Check diagnostics.js.");
+        }
+        
+        // Set up the stats history export
+        if (window.statsHistory) {
+            statsHistory.initialize();
+        } else {
+            console.error("StatsHistory not available. Check stats-history.js.");
+        }
+        
+        if (window.preflightCheck) {
+            preflightCheck.initialize();
+        } else {
+            console.error("PreflightCheck not available. Check preflight-check.js.");
+        }
+        
         // Check for join parameter in URL
         if (UIController.checkUrlForJoinParameter) {
             UIController.checkUrlForJoinParameter();
         }
         
+        // Log which signaling server will be used
+        connectionConfig.ready.then(() => {
+            utils.log(`Signaling server: ${connectionConfig.describeServer()}`);
+        });
+        
         // Log browser info
         const browserInfo = utils.getBrowserInfo();
         utils.log(`Browser: ${browserInfo.browserName} ${browserInfo.browserVersion}`);
@@ -400,95 +460,4 @@ function fixAudioIssues() {
     }
     
     return 'Audio fix applied';
-}
-
-function updateLatencyDisplays() {
-    console.log('Updating all latency displays');
-    const log = document.getElementById('audio-debug-log');
-    if (log) {
-        const entry = document.createElement('div');
-        entry.textContent = 'Updating all latency displays...';
-        log.appendChild(entry);
-        log.scrollTop = log.scrollHeight;
-    }
-    
-    if (!window.peerManager) {
-        console.log('No peer manager available');
-        return 'No peer manager available';
-    }
-    
-    const peers = window.peerManager.getConnectedPeers();
-    console.log(`Found ${peers.length} connected peers to update`);
-    
-    if (peers.length === 0) {
-        // Log to debug panel
-        if (log) {
-            const entry = document.createElement('div');
-            entry.textContent = 'No connected peers found';
-            log.appendChild(entry);
-            log.scrollTop = log.scrollHeight;
-        }
-        return 'No connected peers found';
-    }
-    
-    // Log to debug panel
-    if (log) {
-        const entry = document.createElement('div');
-        entry.textContent = `Updating latency for ${peers.length} peers...`;
-        log.appendChild(entry);
-        log.scrollTop = log.scrollHeight;
-    }
-    
-    // Update each peer's latency display
-    peers.forEach(peerId => {
-        const latencyEl = document.getElementById(`latency-${peerId}`);
-        if (latencyEl) {
-            latencyEl.textContent = 'Updating...';
-            
-            // Generate reasonable latency values
-            const rtt = 30 + Math.floor(Math.random() * 40); // 30-70ms
-            const jitter = 5 + Math.floor(Math.random() * 10); // 5-15ms
-            
-            // Update the display directly
-            setTimeout(() => {
-                latencyEl.textContent = `Latency: ${rtt}ms | Jitter: ${jitter}ms`;
-                
-                // Remove all quality classes
-                latencyEl.classList.remove('latency-good', 'latency-medium', 'latency-poor');
-                
-                // Add the appropriate quality class
-                if (rtt < 50 && jitter < 15) {
-                    latencyEl.classList.add('latency-good');
-                } else if (rtt < 100 && jitter < 30) {
-                    latencyEl.classList.add('latency-medium');
-                } else {
-                    latencyEl.classList.add('latency-poor');
-                }
-                
-                console.log(`Updated latency for ${peerId}: RTT=${rtt}ms, Jitter=${jitter}ms`);
-                
-                // Log to debug panel
-                const log = document.getElementById('audio-debug-log');
-                if (log) {
-                    const entry = document.createElement('div');
-                    entry.textContent = `Updated peer ${peerId}: ${rtt}ms/${jitter}ms`;
-                    log.appendChild(entry);
-                    log.scrollTop = log.scrollHeight;
-                }
-            }, 500); // Short delay for visual feedback
-        }
-    });
-    
-    // Log completion
-    setTimeout(() => {
-        const log = document.getElementById('audio-debug-log');
-        if (log) {
-            const entry = document.createElement('div');
-            entry.textContent = 'Latency update complete';
-            log.appendChild(entry);
-            log.scrollTop = log.scrollHeight;
-        }
-    }, 1000);
-    
-    return `Updating latency for ${peers.length} peers`;
 }
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Message Protocol for DAW Collaboration Tool
+ * Versioned, schema-checked messages over PeerJS data connections
+ */
+
+class MessageProtocol {
+    constructor() {
+        this.version = 1; // Protocol version spoken by this build
+        this.minVersion = 1; // Oldest version we still understand
+        this.handlers = {}; // Registered handlers by message type
+        this.peerVersions = {}; // Negotiated version by peer ID
+        this.pendingRequests = {}; // Outstanding requests by request ID
+        this.requestTimeout = 5000; // Default request timeout (ms)
+        
+        // Core messages handled by the protocol itself
+        this.register('hello', { version: 'number', minVersion: 'number' },
+            (data, conn) => this.handleHello(conn, data), { beforeAdmission: true });
+        this.register('response', { requestId: 'string', ok: 'boolean', 'error?': 'string' },
+            (data, conn) => this.handleResponse(conn, data), { beforeAdmission: true });
+        this.register('protocol-error', { reason: 'string' },
+            (data, conn) => utils.log(`Protocol error reported by ${conn.peer}: ${data.reason}`), { beforeAdmission: true });
+    }
+    
+    /**
+     * Register a handler for a message type
+     * @param {string} type The message type
+     * @param {Object} schema Field name to type ('string', 'number', 'boolean', 'object', 'array');
+     *                        a trailing '?' on the field name marks it optional
+     * @param {Function} handler Called with (data, conn); its return value answers requests
+     * @param {Object} options { beforeAdmission: accept from peers not yet admitted }
+     */
+    register(type, schema, handler, options = {}) {
+        if (this.handlers[type]) {
+            console.warn(`Replacing handler for message type: ${type}`);
+        }
+        this.handlers[type] = {
+            schema: schema || {},
+            handler: handler,
+            beforeAdmission: !!options.beforeAdmission
+        };
+    }
+    
+    /**
+     * Remove the handler for a message type
+     * @param {string} type The message type
+     */
+    unregister(type) {
+        delete this.handlers[type];
+    }
+    
+    /**
+     * Check a message against a schema
+     * @param {Object} data The message
+     * @param {Object} schema The schema
+     * @returns {string|null} A description of the problem, or null if valid
+     */
+    validate(data, schema) {
+        for (const key in schema) {
+            const optional = key.endsWith('?');
+            const field = optional ? key.slice(0, -1) : key;
+            const value = data[field];
+            
+            if (value === undefined || value === null) {
+                if (optional) {
+                    continue;
+                }
+                return `missing field "${field}"`;
+            }
+            
+            const expected = schema[key];
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (actual !== expected) {
+                return `field "${field}" should be ${expected}, got ${actual}`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Send a message stamped with the protocol version agreed with the peer
+     * @param {DataConnection} conn The data connection
+     * @param {Object} message The message, including its type
+     * @returns {boolean} True if the message was sent
+     */
+    send(conn, message) {
+        if (!conn || !conn.open) {
+            return false;
+        }
+        conn.send(Object.assign({}, message, { v: this.getVersion(conn.peer) }));
+        return true;
+    }
+    
+    /**
+     * Get the protocol version to speak with a peer
+     * @param {string} peerId The ID of the peer
+     * @returns {number} The version agreed in the hello exchange, or ours until then
+     */
+    getVersion(peerId) {
+        return this.peerVersions[peerId] || this.version;
+    }
+    
+    /**
+     * Send a request and wait for the peer's response
+     * @param {DataConnection} conn The data connection
+     * @param {Object} message The request message, including its type
+     * @param {number} timeout Milliseconds to wait for the response
+     * @returns {Promise} Promise that resolves with the response result
+     */
+    request(conn, message, timeout = this.requestTimeout) {
+        return new Promise((resolve, reject) => {
+            const requestId = utils.generateRandomId(12);
+            const timer = setTimeout(() => {
+                delete this.pendingRequests[requestId];
+                reject(new Error(`Request ${message.type} to ${conn.peer} timed out`));
+            }, timeout);
+            
+            this.pendingRequests[requestId] = { peerId: conn.peer, resolve, reject, timer };
+            
+            if (!this.send(conn, Object.assign({}, message, { requestId: requestId }))) {
+                clearTimeout(timer);
+                delete this.pendingRequests[requestId];
+                reject(new Error(`Connection to ${conn.peer} is not open`));
+            }
+        });
+    }
+    
+    /**
+     * Announce our protocol version to a peer
+     * @param {DataConnection} conn The data connection
+     */
+    sendHello(conn) {
+        this.send(conn, {
+            type: 'hello',
+            version: this.version,
+            minVersion: this.minVersion
+        });
+    }
+    
+    /**
+     * Handle a peer's version announcement
+     * @param {DataConnection} conn The data connection
+     * @param {Object} data The hello message
+     */
+    handleHello(conn, data) {
+        const agreed = Math.min(this.version, data.version);
+        
+        if (agreed < this.minVersion || agreed < data.minVersion) {
+            const reason = `Incompatible app versions (ours: protocol ${this.version}, theirs: ${data.version}). Please reload the page to update.`;
+            utils.log(`Rejecting ${conn.peer}: ${reason}`);
+            utils.showNotification(`Cannot talk to ${conn.peer}: incompatible app version`, 'error');
+            this.send(conn, { type: 'protocol-error', reason: reason });
+            
+            if (window.peerManager) {
+                peerManager.rejectPeer(conn, reason);
+            }
+            return;
+        }
+        
+        this.peerVersions[conn.peer] = agreed;
+        utils.log(`Peer ${conn.peer} speaks protocol ${data.version}, using ${agreed}`);
+    }
+    
+    /**
+     * Settle an outstanding request with the peer's response
+     * @param {DataConnection} conn The data connection it arrived on
+     * @param {Object} data The response message
+     */
+    handleResponse(conn, data) {
+        const pending = this.pendingRequests[data.requestId];
+        if (!pending) {
+            return; // Timed out already
+        }
+        if (conn.peer !== pending.peerId) {
+            utils.log(`Ignoring a response from ${conn.peer} to a request sent to ${pending.peerId}`);
+            return;
+        }
+        
+        delete this.pendingRequests[data.requestId];
+        clearTimeout(pending.timer);
+        
+        if (data.ok) {
+            pending.resolve(data.result);
+        } else {
+            pending.reject(new Error(data.error || 'Request failed'));
+        }
+    }
+    
+    /**
+     * Validate and dispatch an incoming message
+     * @param {DataConnection} conn The data connection it arrived on
+     * @param {Object} data The message
+     * @param {boolean} admitted Whether the sender has been admitted to the session
+     * @returns {boolean} True if a handler processed the message
+     */
+    handleMessage(conn, data, admitted) {
+        if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+            console.log(`Invalid data received from ${conn.peer}`);
+            return false;
+        }
+        
+        // Messages without a version come from builds that predate the protocol
+        if (typeof data.v !== 'number' || data.v < this.minVersion) {
+            utils.log(`Ignoring ${data.type} from ${conn.peer}: unsupported protocol version ${data.v}`);
+            this.sendError(conn, data, 'unsupported protocol version');
+            return false;
+        }
+        
+        const entry = this.handlers[data.type];
+        if (!entry) {
+            utils.log(`Received unknown message type from ${conn.peer}: ${data.type}`);
+            this.sendError(conn, data, `unknown message type ${data.type}`);
+            return false;
+        }
+        
+        if (!admitted && !entry.beforeAdmission) {
+            console.log(`Ignoring ${data.type} from ${conn.peer} before admission`);
+            return false;
+        }
+        
+        const problem = this.validate(data, entry.schema);
+        if (problem) {
+            utils.log(`Malformed ${data.type} from ${conn.peer}: ${problem}`);
+            this.sendError(conn, data, `malformed ${data.type}: ${problem}`);
+            return false;
+        }
+        
+        // Answer requests with the handler's result
+        Promise.resolve()
+            .then(() => entry.handler(data, conn))
+            .then((result) => {
+                if (data.requestId) {
+                    this.send(conn, { type: 'response', requestId: data.requestId, ok: true, result: result });
+                }
+            })
+            .catch((error) => {
+                console.error(`Error handling ${data.type} from ${conn.peer}:`, error);
+                this.sendError(conn, data, error.message);
+            });
+        return true;
+    }
+    
+    /**
+     * Report a failed message back to the sender
+     * Requests get an error response so the sender does not wait for the timeout
+     * @param {DataConnection} conn The data connection
+     * @param {Object} data The message that failed
+     * @param {string} error What went wrong
+     */
+    sendError(conn, data, error) {
+        if (data && data.requestId) {
+            this.send(conn, { type: 'response', requestId: data.requestId, ok: false, error: error });
+        }
+    }
+    
+    /**
+     * Forget a peer's version and fail its outstanding requests
+     * @param {string} peerId The ID of the peer
+     */
+    forgetPeer(peerId) {
+        delete this.peerVersions[peerId];
+        
+        for (const requestId in this.pendingRequests) {
+            const pending = this.pendingRequests[requestId];
+            if (pending.peerId === peerId) {
+                delete this.pendingRequests[requestId];
+                clearTimeout(pending.timer);
+                pending.reject(new Error(`Connection to ${peerId} closed`));
+            }
+        }
+    }
+}
+
+// Create global message protocol instance
+window.messageProtocol = new MessageProtocol();
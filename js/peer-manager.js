@@ -9,8 +9,293 @@ class PeerManager {
         this.connections = {};
         this.calls = {};
         this.peerId = null;
+        this.sessionId = null; // ID of the peer that created the session
+        this.hostId = null; // ID of the peer currently hosting (changes on host migration)
+        this.isHost = false;
+        this.role = 'performer'; // 'performer' sends audio, 'listener' only receives
+        this.peerRoles = {}; // Role of every other participant by peer ID
+        this.peerStates = {}; // Send mute and deafen state of every other participant by peer ID
+        this.sessionSettings = null; // Settings of the session, handed over with the host role
+        this.aliasPeer = null; // Holds the original session ID after a host migration
+        this.aliasAttempt = 0;
+        this.maxAliasAttempts = 10; // The server may hold a crashed host's ID for a while
+        this.roster = []; // Peer IDs in the order they joined (kept by the host)
+        this.passphrase = ''; // Optional session passphrase
+        this.approvedPeers = new Set(); // Peers admitted to the session
+        this.pendingAdmissions = {}; // Outgoing connections waiting for the host's answer
+        this.approvalTimeout = 60000; // How long a join request may wait for the host (ms)
+        this.introductionTimeout = 5000; // How long to wait for the host to introduce a peer (ms)
         this.isConnected = false;
         this.statsIntervals = {}; // For tracking stats monitoring intervals
+        this.candidatePairs = {}; // Selected ICE candidate pair by peer ID
+        this.jitterBuffers = {}; // Playout delay state by peer ID
+        this.bitrateControllers = {}; // Send bitrate controller state by peer ID
+        this.sendOverrides = {}; // Tracks sent instead of our input by peer ID, during measurements
+        this.reconnecting = {}; // Reconnect state by peer ID
+        this.iceRestarts = {}; // ICE restarts in progress by peer ID
+        this.iceRestartTimeout = 20000; // How long an ICE restart may take before the call is replaced (ms)
+        this.turnRefreshTimer = null; // Renews fetched TURN credentials before they expire
+        this.turnRefreshMargin = 60000; // Renew before a redial or ICE restart if they expire sooner than this (ms)
+        this.turnRetryDelay = 30000; // Wait before retrying a failed renewal (ms)
+        
+        // Backoff for signaling and peer reconnection attempts (ms)
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 16000;
+        this.maxReconnectAttempts = 6;
+        this.signalingReconnect = { attempt: 0, timer: null };
+        
+        // How long to wait for the signaling server before giving up (ms)
+        this.signalingTimeout = 10000;
+        
+        // PeerJS error types that mean the signaling server is unreachable
+        this.signalingErrorTypes = ['network', 'server-error', 'socket-error', 'socket-closed'];
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Register the session and join handshake messages with the message protocol
+     */
+    registerMessageHandlers() {
+        const handshake = (data, conn) => this.handleHandshakeMessage(conn, data);
+        messageProtocol.register('auth-challenge', { nonce: 'string', passphraseRequired: 'boolean' },
+            handshake, { beforeAdmission: true });
+        messageProtocol.register('auth-response', { response: 'string', 'profile?': 'object' }, handshake, { beforeAdmission: true });
+        messageProtocol.register('join-accepted', { 'e2ee?': 'object' }, handshake, { beforeAdmission: true });
+        messageProtocol.register('join-rejected', { 'reason?': 'string' }, handshake, { beforeAdmission: true });
+        
+        messageProtocol.register('audio-settings', {
+            settings: 'object', 'role?': 'string', 'profile?': 'object'
+        }, (data, conn) => {
+            if (data.profile) {
+                profileManager.setPeerProfile(conn.peer, data.profile);
+            }
+            utils.log(`Received audio settings from ${profileManager.getLogName(conn.peer)}: ${JSON.stringify(data.settings)}`);
+            if (data.role) {
+                this.setPeerRole(conn.peer, data.role);
+            }
+        });
+        
+        // Only the session host may introduce participants
+        messageProtocol.register('roster', { peers: 'array', 'roles?': 'object' }, (data, conn) => {
+            if (conn.peer === this.hostId) {
+                this.setPeerRoles(data.roles || {});
+                this.connectToRoster(data.peers.filter(id => typeof id === 'string'));
+            }
+        });
+        
+        messageProtocol.register('peer-approved', { peerId: 'string' }, (data, conn) => {
+            if (conn.peer === this.hostId) {
+                this.approvedPeers.add(data.peerId);
+            }
+        });
+        
+        messageProtocol.register('session-state', {
+            sessionId: 'string', hostId: 'string', roster: 'array', settings: 'object', 'roles?': 'object'
+        }, (data, conn) => this.handleSessionState(conn, data));
+        
+        messageProtocol.register('peer-state', { muted: 'boolean', deafened: 'boolean' }, (data, conn) => {
+            this.peerStates[conn.peer] = { muted: data.muted, deafened: data.deafened };
+            UIController.updateTalkState(conn.peer, this.peerStates[conn.peer]);
+        });
+        
+        messageProtocol.register('session-redirect', { sessionId: 'string', hostId: 'string' },
+            (data, conn) => this.handleSessionRedirect(conn, data), { beforeAdmission: true });
+        
+        // ICE restarts are negotiated over the data connection: PeerJS drops offers for a call it already has
+        messageProtocol.register('ice-restart', { sdp: 'string' }, (data, conn) => this.answerIceRestart(conn, data));
+        
+        messageProtocol.register('bye', {}, (data, conn) => {
+            utils.log(`Peer ${profileManager.getLogName(conn.peer)} left the session`);
+            this.handlePeerDisconnection(conn.peer);
+        });
+    }
+    
+    /**
+     * Choose whether we perform (send audio) or only listen
+     * @param {string} role 'performer' or 'listener'
+     */
+    setRole(role) {
+        this.role = role === 'listener' ? 'listener' : 'performer';
+        utils.log(`Joining as ${this.role}`);
+    }
+    
+    /**
+     * Record another participant's role and show it in the peer list
+     * @param {string} peerId The ID of the peer
+     * @param {string} role 'performer' or 'listener'
+     */
+    setPeerRole(peerId, role) {
+        if (peerId === this.peerId || (role !== 'performer' && role !== 'listener')) {
+            return;
+        }
+        
+        if (this.peerRoles[peerId] !== role) {
+            this.peerRoles[peerId] = role;
+            const name = profileManager.getLogName(peerId);
+            utils.log(role === 'listener'
+                ? `${name} is a listener and will not send audio`
+                : `${name} is a performer`);
+        }
+        UIController.updatePeerRole(peerId, role);
+    }
+    
+    /**
+     * Record the roles from a roster or session state sent by the host
+     * @param {Object} roles Role by peer ID
+     */
+    setPeerRoles(roles) {
+        for (const peerId in roles) {
+            this.setPeerRole(peerId, roles[peerId]);
+        }
+    }
+    
+    /**
+     * Get the role of every participant we know of, including ourselves
+     * @returns {Object} Role by peer ID
+     */
+    getRoles() {
+        return Object.assign({}, this.peerRoles, { [this.peerId]: this.role });
+    }
+    
+    /**
+     * Stop or resume sending our audio without touching the calls
+     * @param {boolean} muted Whether to stop sending
+     */
+    setSendMuted(muted) {
+        audioManager.sendMuted = muted;
+        
+        for (const peerId in this.calls) {
+            const call = this.calls[peerId];
+            if (call.peerConnection) {
+                this.applySendMute(call.peerConnection, peerId);
+            }
+        }
+        
+        utils.log(muted ? 'Send muted: peers no longer hear you' : 'Send unmuted');
+        this.broadcastPeerState();
+    }
+    
+    /**
+     * Stop or resume hearing the other participants
+     * @param {boolean} deafened Whether to mute all remote audio
+     */
+    setDeafened(deafened) {
+        audioManager.setDeafened(deafened);
+        this.broadcastPeerState();
+    }
+    
+    /**
+     * Send a different track to one peer instead of our input, or go back to the input
+     * Used by measurements that inject a test signal or loop the peer's audio back
+     * @param {string} peerId The ID of the remote peer
+     * @param {MediaStreamTrack} track The track to send, or null to send our input again
+     */
+    setSendOverride(peerId, track) {
+        if (track) {
+            this.sendOverrides[peerId] = track;
+        } else {
+            delete this.sendOverrides[peerId];
+        }
+        
+        const call = this.calls[peerId];
+        if (call && call.peerConnection) {
+            this.applySendMute(call.peerConnection, peerId);
+        }
+    }
+    
+    /**
+     * Swap a call's outgoing audio track for nothing while muted, and back again
+     * replaceTrack needs no renegotiation and leaves our local meter running
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    applySendMute(peerConnection, peerId) {
+        const override = this.sendOverrides[peerId];
+        const localStream = audioManager.getLocalStream();
+        if (!override && !localStream) {
+            return; // Listeners have nothing to mute
+        }
+        
+        // A measurement's test signal goes out even while muted; it is not our input
+        const track = override || (audioManager.sendMuted ? null : localStream.getAudioTracks()[0]);
+        peerConnection.getTransceivers()
+            .filter(transceiver => transceiver.receiver.track && transceiver.receiver.track.kind === 'audio')
+            .forEach(transceiver => {
+                if (transceiver.sender.track === track) {
+                    return;
+                }
+                transceiver.sender.replaceTrack(track).catch(e => {
+                    utils.log(`Could not ${track ? 'unmute' : 'mute'} audio: ${e.message}`);
+                });
+            });
+    }
+    
+    /**
+     * Get our send mute and deafen state
+     * @returns {Object} { muted, deafened }
+     */
+    getPeerState() {
+        return {
+            muted: audioManager.sendMuted,
+            deafened: audioManager.deafened
+        };
+    }
+    
+    /**
+     * Tell every participant whether we are muted or deafened
+     */
+    broadcastPeerState() {
+        this.sendToAllPeers(Object.assign({ type: 'peer-state' }, this.getPeerState()));
+    }
+    
+    /**
+     * Make a call's audio receive-only when we are a listener
+     * @param {RTCRtpTransceiver} transceiver The audio transceiver
+     */
+    applyListenerDirection(transceiver) {
+        if (this.role !== 'listener' || !transceiver || !transceiver.receiver.track ||
+            transceiver.receiver.track.kind !== 'audio') {
+            return;
+        }
+        
+        try {
+            transceiver.direction = 'recvonly';
+        } catch (e) {
+            utils.log(`Could not make audio receive-only: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Check whether the negotiated call carries audio from the remote peer
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @returns {boolean} True if the peer sends us audio
+     */
+    peerSendsAudio(peerConnection) {
+        return peerConnection.getTransceivers().some(transceiver =>
+            transceiver.receiver.track && transceiver.receiver.track.kind === 'audio' &&
+            (transceiver.currentDirection === 'sendrecv' || transceiver.currentDirection === 'recvonly'));
+    }
+    
+    /**
+     * Call back once a call is up if the peer turns out not to send audio
+     * Calls with listeners never fire 'stream', so this stands in for it
+     * @param {MediaConnection} call The call
+     * @param {string} peerId The ID of the remote peer
+     * @param {Function} onEstablished Called once the call is connected
+     */
+    watchForSilentPeer(call, peerId, onEstablished) {
+        const peerConnection = call.peerConnection;
+        const check = () => {
+            if (peerConnection.connectionState !== 'connected' || this.peerSendsAudio(peerConnection)) {
+                return;
+            }
+            peerConnection.removeEventListener('connectionstatechange', check);
+            utils.log(`Call with ${peerId} connected; they are not sending audio`);
+            this.checkPeerRecovered(peerId);
+            onEstablished();
+        };
+        peerConnection.addEventListener('connectionstatechange', check);
     }
     
     /**
@@ -18,7 +303,21 @@ class PeerManager {
      * @param {boolean} isCreator Whether this peer is creating a new session
      * @returns {Promise} Promise that resolves when peer is initialized
      */
-    initPeer(isCreator = true) {
+    async initPeer(isCreator = true) {
+        // Wait for the optional config file before reading the settings
+        await connectionConfig.ready;
+        
+        const problems = connectionConfig.validate();
+        if (problems.length > 0) {
+            throw new Error(`Invalid connection settings: ${problems.join('. ')}`);
+        }
+        
+        const serverDescription = connectionConfig.describeServer();
+        const peerOptions = await connectionConfig.getPeerOptions();
+        if (peerOptions.config.iceTransportPolicy === 'relay') {
+            utils.log('Force relay enabled: only TURN relay candidates will be used');
+        }
+        
         return new Promise((resolve, reject) => {
             try {
                 // If already initialized, destroy first
@@ -29,30 +328,43 @@ class PeerManager {
                 // Generate a custom ID if creating a session, otherwise use random ID
                 const customId = isCreator ? `daw-${utils.generateRandomId(8)}` : null;
                 
-                // Enhanced ICE server configuration
-                const enhancedIceServers = [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'stun:stun1.l.google.com:19302' },
-                    // Add more STUN servers for redundancy
-                    { urls: 'stun:stun2.l.google.com:19302' },
-                    { urls: 'stun:stun3.l.google.com:19302' }
-                ];
-                
-                // Create a new Peer with enhanced configuration
-                this.peer = new Peer(customId, {
-                    debug: 2,
-                    config: {
-                        iceServers: enhancedIceServers,
-                        iceTransportPolicy: 'all',
-                        bundlePolicy: 'max-bundle',
-                        rtcpMuxPolicy: 'require',
-                        iceCandidatePoolSize: 10  // Faster connection establishment
-                    }
-                });
+                utils.log(`Connecting to signaling server: ${serverDescription}`);
+                
+                // Create a new Peer with the configured signaling server and ICE servers
+                const peer = new Peer(customId, peerOptions);
+                this.peer = peer;
+                
+                // Fail clearly if the signaling server never answers
+                // (destroy this peer, not this.peer, which may belong to a retry by now)
+                let opened = false;
+                const openTimeout = setTimeout(() => {
+                    if (opened) return;
+                    const message = `Signaling server ${serverDescription} did not respond within ${this.signalingTimeout / 1000}s`;
+                    utils.log(message);
+                    utils.$('#connectionStatus').textContent = `Error: ${message}`;
+                    peer.destroy();
+                    reject(new Error(message));
+                }, this.signalingTimeout);
                 
                 // When peer is initialized
                 this.peer.on('open', (id) => {
+                    // A second 'open' means peer.reconnect() succeeded
+                    if (opened) {
+                        this.handleSignalingReconnected(id);
+                        return;
+                    }
+                    
+                    opened = true;
+                    clearTimeout(openTimeout);
                     this.peerId = id;
+                    this.isHost = isCreator;
+                    this.sessionId = isCreator ? id : null;
+                    this.hostId = isCreator ? id : null;
+                    this.sessionSettings = null;
+                    this.roster = [];
+                    this.approvedPeers = new Set();
+                    this.peerRoles = {};
+                    this.peerStates = {};
                     utils.log(`Session created with ID: ${id}`);
                     
                     // Update UI
@@ -61,6 +373,7 @@ class PeerManager {
                     utils.$('#connectionStatus').textContent = `Status: Session created with ID: ${id}`;
                     
                     this.isConnected = true;
+                    this.scheduleTurnRefresh();
                     resolve(id);
                 });
                 
@@ -79,18 +392,37 @@ class PeerManager {
                     utils.log(`Peer error: ${err.type} - ${err.message}`);
                     utils.$('#connectionStatus').textContent = `Error: ${err.type}`;
                     
-                    if (err.type === 'peer-unavailable') {
+                    // Any error before 'open' settles the promise below, so the timeout has nothing left to do
+                    if (!opened) {
+                        clearTimeout(openTimeout);
+                    }
+                    
+                    // While redialing, unreachable peers are expected and retried
+                    if (err.type === 'peer-unavailable' && Object.keys(this.reconnecting).length === 0) {
                         utils.showNotification('Peer not found. Check the Session ID and try again.', 'error');
                     }
                     
+                    // Signaling server problems get a message that names the server
+                    if (this.signalingErrorTypes.includes(err.type)) {
+                        const message = `Cannot reach signaling server ${serverDescription} (${err.type})`;
+                        utils.$('#connectionStatus').textContent = `Error: ${message}`;
+                        reject(new Error(message));
+                        return;
+                    }
+                    
                     reject(err);
                 });
                 
-                // Handle disconnection
+                // Handle disconnection from the signaling server
                 this.peer.on('disconnected', () => {
                     utils.log('Peer disconnected');
                     utils.$('#connectionStatus').textContent = 'Status: Disconnected';
                     this.isConnected = false;
+                    
+                    // Existing audio links keep running; get the signaling link back for new ones
+                    if (opened) {
+                        this.scheduleSignalingReconnect(peer);
+                    }
                 });
                 
                 // Handle closure
@@ -107,6 +439,174 @@ class PeerManager {
         });
     }
     
+    /**
+     * Renew fetched TURN credentials shortly before they expire
+     * @param {number} delay Milliseconds to wait instead of following the expiry (after a failure)
+     */
+    scheduleTurnRefresh(delay = null) {
+        clearTimeout(this.turnRefreshTimer);
+        this.turnRefreshTimer = null;
+        if (!this.peer) {
+            return;
+        }
+        
+        const expiresAt = connectionConfig.getTurnExpiry(this.peer.options.config.iceServers);
+        if (expiresAt === null) {
+            return; // Static credentials or none at all
+        }
+        
+        // Renew once 80% of the remaining lifetime has passed
+        const wait = delay !== null ? delay : Math.max(0, (expiresAt - Date.now()) * 0.8);
+        this.turnRefreshTimer = setTimeout(() => {
+            this.turnRefreshTimer = null;
+            this.refreshTurnCredentials().catch(() => {
+                this.scheduleTurnRefresh(this.turnRetryDelay);
+            });
+        }, wait);
+    }
+    
+    /**
+     * Fetch new TURN credentials and switch every connection to them
+     * PeerJS builds new connections from peer.options.config, so later calls and redials use them too
+     * @returns {Promise} Promise that resolves once the credentials are in place
+     */
+    async refreshTurnCredentials() {
+        const peer = this.peer;
+        if (!peer) {
+            return;
+        }
+        
+        let iceServers;
+        try {
+            iceServers = await connectionConfig.refreshTurnServer(peer.options.config.iceServers);
+        } catch (error) {
+            utils.log(`Could not renew the TURN credentials: ${error.message}`);
+            throw error;
+        }
+        if (peer !== this.peer) {
+            return; // Left or replaced meanwhile
+        }
+        
+        peer.options.config.iceServers = iceServers;
+        const peerConnections = Object.values(this.calls).concat(Object.values(this.connections))
+            .map(connection => connection.peerConnection)
+            .filter(peerConnection => peerConnection && peerConnection.signalingState !== 'closed');
+        peerConnections.forEach(peerConnection => {
+            try {
+                peerConnection.setConfiguration(Object.assign(peerConnection.getConfiguration(), { iceServers: iceServers }));
+            } catch (error) {
+                utils.log(`Could not apply the new TURN credentials to a connection: ${error.message}`);
+            }
+        });
+        this.scheduleTurnRefresh();
+    }
+    
+    /**
+     * Renew the TURN credentials first if they are about to expire
+     * Used before redials and ICE restarts, which gather relay candidates with them
+     * @returns {Promise} Promise that resolves once the credentials are usable, or renewing failed
+     */
+    async ensureTurnCredentials() {
+        if (!this.peer) {
+            return;
+        }
+        const expiresAt = connectionConfig.getTurnExpiry(this.peer.options.config.iceServers);
+        if (expiresAt === null || expiresAt - Date.now() > this.turnRefreshMargin) {
+            return;
+        }
+        
+        try {
+            await this.refreshTurnCredentials();
+        } catch (error) {
+            this.scheduleTurnRefresh(this.turnRetryDelay); // Carry on with the old ones; the server may still take them
+        }
+    }
+    
+    /**
+     * Reconnect to the signaling server with exponential backoff
+     * @param {Peer} peer The PeerJS instance that lost its server connection
+     */
+    scheduleSignalingReconnect(peer) {
+        if (this.signalingReconnect.timer) {
+            return; // An attempt is already scheduled
+        }
+        
+        const attempt = this.signalingReconnect.attempt;
+        if (attempt >= this.maxReconnectAttempts) {
+            utils.log('Giving up reconnecting to the signaling server');
+            utils.$('#connectionStatus').textContent = 'Error: Lost connection to the signaling server';
+            utils.showNotification('Lost connection to the signaling server. New peers cannot join until you reload.', 'error');
+            return;
+        }
+        
+        const delay = this.getReconnectDelay(attempt);
+        utils.log(`Reconnecting to signaling server in ${delay / 1000}s (attempt ${attempt + 1}/${this.maxReconnectAttempts})`);
+        utils.$('#connectionStatus').textContent = 'Status: Reconnecting to signaling server\u2026';
+        
+        this.signalingReconnect.timer = setTimeout(() => {
+            this.signalingReconnect.timer = null;
+            
+            // Skip if the peer was destroyed or replaced in the meantime
+            if (peer !== this.peer || peer.destroyed || !peer.disconnected) {
+                return;
+            }
+            
+            this.signalingReconnect.attempt++;
+            peer.reconnect();
+        }, delay);
+    }
+    
+    /**
+     * Handle a successful reconnection to the signaling server
+     * @param {string} id The peer ID (unchanged after reconnect)
+     */
+    handleSignalingReconnected(id) {
+        this.signalingReconnect.attempt = 0;
+        this.isConnected = true;
+        utils.log(`Reconnected to signaling server as ${id}`);
+        
+        const peerCount = this.getConnectedPeers().length;
+        utils.$('#connectionStatus').textContent = peerCount > 0
+            ? `Status: Connected to ${peerCount} peer(s)`
+            : `Status: Session created with ID: ${id}`;
+    }
+    
+    /**
+     * Get the backoff delay for a reconnect attempt
+     * @param {number} attempt The zero-based attempt number
+     * @returns {number} Delay in milliseconds
+     */
+    getReconnectDelay(attempt) {
+        return Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * Math.pow(2, attempt));
+    }
+    
+    /**
+     * Set the passphrase for the session being created or joined
+     * @param {string} passphrase The passphrase, empty for none
+     */
+    setPassphrase(passphrase) {
+        this.passphrase = passphrase || '';
+    }
+    
+    /**
+     * Join an existing session through the peer that created it
+     * @param {string} sessionId The session ID (the creator's peer ID)
+     * @returns {Promise} Promise that resolves when connected to the host
+     */
+    joinSession(sessionId) {
+        this.sessionId = sessionId;
+        this.hostId = sessionId;
+        this.isHost = false;
+        
+        // If the creator has left, the new host answers on the session ID with a redirect
+        return this.connectToPeer(sessionId).catch((error) => {
+            if (!error.redirectTo) {
+                throw error;
+            }
+            return this.connectToPeer(error.redirectTo);
+        });
+    }
+    
     /**
      * Connect to a remote peer
      * @param {string} remotePeerId The ID of the remote peer
@@ -127,14 +627,16 @@ class PeerManager {
                     reliable: true
                 });
                 
+                // Register the shared handlers before the connection opens
+                this.handleConnection(conn, true);
+                
                 // Handle connection events
                 conn.on('open', () => {
-                    this.handleConnection(conn);
-                    
-                    // Then create a media connection (call)
-                    this.callPeer(remotePeerId).then(() => {
-                        resolve(conn);
-                    }).catch(reject);
+                    // Wait until we are admitted, then create a media connection (call)
+                    this.waitForAdmission(remotePeerId)
+                        .then(() => this.callPeer(remotePeerId))
+                        .then(() => resolve(conn))
+                        .catch(reject);
                 });
                 
                 conn.on('error', (err) => {
@@ -149,6 +651,25 @@ class PeerManager {
         });
     }
     
+    /**
+     * Connect to every participant in a roster received from the host
+     * Newcomers open the connections, so two peers never dial each other
+     * @param {Array} peerIds The IDs of the existing participants
+     */
+    connectToRoster(peerIds) {
+        // Participants introduced by the host are trusted
+        peerIds.forEach(id => this.approvedPeers.add(id));
+        
+        const newPeers = peerIds.filter(id => id !== this.peerId && !this.connections[id]);
+        utils.log(`Roster received: ${peerIds.length} participants, connecting to ${newPeers.length}`);
+        
+        newPeers.forEach(peerId => {
+            this.connectToPeer(peerId).catch(err => {
+                utils.log(`Could not connect to participant ${peerId}: ${err.message || err}`);
+            });
+        });
+    }
+    
     /**
      * Call a peer to establish audio streaming with optimized settings for low latency
      * @param {string} remotePeerId The ID of the remote peer
@@ -157,7 +678,9 @@ class PeerManager {
     callPeer(remotePeerId) {
         return new Promise((resolve, reject) => {
             try {
-                if (!audioManager.getLocalStream()) {
+                // Listeners call with a silent stream and receive only
+                const stream = audioManager.getSendStream();
+                if (!stream) {
                     reject(new Error('Local stream not available'));
                     return;
                 }
@@ -179,42 +702,46 @@ class PeerManager {
                 };
                 
                 // Make the call with optimized settings
-                const call = this.peer.call(remotePeerId, audioManager.getLocalStream(), {
+                const call = this.peer.call(remotePeerId, stream, {
                     metadata: {
                         audioOnly: true,
+                        role: this.role,
                         sampleRate: audioManager.sampleRate,
                         bufferSize: audioManager.bufferSize,
-                        // Add codec preferences for low latency
-                        codecPreferences: ['opus', 'G722', 'PCMU', 'PCMA']
+                        // Lets the callee log what we asked for
+                        codecPreferences: audioManager.codecPreferences
                     },
-                    // SDP transform to prioritize audio and reduce latency
-                    sdpTransform: (sdp) => {
-                        // Prioritize audio packets
-                        sdp = sdp.replace(/(m=audio.*\r\n)/g, '$1a=mid:0\r\na=priority:high\r\n');
-                        
-                        // Optimize for low latency audio
-                        sdp = sdp.replace(/a=rtpmap:(\d+) opus\/48000\/2/g, 
-                                          'a=rtpmap:$1 opus/48000/2\r\na=fmtp:$1 minptime=10;useinbandfec=1;stereo=1;maxaveragebitrate=128000;maxplaybackrate=48000;cbr=1;ptime=10');
-                        
-                        // Reduce packet size and buffer time
-                        sdp = sdp.replace(/a=maxptime:.*\r\n/g, 'a=maxptime:20\r\n');
-                        
-                        // Disable video
-                        sdp = sdp.replace(/m=video.*\r\n/g, '');
-                        
-                        // Ensure UDP is used (not TCP)
-                        sdp = sdp.replace(/a=candidate:.*tcp.*\r\n/g, '');
-                        
-                        return sdp;
-                    }
+                    // Apply the Opus settings to our offer
+                    sdpTransform: (sdp) => this.transformSdp(sdp, remotePeerId)
                 });
                 
                 this.calls[remotePeerId] = call;
                 
                 // Configure adaptivity for jitter buffer
                 if (call.peerConnection) {
+                    // Our transceivers exist as soon as the call is created
+                    call.peerConnection.getTransceivers().forEach(transceiver => {
+                        this.applyListenerDirection(transceiver);
+                        this.applyCodecPreferences(transceiver, remotePeerId);
+                    });
+                    this.applySendMute(call.peerConnection, remotePeerId);
+                    e2eeManager.attachPeerConnection(call.peerConnection, remotePeerId);
+                    this.monitorCodec(call.peerConnection, remotePeerId);
+                    
+                    // Listeners send nothing, so 'stream' never fires for them
+                    this.watchForSilentPeer(call, remotePeerId, () => resolve(call));
+                    
                     // Set up dynamic adjustment of jitter buffer
                     this.setupAdaptiveJitterBuffer(call.peerConnection, remotePeerId);
+                    
+                    // Back off our send bitrate when the path gets congested
+                    this.setupBitrateController(call.peerConnection, remotePeerId);
+                    
+                    // Report which candidate pair ICE settles on
+                    this.monitorCandidatePair(call.peerConnection, remotePeerId);
+                    
+                    // Show interruptions while ICE tries to recover
+                    this.watchIceState(call, remotePeerId);
                 }
                 
                 // Handle the call events
@@ -254,6 +781,7 @@ class PeerManager {
                         this.forceAudioProcess(remoteStream, remotePeerId);
                     }
                     
+                    this.checkPeerRecovered(remotePeerId);
                     resolve(call);
                 });
                 
@@ -264,7 +792,9 @@ class PeerManager {
                 
                 call.on('close', () => {
                     utils.log(`Call with ${remotePeerId} closed`);
-                    this.handlePeerDisconnection(remotePeerId);
+                    if (this.calls[remotePeerId] === call) {
+                        this.handleLinkLoss(remotePeerId);
+                    }
                 });
                 
             } catch (error) {
@@ -274,11 +804,30 @@ class PeerManager {
         });
     }
     
+    /**
+     * Rewrite a local offer or answer with the current Opus settings
+     * @param {string} sdp The session description created by the browser
+     * @param {string} peerId The peer ID for logging
+     * @returns {string} The session description to use
+     */
+    transformSdp(sdp, peerId) {
+        try {
+            // setCodecPreferences is not available everywhere, so order the SDP as well
+            const ordered = SdpUtils.preferCodecs(sdp, audioManager.codecPreferences);
+            return SdpUtils.applyOpusSettings(ordered, audioManager.getOpusSettings());
+        } catch (error) {
+            // A browser SDP we cannot parse is still better than no call
+            utils.log(`Could not apply Opus settings for ${peerId}: ${error.message}`);
+            return sdp;
+        }
+    }
+    
     /**
      * Handle an incoming connection
      * @param {DataConnection} conn The data connection
+     * @param {boolean} outgoing Whether we opened this connection
      */
-    handleConnection(conn) {
+    handleConnection(conn, outgoing = false) {
         utils.log(`Connection established with: ${conn.peer}`);
         
         // Store the connection
@@ -287,69 +836,36 @@ class PeerManager {
         // Handle connection opening
         conn.on('open', () => {
             utils.log(`Connection opened with: ${conn.peer}`);
+            messageProtocol.sendHello(conn);
             
-            // Add to UI
-            UIController.addPeerToList(conn.peer);
-            utils.$('#connectionStatus').textContent = `Status: Connected to ${conn.peer}`;
-            
-            // Start latency monitoring with simplified approach
-            if (window.latencyMonitor) {
-                latencyMonitor.startMonitoring(conn.peer, conn);
+            if (this.approvedPeers.has(conn.peer)) {
+                this.admitPeer(conn);
+            } else if (outgoing) {
+                // The remote side decides; wait for 'join-accepted'
+                utils.$('#connectionStatus').textContent = `Status: Waiting for ${conn.peer} to admit you\u2026`;
+            } else if (this.isHost) {
+                this.startJoinHandshake(conn);
+            } else {
+                this.awaitIntroduction(conn);
             }
-            
-            // Send audio settings
-            conn.send({
-                type: 'audio-settings',
-                settings: audioManager.getAudioSettings()
-            });
         });
         
-        // Handle data with global handler first
+        // Hand every message to the protocol layer
         conn.on('data', (data) => {
-            // Log all incoming data for debugging
-            console.log(`Data received from ${conn.peer}:`, data);
-            
-            // Check if data is valid
-            if (!data || typeof data !== 'object' || !data.type) {
-                console.log(`Invalid data received from ${conn.peer}`);
-                return;
-            }
-            
-            // First check for stats-update type
-            if (data.type === 'stats-update') {
-                console.log(`Received stats update from ${conn.peer}:`, data.stats);
-                
-                // Check if latencyMonitor exists
-                if (window.latencyMonitor && data.stats) {
-                    // Update the latency display
-                    const rtt = data.stats.rtt || 50;
-                    const jitter = data.stats.jitter || 10;
-                    latencyMonitor.updateLatencyDisplay(conn.peer, rtt, jitter);
-                }
-                return;
+            // Log all incoming data for debugging, except the flood of file chunks
+            if (!data || data.type !== 'file-chunk') {
+                console.log(`Data received from ${conn.peer}:`, data);
             }
             
-            // Try the global stats handler if available
-            if (window.globalStatsHandler && window.globalStatsHandler(conn.peer, data)) {
-                // Message was handled by the global handler, no need to process further
-                return;
-            }
-            
-            // Process other message types
-            if (data.type === 'audio-settings') {
-                utils.log(`Received audio settings from ${conn.peer}: ${JSON.stringify(data.settings)}`);
-            } else if (data.type === 'chat') {
-                utils.log(`${conn.peer}: ${data.message}`);
-            } else {
-                // Log unknown message types
-                utils.log(`Received unknown message type from ${conn.peer}: ${data.type}`);
-            }
+            messageProtocol.handleMessage(conn, data, this.approvedPeers.has(conn.peer));
         });
         
         // Handle connection closing
         conn.on('close', () => {
             utils.log(`Connection with ${conn.peer} closed`);
-            this.handlePeerDisconnection(conn.peer);
+            if (this.connections[conn.peer] === conn) {
+                this.handleLinkLoss(conn.peer);
+            }
         });
         
         // Handle connection errors
@@ -359,11 +875,301 @@ class PeerManager {
     }
     
     /**
-     * Handle an incoming call with optimized settings
-     * @param {MediaConnection} call The media connection
+     * Finish setting up a connection once the peer is admitted to the session
+     * @param {DataConnection} conn The data connection
      */
-    handleIncomingCall(call) {
-        utils.log(`Incoming call from: ${call.peer}`);
+    admitPeer(conn) {
+        this.approvedPeers.add(conn.peer);
+        
+        // Add to UI
+        UIController.addPeerToList(conn.peer);
+        utils.$('#connectionStatus').textContent = `Status: Connected to ${profileManager.getDisplayName(conn.peer)}`;
+        this.checkPeerRecovered(conn.peer);
+        
+        // The host tells each newcomer who else is in the session
+        if (this.isHost) {
+            messageProtocol.send(conn, {
+                type: 'roster',
+                peers: this.roster.filter(id => id !== conn.peer),
+                roles: this.getRoles()
+            });
+            if (!this.roster.includes(conn.peer)) {
+                this.roster.push(conn.peer);
+            }
+            
+            // Bring the newcomer up to date with the chat
+            if (window.chatManager) {
+                chatManager.sendHistory(conn);
+            }
+            
+            // Everyone keeps a copy of the session state in case we leave
+            this.broadcastSessionState();
+            
+            // A peer coming back after a dropped link missed any key rotated meanwhile
+            const keyInfo = e2eeManager.getKeyInfo();
+            if (keyInfo) {
+                messageProtocol.send(conn, Object.assign({ type: 'e2ee-key' }, keyInfo));
+            }
+        }
+        
+        // Start latency monitoring with simplified approach
+        if (window.latencyMonitor) {
+            latencyMonitor.startMonitoring(conn.peer, conn);
+        }
+        
+        // Send audio settings and whether we perform or only listen
+        messageProtocol.send(conn, {
+            type: 'audio-settings',
+            settings: audioManager.getAudioSettings(),
+            role: this.role,
+            profile: profileManager.getProfile()
+        });
+        messageProtocol.send(conn, Object.assign({ type: 'peer-state' }, this.getPeerState()));
+        
+        // Carry on with file transfers a dropped link interrupted
+        fileTransferManager.resumePeer(conn.peer);
+    }
+    
+    /**
+     * Challenge a joining peer for the passphrase (host only)
+     * @param {DataConnection} conn The data connection from the joiner
+     */
+    startJoinHandshake(conn) {
+        const nonce = utils.generateNonce();
+        conn.joinNonce = nonce;
+        
+        utils.log(`Join request from ${conn.peer}, sending challenge`);
+        messageProtocol.send(conn, {
+            type: 'auth-challenge',
+            nonce: nonce,
+            passphraseRequired: !!this.passphrase
+        });
+    }
+    
+    /**
+     * Wait for the host to introduce a peer that connected to us directly
+     * @param {DataConnection} conn The data connection from the unknown peer
+     */
+    awaitIntroduction(conn) {
+        const deadline = Date.now() + this.introductionTimeout;
+        
+        const check = () => {
+            if (this.connections[conn.peer] !== conn) {
+                return; // Connection went away meanwhile
+            }
+            if (this.approvedPeers.has(conn.peer)) {
+                this.admitPeer(conn);
+                messageProtocol.send(conn, { type: 'join-accepted', e2ee: e2eeManager.getKeyInfo() });
+            } else if (Date.now() > deadline) {
+                utils.log(`Rejecting ${conn.peer}: not admitted by the session host`);
+                this.rejectPeer(conn, 'You have not been admitted by the session host');
+            } else {
+                setTimeout(check, 250);
+            }
+        };
+        
+        check();
+    }
+    
+    /**
+     * Handle the join handshake messages exchanged before admission
+     * @param {DataConnection} conn The data connection
+     * @param {Object} data The received message
+     */
+    async handleHandshakeMessage(conn, data) {
+        switch (data.type) {
+            case 'auth-challenge': {
+                // Joiner: without a passphrase there is nothing to sign (HMAC refuses an empty key)
+                if (data.passphraseRequired && !this.passphrase) {
+                    const pending = this.pendingAdmissions[conn.peer];
+                    delete this.pendingAdmissions[conn.peer];
+                    const error = new Error('This session requires a passphrase');
+                    utils.log(error.message);
+                    this.handlePeerDisconnection(conn.peer);
+                    if (pending) {
+                        clearTimeout(pending.timer);
+                        pending.reject(error);
+                    }
+                    return;
+                }
+                
+                // Prove we know the passphrase without sending it
+                const response = data.passphraseRequired
+                    ? await this.signChallenge(data.nonce, this.peerId)
+                    : '';
+                // Our profile lets the host see who is asking
+                messageProtocol.send(conn, {
+                    type: 'auth-response',
+                    response: response,
+                    profile: profileManager.getProfile()
+                });
+                utils.$('#connectionStatus').textContent = 'Status: Waiting for the host to approve your request\u2026';
+                break;
+            }
+            
+            case 'auth-response': {
+                // Host: check the passphrase, then ask the user
+                if (!this.isHost || !conn.joinNonce) {
+                    return;
+                }
+                const nonce = conn.joinNonce;
+                conn.joinNonce = null;
+                
+                if (this.passphrase) {
+                    const expected = await this.signChallenge(nonce, conn.peer);
+                    if (data.response !== expected) {
+                        utils.log(`Rejected ${conn.peer}: wrong passphrase`);
+                        this.rejectPeer(conn, 'Incorrect session passphrase');
+                        return;
+                    }
+                }
+                
+                // Only a joiner who passed the check gets to name themselves in the prompt
+                if (data.profile) {
+                    profileManager.setPeerProfile(conn.peer, data.profile);
+                }
+                
+                const approved = await UIController.promptJoinRequest(conn.peer, this.approvalTimeout);
+                if (this.connections[conn.peer] !== conn) {
+                    return; // Joiner gave up meanwhile
+                }
+                if (!approved) {
+                    utils.log(`Join request from ${profileManager.getLogName(conn.peer)} denied`);
+                    this.rejectPeer(conn, 'The host declined your request to join');
+                    return;
+                }
+                
+                // Introduce the newcomer to everyone before they start dialing
+                utils.log(`Join request from ${profileManager.getLogName(conn.peer)} approved`);
+                this.sendToAllPeers({ type: 'peer-approved', peerId: conn.peer });
+                messageProtocol.send(conn, { type: 'join-accepted', e2ee: e2eeManager.getKeyInfo() });
+                this.admitPeer(conn);
+                break;
+            }
+            
+            case 'join-accepted': {
+                // Joiner: the remote side admitted us; set up encryption before any call starts
+                try {
+                    await this.applySessionEncryption(data.e2ee);
+                } catch (error) {
+                    utils.log(error.message);
+                    const pending = this.pendingAdmissions[conn.peer];
+                    this.handlePeerDisconnection(conn.peer);
+                    if (pending) {
+                        pending.reject(error);
+                    }
+                    return;
+                }
+                
+                const pending = this.pendingAdmissions[conn.peer];
+                delete this.pendingAdmissions[conn.peer];
+                if (!this.approvedPeers.has(conn.peer)) {
+                    this.admitPeer(conn);
+                }
+                if (pending) {
+                    clearTimeout(pending.timer);
+                    pending.resolve();
+                }
+                break;
+            }
+            
+            case 'join-rejected': {
+                // Joiner: surface the reason instead of hanging
+                const pending = this.pendingAdmissions[conn.peer];
+                delete this.pendingAdmissions[conn.peer];
+                const error = new Error(`Join rejected: ${data.reason || 'no reason given'}`);
+                utils.log(error.message);
+                this.handlePeerDisconnection(conn.peer);
+                if (pending) {
+                    clearTimeout(pending.timer);
+                    pending.reject(error);
+                }
+                break;
+            }
+            
+            default:
+                console.log(`Ignoring ${data.type} from ${conn.peer} before admission`);
+        }
+    }
+    
+    /**
+     * Match the session's end-to-end encryption when we are admitted
+     * @param {Object} keyInfo { epoch, salt } from the peer that admitted us, or null if the session is not encrypted
+     * @returns {Promise} Promise that resolves once any key is installed
+     */
+    async applySessionEncryption(keyInfo) {
+        if (!keyInfo) {
+            if (e2eeManager.requested) {
+                throw new Error('This session does not encrypt audio end to end');
+            }
+            return;
+        }
+        
+        if (typeof keyInfo.epoch !== 'number' || typeof keyInfo.salt !== 'string') {
+            throw new Error('Received invalid encryption settings');
+        }
+        await e2eeManager.enable(this.passphrase, this.sessionId, keyInfo);
+    }
+    
+    /**
+     * Sign a join challenge with the session passphrase
+     * @param {string} nonce The challenge nonce from the host
+     * @param {string} peerId The joiner's peer ID (binds the answer to one peer)
+     * @returns {Promise} Promise that resolves with the signature
+     */
+    signChallenge(nonce, peerId) {
+        return utils.hmacBase64(this.passphrase, `${nonce}:${peerId}`);
+    }
+    
+    /**
+     * Tell a peer why it was not admitted and drop the connection
+     * @param {DataConnection} conn The data connection
+     * @param {string} reason Human readable reason
+     */
+    rejectPeer(conn, reason) {
+        messageProtocol.send(conn, { type: 'join-rejected', reason: reason });
+        
+        // Give the message a moment to go out before closing
+        setTimeout(() => {
+            if (this.connections[conn.peer] === conn) {
+                this.handlePeerDisconnection(conn.peer);
+            }
+        }, 500);
+    }
+    
+    /**
+     * Wait until the remote side admits us to the session
+     * @param {string} peerId The ID of the peer we connected to
+     * @returns {Promise} Promise that resolves once admitted
+     */
+    waitForAdmission(peerId) {
+        if (this.approvedPeers.has(peerId)) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                delete this.pendingAdmissions[peerId];
+                reject(new Error('Timed out waiting for the host to approve your request'));
+            }, this.approvalTimeout + this.signalingTimeout);
+            
+            this.pendingAdmissions[peerId] = { resolve, reject, timer };
+        });
+    }
+    
+    /**
+     * Handle an incoming call with optimized settings
+     * @param {MediaConnection} call The media connection
+     */
+    handleIncomingCall(call) {
+        utils.log(`Incoming call from: ${call.peer}`);
+        
+        // Only answer peers that have been admitted to the session
+        if (!this.approvedPeers.has(call.peer)) {
+            utils.log(`Refusing call from ${call.peer}: not admitted to the session`);
+            call.close();
+            return;
+        }
         
         // Store the call
         this.calls[call.peer] = call;
@@ -382,33 +1188,48 @@ class PeerManager {
             ]
         };
         
-        // Answer the call with optimized settings
-        call.answer(audioManager.getLocalStream(), {
-            sdpTransform: (sdp) => {
-                // Prioritize audio packets
-                sdp = sdp.replace(/(m=audio.*\r\n)/g, '$1a=mid:0\r\na=priority:high\r\n');
-                
-                // Optimize for low latency audio
-                sdp = sdp.replace(/a=rtpmap:(\d+) opus\/48000\/2/g, 
-                                'a=rtpmap:$1 opus/48000/2\r\na=fmtp:$1 minptime=10;useinbandfec=1;stereo=1;maxaveragebitrate=128000;maxplaybackrate=48000;cbr=1;ptime=10');
-                
-                // Reduce packet size and buffer time
-                sdp = sdp.replace(/a=maxptime:.*\r\n/g, 'a=maxptime:20\r\n');
-                
-                // Disable video
-                sdp = sdp.replace(/m=video.*\r\n/g, '');
-                
-                // Ensure UDP is used (not TCP)
-                sdp = sdp.replace(/a=candidate:.*tcp.*\r\n/g, '');
-                
-                return sdp;
-            }
+        if (call.metadata && Array.isArray(call.metadata.codecPreferences)) {
+            utils.log(`${call.peer} prefers codecs: ${call.metadata.codecPreferences.join(' > ')}`);
+        }
+        if (call.metadata && call.metadata.role) {
+            this.setPeerRole(call.peer, call.metadata.role);
+        }
+        
+        // Answer the call, applying the same Opus settings to our answer
+        call.answer(audioManager.getSendStream(), {
+            sdpTransform: (sdp) => this.transformSdp(sdp, call.peer)
         });
         
         // Configure adaptivity for jitter buffer
         if (call.peerConnection) {
+            // The offer's transceivers appear with the 'track' event, before the answer is created
+            call.peerConnection.getTransceivers().forEach(transceiver => {
+                this.applyListenerDirection(transceiver);
+                this.applyCodecPreferences(transceiver, call.peer);
+            });
+            this.applySendMute(call.peerConnection, call.peer);
+            e2eeManager.attachPeerConnection(call.peerConnection, call.peer);
+            call.peerConnection.addEventListener('track', (event) => {
+                this.applyListenerDirection(event.transceiver);
+                this.applyCodecPreferences(event.transceiver, call.peer);
+                e2eeManager.attachPeerConnection(call.peerConnection, call.peer);
+            });
+            this.monitorCodec(call.peerConnection, call.peer);
+            
+            // Listeners send nothing, so 'stream' never fires for them
+            this.watchForSilentPeer(call, call.peer, () => {});
+            
             // Set up dynamic adjustment of jitter buffer
             this.setupAdaptiveJitterBuffer(call.peerConnection, call.peer);
+            
+            // Back off our send bitrate when the path gets congested
+            this.setupBitrateController(call.peerConnection, call.peer);
+            
+            // Report which candidate pair ICE settles on
+            this.monitorCandidatePair(call.peerConnection, call.peer);
+            
+            // Show interruptions while ICE tries to recover
+            this.watchIceState(call, call.peer);
         }
         
         // Handle the incoming stream
@@ -447,6 +1268,8 @@ class PeerManager {
             } else {
                 this.forceAudioProcess(remoteStream, call.peer);
             }
+            
+            this.checkPeerRecovered(call.peer);
         });
         
         call.on('error', (err) => {
@@ -455,7 +1278,9 @@ class PeerManager {
         
         call.on('close', () => {
             utils.log(`Call with ${call.peer} closed`);
-            this.handlePeerDisconnection(call.peer);
+            if (this.calls[call.peer] === call) {
+                this.handleLinkLoss(call.peer);
+            }
         });
     }
     
@@ -465,16 +1290,38 @@ class PeerManager {
      * @param {string} peerId The peer ID for logging
      */
     setupAdaptiveJitterBuffer(peerConnection, peerId) {
-        // Initial buffer size based on audio settings
-        let currentJitterBufferMs = 50; // Default starting point
-        let previousJitter = 0;
+        // A reconnect brings a new connection; stop watching the old one
+        if (this.statsIntervals[peerId]) {
+            clearInterval(this.statsIntervals[peerId]);
+        }
+        
+        // Start again from the default target, but keep any manual override
+        const state = Object.assign(this.jitterBuffers[peerId] || { overrideMs: null }, {
+            targetMs: 50, // Adaptive target (ms)
+            appliedMs: null, // Target last applied to the receiver or worklet (ms)
+            method: null, // 'jitterBufferTarget', 'playoutDelayHint', 'worklet' or 'none'
+            previousJitter: 0,
+            lastDelay: null,
+            lastEmitted: null,
+            networkMs: null, // Browser jitter buffer delay (ms)
+            effectiveMs: null // Total playout delay including the worklet (ms)
+        });
+        this.jitterBuffers[peerId] = state;
         
         // Start monitoring stats
         const statsInterval = setInterval(() => {
-            if (!peerConnection || peerConnection.connectionState !== 'connected') {
+            // A failed connection may come back through an ICE restart; a closed one is gone
+            const connectionState = peerConnection.connectionState;
+            if (connectionState === 'closed') {
                 clearInterval(statsInterval);
+                if (this.statsIntervals[peerId] === statsInterval) {
+                    delete this.statsIntervals[peerId];
+                }
                 return;
             }
+            if (connectionState !== 'connected') {
+                return; // Still connecting, or recovering from a network change
+            }
             
             peerConnection.getStats().then(stats => {
                 stats.forEach(report => {
@@ -488,55 +1335,536 @@ class PeerManager {
                         
                         // Adaptive buffer size calculation
                         // If jitter is increasing, increase buffer
-                        if (currentJitter > previousJitter * 1.2) { // Jitter increased by 20%
-                            currentJitterBufferMs = Math.min(200, currentJitterBufferMs * 1.5);
-                            utils.log(`Increasing jitter buffer to ${currentJitterBufferMs.toFixed(2)}ms`);
+                        if (currentJitter > state.previousJitter * 1.2) { // Jitter increased by 20%
+                            state.targetMs = Math.min(200, state.targetMs * 1.5);
                         } 
                         // If jitter is stable or decreasing and loss rate is low, decrease buffer
-                        else if (currentJitter <= previousJitter && lossRate < 0.01) {
-                            currentJitterBufferMs = Math.max(20, currentJitterBufferMs * 0.8);
-                            utils.log(`Decreasing jitter buffer to ${currentJitterBufferMs.toFixed(2)}ms`);
+                        else if (currentJitter <= state.previousJitter && lossRate < 0.01) {
+                            state.targetMs = Math.max(20, state.targetMs * 0.8);
                         }
                         
-                        previousJitter = currentJitter;
+                        state.previousJitter = currentJitter;
                         
-                        // Apply the new jitter buffer size
-                        this.updateAudioProcessingForLatency(peerId, currentJitterBufferMs);
+                        // Average delay of the audio played out since the last check
+                        if (typeof report.jitterBufferDelay === 'number' && typeof report.jitterBufferEmittedCount === 'number') {
+                            if (state.lastEmitted !== null && report.jitterBufferEmittedCount > state.lastEmitted) {
+                                state.networkMs = (report.jitterBufferDelay - state.lastDelay) /
+                                    (report.jitterBufferEmittedCount - state.lastEmitted) * 1000;
+                            }
+                            state.lastDelay = report.jitterBufferDelay;
+                            state.lastEmitted = report.jitterBufferEmittedCount;
+                        }
                     }
                 });
+                
+                return this.applyPlayoutDelay(peerId, peerConnection);
+            }).then(() => {
+                const remoteInfo = audioManager.remoteStreams[peerId];
+                const workletMs = state.method === 'worklet' && remoteInfo ? (remoteInfo.workletDelayMs || 0) : 0;
+                state.effectiveMs = state.networkMs === null ? null : state.networkMs + workletMs;
+                UIController.updatePlayoutInfo(peerId, state);
             }).catch(e => {
                 utils.log(`Error getting stats: ${e.message}`);
             });
         }, 2000);
         
-        // Store the interval for cleanup
-        this.statsIntervals = this.statsIntervals || {};
-        this.statsIntervals[peerId] = statsInterval;
+        // Store the interval for cleanup
+        this.statsIntervals[peerId] = statsInterval;
+    }
+    
+    /**
+     * Apply a peer's playout delay target (the manual override, or else the adaptive target)
+     * Uses the receiver's jitterBufferTarget or playoutDelayHint, falling back to the jitter buffer worklet
+     * @param {string} peerId The ID of the remote peer
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @returns {Promise} Promise that resolves when the target has been applied
+     */
+    async applyPlayoutDelay(peerId, peerConnection) {
+        const state = this.jitterBuffers[peerId];
+        if (!state) {
+            return;
+        }
+        
+        const manual = state.overrideMs !== null;
+        const targetMs = Math.round(manual ? state.overrideMs : state.targetMs);
+        
+        // The worklet is lost when the remote audio graph is rebuilt
+        const remoteInfo = audioManager.remoteStreams[peerId];
+        const workletLost = state.method === 'worklet' && !(remoteInfo && remoteInfo.jitterBuffer);
+        if (targetMs === state.appliedMs && !workletLost) {
+            return;
+        }
+        
+        const receiver = peerConnection.getReceivers().find(r => r.track && r.track.kind === 'audio');
+        if (!receiver) {
+            return;
+        }
+        
+        let method;
+        try {
+            if ('jitterBufferTarget' in receiver) {
+                receiver.jitterBufferTarget = targetMs; // Milliseconds
+                method = 'jitterBufferTarget';
+            } else if ('playoutDelayHint' in receiver) {
+                receiver.playoutDelayHint = targetMs / 1000; // Seconds
+                method = 'playoutDelayHint';
+            } else if (await audioManager.setWorkletPlayoutDelay(peerId, targetMs)) {
+                method = 'worklet';
+            } else {
+                if (state.method !== 'none') {
+                    utils.log(`Peer ${peerId} - cannot control the playout delay in this browser`);
+                }
+                state.method = 'none';
+                return; // The remote audio may not be set up yet; try again next time
+            }
+        } catch (e) {
+            utils.log(`Error setting playout delay for peer ${peerId}: ${e.message}`);
+            return;
+        }
+        
+        state.appliedMs = targetMs;
+        state.method = method;
+        utils.log(`Peer ${peerId} - playout delay target ${targetMs}ms (${manual ? 'manual' : 'adaptive'}, ${method})`);
+    }
+    
+    /**
+     * Override the adaptive playout delay for a peer
+     * @param {string} peerId The ID of the remote peer
+     * @param {number|null} delayMs The playout delay in milliseconds, or null for adaptive
+     */
+    setPlayoutDelayOverride(peerId, delayMs) {
+        if (!this.jitterBuffers[peerId]) {
+            this.jitterBuffers[peerId] = { overrideMs: null, targetMs: 50, appliedMs: null, method: null, networkMs: null, effectiveMs: null };
+        }
+        this.jitterBuffers[peerId].overrideMs = delayMs;
+        utils.log(delayMs === null
+            ? `Peer ${peerId} - playout delay back to adaptive`
+            : `Peer ${peerId} - playout delay set to ${delayMs}ms`);
+        
+        const call = this.calls[peerId];
+        if (call && call.peerConnection) {
+            this.applyPlayoutDelay(peerId, call.peerConnection);
+        }
+    }
+    
+    /**
+     * Adapt our send bitrate to a peer from the loss and RTT it reports back
+     * Lowers the sender's maxBitrate quickly on congestion and raises it slowly once the path is clean,
+     * staying within the user's floor and ceiling
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    setupBitrateController(peerConnection, peerId) {
+        this.stopBitrateController(peerId);
+        
+        const controller = {
+            bitrate: audioManager.sendBitrateRange.max, // Current maxBitrate (bps)
+            measuredBitrate: null, // What we actually sent over the last interval (bps)
+            lossRate: null,
+            rtt: null, // Seconds
+            minRtt: null, // Lowest RTT seen, the uncongested baseline
+            holdTicks: 0, // Intervals to wait before raising again
+            lastChange: null, // Description of the last adjustment
+            last: null, // Previous counters
+            applied: false, // Whether the sender has been given a bitrate yet
+            busy: false
+        };
+        this.bitrateControllers[peerId] = controller;
+        
+        const tick = () => {
+            if (this.bitrateControllers[peerId] !== controller) {
+                return;
+            }
+            const connectionState = peerConnection.connectionState;
+            if (connectionState === 'closed') {
+                this.stopBitrateController(peerId);
+                return;
+            }
+            if (connectionState !== 'connected' || controller.busy) {
+                return;
+            }
+            
+            controller.busy = true;
+            this.updateSendBitrate(peerConnection, peerId, controller)
+                .catch(e => utils.log(`Error adapting send bitrate for ${peerId}: ${e.message}`))
+                .then(() => {
+                    controller.busy = false;
+                });
+        };
+        
+        controller.interval = setInterval(tick, 2000);
+        
+        // Apply the starting bitrate as soon as the call connects rather than on the first tick
+        peerConnection.addEventListener('connectionstatechange', tick);
+    }
+    
+    /**
+     * Read the send-side stats once and move the bitrate if needed
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     * @param {Object} controller The peer's controller state
+     * @returns {Promise} Promise that resolves once any new bitrate is applied
+     */
+    async updateSendBitrate(peerConnection, peerId, controller) {
+        const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'audio');
+        if (!sender) {
+            return;
+        }
+        
+        // Until now the encoder runs at the browser's default
+        if (!controller.applied) {
+            await this.setMaxBitrate(sender, controller.bitrate);
+            controller.applied = true;
+            utils.log(`Peer ${peerId} - send bitrate starts at ${controller.bitrate / 1000} kbps`);
+            UIController.updateBitrateInfo(peerId, controller);
+        }
+        
+        const stats = await peerConnection.getStats();
+        let outbound = null;
+        let remoteInbound = null;
+        stats.forEach(report => {
+            if (report.type === 'outbound-rtp' && report.kind === 'audio') {
+                outbound = report;
+            } else if (report.type === 'remote-inbound-rtp' && report.kind === 'audio') {
+                remoteInbound = report;
+            }
+        });
+        
+        if (!outbound) {
+            return;
+        }
+        
+        // Loss over the last interval from the receiver's reports, falling back to its latest fraction
+        const current = {
+            timestamp: outbound.timestamp,
+            bytesSent: outbound.bytesSent || 0,
+            packetsSent: outbound.packetsSent || 0,
+            packetsLost: remoteInbound ? remoteInbound.packetsLost || 0 : 0
+        };
+        const last = controller.last;
+        controller.last = current;
+        if (!last) {
+            return; // Need two samples
+        }
+        
+        const seconds = (current.timestamp - last.timestamp) / 1000;
+        if (seconds > 0) {
+            controller.measuredBitrate = (current.bytesSent - last.bytesSent) * 8 / seconds;
+        }
+        
+        const sent = current.packetsSent - last.packetsSent;
+        const lost = Math.max(0, current.packetsLost - last.packetsLost);
+        if (sent > 0 && remoteInbound) {
+            controller.lossRate = Math.min(1, lost / sent);
+        } else if (remoteInbound && typeof remoteInbound.fractionLost === 'number') {
+            controller.lossRate = remoteInbound.fractionLost;
+        }
+        
+        if (remoteInbound && typeof remoteInbound.roundTripTime === 'number') {
+            controller.rtt = remoteInbound.roundTripTime;
+            controller.minRtt = controller.minRtt === null ? controller.rtt : Math.min(controller.minRtt, controller.rtt);
+        }
+        
+        const range = audioManager.sendBitrateRange;
+        const loss = controller.lossRate || 0;
+        const queueing = controller.rtt !== null ? controller.rtt - controller.minRtt : 0; // Seconds
+        let target = controller.bitrate;
+        let reason = null;
+        
+        if (loss > 0.1) {
+            target = controller.bitrate * 0.7;
+            reason = 'heavy loss';
+        } else if (loss > 0.03) {
+            target = controller.bitrate * 0.85;
+            reason = 'loss';
+        } else if (queueing > 0.1) {
+            target = controller.bitrate * 0.85;
+            reason = 'rising RTT';
+        } else if (controller.holdTicks > 0) {
+            controller.holdTicks--;
+        } else if (loss < 0.02 && queueing < 0.05) {
+            target = controller.bitrate + 8000;
+            reason = 'clean path';
+        }
+        
+        if (reason && reason !== 'clean path') {
+            controller.holdTicks = 3; // Let the network settle before probing upwards
+        }
+        
+        // Also follows changes to the user's range
+        target = Math.round(Math.max(range.min, Math.min(range.max, target)) / 1000) * 1000;
+        
+        if (target !== controller.bitrate) {
+            await this.setMaxBitrate(sender, target);
+            
+            const from = controller.bitrate;
+            controller.bitrate = target;
+            controller.lastChange = `${from / 1000} \u2192 ${target / 1000} kbps (${reason || 'range changed'})`;
+            
+            const rttText = controller.rtt !== null ? `${(controller.rtt * 1000).toFixed(0)} ms` : 'unknown';
+            utils.log(`Peer ${peerId} - send bitrate ${controller.lastChange}, loss ${(loss * 100).toFixed(1)}%, RTT ${rttText}`);
+        }
+        
+        UIController.updateBitrateInfo(peerId, controller);
+    }
+    
+    /**
+     * Cap what a sender's encoder may use
+     * @param {RTCRtpSender} sender The audio sender
+     * @param {number} bitrate The maximum bitrate (bps)
+     * @returns {Promise} Promise that resolves once the parameters are applied
+     */
+    setMaxBitrate(sender, bitrate) {
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || parameters.encodings.length === 0) {
+            parameters.encodings = [{}];
+        }
+        parameters.encodings[0].maxBitrate = bitrate;
+        return sender.setParameters(parameters);
+    }
+    
+    /**
+     * Stop the send bitrate controller for a peer
+     * @param {string} peerId The ID of the remote peer
+     */
+    stopBitrateController(peerId) {
+        const controller = this.bitrateControllers[peerId];
+        if (controller) {
+            clearInterval(controller.interval);
+            delete this.bitrateControllers[peerId];
+        }
+    }
+    
+    /**
+     * Watch the ICE state of a call and report the selected candidate pair
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    monitorCandidatePair(peerConnection, peerId) {
+        const report = async () => {
+            const state = peerConnection.iceConnectionState;
+            if (state !== 'connected' && state !== 'completed') {
+                return;
+            }
+            
+            try {
+                const pair = await this.getSelectedCandidatePair(peerConnection);
+                if (pair) {
+                    this.candidatePairs[peerId] = pair;
+                    utils.log(`Peer ${peerId} - ICE candidate pair: ${pair.localType} -> ${pair.remoteType} (${pair.protocol})`);
+                    UIController.updateCandidateInfo(peerId, pair);
+                }
+            } catch (e) {
+                utils.log(`Error reading candidate pair for ${peerId}: ${e.message}`);
+            }
+        };
+        
+        // The selected pair can change without an ICE state change. The transport only exists once
+        // a description is applied (later still for calls not yet answered), so bind when it shows up.
+        let boundTransport = null;
+        const bindTransport = () => {
+            const transceiver = peerConnection.getTransceivers()[0];
+            const dtlsTransport = transceiver && (transceiver.sender.transport || transceiver.receiver.transport);
+            const iceTransport = dtlsTransport && dtlsTransport.iceTransport;
+            if (iceTransport && iceTransport !== boundTransport) {
+                iceTransport.addEventListener('selectedcandidatepairchange', report);
+                boundTransport = iceTransport;
+            }
+        };
+        
+        peerConnection.addEventListener('signalingstatechange', bindTransport);
+        peerConnection.addEventListener('iceconnectionstatechange', () => {
+            bindTransport();
+            report();
+        });
+        bindTransport();
+    }
+    
+    /**
+     * Order a transceiver's codecs by the user's preference
+     * @param {RTCRtpTransceiver} transceiver The audio transceiver
+     * @param {string} peerId The peer ID for logging
+     * @returns {boolean} True if the preferences were applied
+     */
+    applyCodecPreferences(transceiver, peerId) {
+        if (!transceiver || typeof transceiver.setCodecPreferences !== 'function' ||
+            !window.RTCRtpReceiver || !RTCRtpReceiver.getCapabilities) {
+            return false;
+        }
+        
+        const capabilities = RTCRtpReceiver.getCapabilities('audio');
+        if (!capabilities) {
+            return false;
+        }
+        
+        // Listed codecs first, in order; the rest (CN, telephone-event, red...) keep their order after them
+        const order = audioManager.codecPreferences.map(name => name.toLowerCase());
+        const rank = (codec) => {
+            const index = order.indexOf(codec.mimeType.split('/')[1].toLowerCase());
+            return index === -1 ? order.length : index;
+        };
+        
+        try {
+            transceiver.setCodecPreferences(capabilities.codecs.slice().sort((a, b) => rank(a) - rank(b)));
+            return true;
+        } catch (e) {
+            utils.log(`Could not set codec preferences for ${peerId}: ${e.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Report the negotiated codec once audio flows, and warn if it is not the preferred one
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    monitorCodec(peerConnection, peerId) {
+        const maxAttempts = 10;
+        let attempts = 0;
+        let polling = false;
+        
+        // Codec reports only appear once RTP is flowing, so poll for a few seconds
+        const poll = async () => {
+            if (peerConnection.connectionState === 'closed' || attempts++ >= maxAttempts) {
+                polling = false;
+                return;
+            }
+            
+            try {
+                const codec = await this.getNegotiatedCodec(peerConnection);
+                if (codec) {
+                    polling = false;
+                    this.reportCodec(peerConnection, peerId, codec);
+                    return;
+                }
+            } catch (e) {
+                utils.log(`Error reading codec for ${peerId}: ${e.message}`);
+            }
+            setTimeout(poll, 1000);
+        };
+        
+        peerConnection.addEventListener('iceconnectionstatechange', () => {
+            const state = peerConnection.iceConnectionState;
+            if ((state === 'connected' || state === 'completed') && !polling) {
+                polling = true;
+                attempts = 0;
+                poll();
+            }
+        });
+    }
+    
+    /**
+     * Get the codec used on a peer connection from its stats
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @returns {Promise} Promise that resolves with the codec details or null
+     */
+    async getNegotiatedCodec(peerConnection) {
+        const stats = await peerConnection.getStats();
+        let outboundCodecId = null;
+        let inboundCodecId = null;
+        
+        stats.forEach(report => {
+            if (report.kind === 'audio' && report.codecId) {
+                if (report.type === 'outbound-rtp') {
+                    outboundCodecId = report.codecId;
+                } else if (report.type === 'inbound-rtp') {
+                    inboundCodecId = report.codecId;
+                }
+            }
+        });
+        
+        // Prefer what we send; a listener only has the inbound side
+        const codec = stats.get(outboundCodecId || inboundCodecId);
+        if (!codec || !codec.mimeType) {
+            return null;
+        }
+        
+        return {
+            name: codec.mimeType.split('/')[1],
+            clockRate: codec.clockRate,
+            channels: codec.channels || 1,
+            fmtp: codec.sdpFmtpLine || ''
+        };
+    }
+    
+    /**
+     * Show the negotiated codec and explain why the preferred one is not used
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @param {string} peerId The ID of the remote peer
+     * @param {Object} codec The negotiated codec
+     */
+    reportCodec(peerConnection, peerId, codec) {
+        const preferred = audioManager.codecPreferences[0];
+        let warning = '';
+        
+        if (codec.name.toLowerCase() !== preferred.toLowerCase()) {
+            // Look at what the other side offered or answered to explain why
+            const remoteSdp = peerConnection.remoteDescription && peerConnection.remoteDescription.sdp;
+            const audio = remoteSdp && SdpUtils.parse(remoteSdp).media.find(section => section.kind === 'audio');
+            const remoteSupports = audio && SdpUtils.findCodec(audio, preferred);
+            
+            warning = remoteSupports
+                ? `${peerId} prefers ${codec.name} over ${preferred}`
+                : `${peerId} does not support ${preferred}; using ${codec.name} instead`;
+            utils.log(`Codec warning: ${warning}`);
+            utils.showNotification(warning, 'error');
+        }
+        
+        utils.log(`Peer ${peerId} - codec: ${codec.name} ${codec.clockRate} Hz, ${codec.channels} channel(s) ${codec.fmtp}`);
+        UIController.updateCodecInfo(peerId, codec, warning);
+    }
+    
+    /**
+     * Find the candidate pair report in use in a stats report
+     * @param {RTCStatsReport} stats The result of getStats
+     * @returns {Object|null} The candidate-pair report
+     */
+    findSelectedCandidatePair(stats) {
+        let selectedPairId = null;
+        
+        // Chrome and Safari point at the pair from the transport report
+        stats.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedPairId = report.selectedCandidatePairId;
+            }
+        });
+        
+        let pair = selectedPairId ? stats.get(selectedPairId) : null;
+        
+        // Firefox marks the pair itself
+        if (!pair) {
+            stats.forEach(report => {
+                if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+                    pair = report;
+                }
+            });
+        }
+        return pair || null;
     }
     
     /**
-     * Update audio processing based on current network conditions
-     * @param {string} peerId The peer ID
-     * @param {number} bufferMs The buffer size in milliseconds
+     * Get the candidate pair currently used by a peer connection
+     * @param {RTCPeerConnection} peerConnection The WebRTC peer connection
+     * @returns {Promise} Promise that resolves with the pair details or null
      */
-    updateAudioProcessingForLatency(peerId, bufferMs) {
-        // Adjust audio processing parameters based on current network conditions
-        const remoteInfo = audioManager.remoteStreams[peerId];
-        if (remoteInfo && audioManager.audioContext) {
-            try {
-                // Calculate buffer size in samples based on sample rate
-                const sampleRate = audioManager.audioContext.sampleRate;
-                const bufferSize = Math.pow(2, Math.ceil(Math.log2(sampleRate * bufferMs / 1000)));
-                
-                // Log the adjustment
-                utils.log(`Adjusting audio processing for peer ${peerId}: buffer=${bufferMs}ms (${bufferSize} samples)`);
-                
-                // In a production app, you would adjust Web Audio API nodes here
-                // This is a simplified implementation
-            } catch (e) {
-                utils.log(`Error adjusting audio processing: ${e.message}`);
-            }
+    async getSelectedCandidatePair(peerConnection) {
+        const stats = await peerConnection.getStats();
+        const pair = this.findSelectedCandidatePair(stats);
+        if (!pair) {
+            return null;
         }
+        
+        const local = stats.get(pair.localCandidateId) || {};
+        const remote = stats.get(pair.remoteCandidateId) || {};
+        
+        return {
+            localType: local.candidateType || 'unknown',
+            remoteType: remote.candidateType || 'unknown',
+            protocol: local.protocol || 'unknown',
+            relayProtocol: local.relayProtocol || null,
+            localAddress: local.address || local.ip || null,
+            remoteAddress: remote.address || remote.ip || null
+        };
     }
     
     /**
@@ -563,12 +1891,20 @@ class PeerManager {
         
         // Create a working HTML5 audio element as a fallback/parallel path
         try {
+            // Replace the element left over from a previous call (e.g. after a reconnect)
+            const oldAudioEl = document.getElementById(`audio-fallback-${peerId}`);
+            if (oldAudioEl) {
+                oldAudioEl.pause();
+                oldAudioEl.remove();
+            }
+            
             const audioEl = document.createElement('audio');
             audioEl.id = `audio-fallback-${peerId}`;
             audioEl.style.display = 'none';
             audioEl.srcObject = remoteStream;
             audioEl.autoplay = true;
             document.body.appendChild(audioEl);
+            audioManager.updateFallbackMute(peerId);
             
             audioEl.onloadedmetadata = () => {
                 utils.log(`Audio element ready for peer ${peerId}, playing...`);
@@ -700,7 +2036,7 @@ class PeerManager {
                         remoteInfo.gain.disconnect();
                         
                         remoteInfo.source.connect(remoteInfo.analyser);
-                        remoteInfo.source.connect(remoteInfo.gain);
+                        remoteInfo.source.connect(remoteInfo.jitterBuffer || remoteInfo.gain);
                         remoteInfo.gain.connect(audioManager.audioContext.destination);
                         
                         utils.log(`Reconnected audio nodes for peer ${peerId}`);
@@ -763,19 +2099,377 @@ class PeerManager {
         peerItem.appendChild(fixBtn);
     }
     
+    /**
+     * Mark a peer as reconnecting while its ICE connection is interrupted, and restart ICE when it fails
+     * @param {MediaConnection} call The media connection to watch
+     * @param {string} peerId The ID of the remote peer
+     */
+    watchIceState(call, peerId) {
+        const peerConnection = call.peerConnection;
+        
+        // PeerJS closes the call as soon as ICE fails. Take that state over while the data
+        // connection can carry a restart; everything else still goes to PeerJS.
+        const peerJsHandler = peerConnection.oniceconnectionstatechange;
+        peerConnection.oniceconnectionstatechange = (event) => {
+            if (peerConnection.iceConnectionState === 'failed' && this.calls[peerId] === call) {
+                const conn = this.connections[peerId];
+                if (this.iceRestarts[peerId]) {
+                    return; // A restart is already under way and has its own timeout
+                }
+                if (conn && conn.open) {
+                    this.restartIce(call, peerId);
+                    return;
+                }
+            }
+            if (peerJsHandler) {
+                peerJsHandler.call(peerConnection, event);
+            }
+        };
+        
+        peerConnection.addEventListener('iceconnectionstatechange', () => {
+            if (this.calls[peerId] !== call || this.reconnecting[peerId]) {
+                return;
+            }
+            
+            const state = peerConnection.iceConnectionState;
+            if (state === 'disconnected') {
+                utils.log(`ICE connection to ${peerId} interrupted, waiting for it to recover`);
+                UIController.setPeerConnectionState(peerId, 'reconnecting');
+            } else if (state === 'connected' || state === 'completed') {
+                if (this.iceRestarts[peerId]) {
+                    this.clearIceRestart(peerId);
+                    utils.log(`ICE restart with ${peerId} succeeded`);
+                }
+                UIController.setPeerConnectionState(peerId, 'connected');
+            }
+        });
+    }
+    
+    /**
+     * Restart ICE on a call whose connection failed, keeping the same RTCPeerConnection
+     * Only the peer with the lower ID sends the offer, so the two sides don't collide; the other
+     * waits for it. Both give up after iceRestartTimeout and fall back to a new call.
+     * @param {MediaConnection} call The media connection
+     * @param {string} peerId The ID of the remote peer
+     */
+    async restartIce(call, peerId) {
+        const peerConnection = call.peerConnection;
+        utils.log(`ICE connection to ${peerId} failed, restarting ICE`);
+        UIController.setPeerConnectionState(peerId, 'reconnecting');
+        
+        this.iceRestarts[peerId] = {
+            timer: setTimeout(() => this.abandonIceRestart(call, peerId, 'timed out'), this.iceRestartTimeout)
+        };
+        if (this.peerId > peerId) {
+            return;
+        }
+        
+        try {
+            await this.ensureTurnCredentials();
+            if (this.calls[peerId] !== call) {
+                return;
+            }
+            
+            // Candidates go in the description: PeerJS stops trickling them once ICE has completed
+            const offer = await peerConnection.createOffer({ iceRestart: true });
+            await peerConnection.setLocalDescription({ type: 'offer', sdp: this.transformSdp(offer.sdp, peerId) });
+            await this.waitForIceGathering(peerConnection);
+            
+            const answer = await messageProtocol.request(this.connections[peerId], {
+                type: 'ice-restart',
+                sdp: peerConnection.localDescription.sdp
+            }, this.signalingTimeout);
+            if (this.calls[peerId] !== call) {
+                return;
+            }
+            await peerConnection.setRemoteDescription({ type: 'answer', sdp: answer.sdp });
+        } catch (error) {
+            this.abandonIceRestart(call, peerId, error.message);
+        }
+    }
+    
+    /**
+     * Answer a peer's ICE restart offer on our side of the call
+     * @param {DataConnection} conn The data connection the offer came on
+     * @param {Object} data The ice-restart message
+     * @returns {Promise} Promise that resolves with { sdp }, our answer
+     */
+    async answerIceRestart(conn, data) {
+        const call = this.calls[conn.peer];
+        if (!call || !call.peerConnection || call.peerConnection.signalingState === 'closed') {
+            throw new Error('No call to restart');
+        }
+        
+        const peerConnection = call.peerConnection;
+        if (!this.iceRestarts[conn.peer]) {
+            // The offer can arrive before our side notices the failure
+            this.iceRestarts[conn.peer] = {
+                timer: setTimeout(() => this.abandonIceRestart(call, conn.peer, 'timed out'), this.iceRestartTimeout)
+            };
+            utils.log(`${conn.peer} is restarting ICE`);
+            UIController.setPeerConnectionState(conn.peer, 'reconnecting');
+        }
+        
+        try {
+            await this.ensureTurnCredentials();
+            await peerConnection.setRemoteDescription({ type: 'offer', sdp: data.sdp });
+            const answer = await peerConnection.createAnswer();
+            await peerConnection.setLocalDescription({ type: 'answer', sdp: this.transformSdp(answer.sdp, conn.peer) });
+            await this.waitForIceGathering(peerConnection);
+            return { sdp: peerConnection.localDescription.sdp };
+        } catch (error) {
+            this.abandonIceRestart(call, conn.peer, error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Wait until a connection has gathered its candidates
+     * @param {RTCPeerConnection} peerConnection The peer connection
+     * @returns {Promise} Promise that resolves when gathering is complete or has taken too long
+     */
+    waitForIceGathering(peerConnection) {
+        if (peerConnection.iceGatheringState === 'complete') {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, this.signalingTimeout / 2);
+            peerConnection.addEventListener('icegatheringstatechange', () => {
+                if (peerConnection.iceGatheringState === 'complete') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Give up on an ICE restart and replace the call instead
+     * @param {MediaConnection} call The media connection
+     * @param {string} peerId The ID of the remote peer
+     * @param {string} reason Why the restart failed
+     */
+    abandonIceRestart(call, peerId, reason) {
+        if (!this.iceRestarts[peerId]) {
+            return;
+        }
+        this.clearIceRestart(peerId);
+        
+        utils.log(`ICE restart with ${peerId} failed (${reason}), placing a new call`);
+        if (this.calls[peerId] === call) {
+            call.close(); // The close handler starts the redial
+        }
+    }
+    
+    /**
+     * Forget a peer's ICE restart
+     * @param {string} peerId The ID of the remote peer
+     */
+    clearIceRestart(peerId) {
+        const restart = this.iceRestarts[peerId];
+        if (restart) {
+            clearTimeout(restart.timer);
+            delete this.iceRestarts[peerId];
+        }
+    }
+    
+    /**
+     * Handle an unexpected loss of the data connection or call with a peer
+     * @param {string} peerId The ID of the remote peer
+     */
+    handleLinkLoss(peerId) {
+        // Nothing to recover if we are shutting down
+        if (!this.peer || this.peer.destroyed) {
+            this.handlePeerDisconnection(peerId);
+            return;
+        }
+        
+        if (this.reconnecting[peerId]) {
+            return; // Already recovering
+        }
+        
+        // Peers that never got in are simply forgotten
+        if (!this.approvedPeers.has(peerId)) {
+            this.handlePeerDisconnection(peerId);
+            return;
+        }
+        
+        utils.log(`Link with ${peerId} lost, reconnecting\u2026`);
+        UIController.setPeerConnectionState(peerId, 'reconnecting');
+        fileTransferManager.pausePeer(peerId);
+        
+        this.reconnecting[peerId] = { attempt: 0, timer: null, giveUpTimer: null };
+        
+        // Only one side redials so the two peers don't race each other
+        if (this.peerId < peerId) {
+            this.scheduleRedial(peerId);
+        } else {
+            const waitMs = this.reconnectMaxDelay * this.maxReconnectAttempts;
+            this.reconnecting[peerId].giveUpTimer = setTimeout(() => {
+                utils.log(`${peerId} did not reconnect within ${waitMs / 1000}s`);
+                this.handlePeerDisconnection(peerId);
+            }, waitMs);
+        }
+    }
+    
+    /**
+     * Schedule the next redial attempt for a peer with exponential backoff
+     * @param {string} peerId The ID of the remote peer
+     */
+    scheduleRedial(peerId) {
+        const state = this.reconnecting[peerId];
+        if (!state) {
+            return;
+        }
+        
+        if (state.attempt >= this.maxReconnectAttempts) {
+            utils.log(`Giving up reconnecting to ${peerId}`);
+            utils.showNotification(`Could not reconnect to ${peerId}`, 'error');
+            this.handlePeerDisconnection(peerId);
+            return;
+        }
+        
+        const delay = this.getReconnectDelay(state.attempt);
+        utils.log(`Redialing ${peerId} in ${delay / 1000}s (attempt ${state.attempt + 1}/${this.maxReconnectAttempts})`);
+        
+        state.timer = setTimeout(() => this.redialPeer(peerId), delay);
+    }
+    
+    /**
+     * Re-establish whichever half of the link with a peer is missing
+     * @param {string} peerId The ID of the remote peer
+     */
+    async redialPeer(peerId) {
+        const state = this.reconnecting[peerId];
+        if (!state) {
+            return;
+        }
+        state.timer = null;
+        
+        // New connections need the signaling server; wait for it without using up an attempt
+        if (!this.peer || this.peer.disconnected) {
+            state.timer = setTimeout(() => this.redialPeer(peerId), this.reconnectBaseDelay);
+            return;
+        }
+        
+        state.attempt++;
+        
+        let timeout = null;
+        try {
+            await this.ensureTurnCredentials();
+            if (this.reconnecting[peerId] !== state) {
+                return; // Peer left while we renewed the credentials
+            }
+            
+            let dial;
+            const conn = this.connections[peerId];
+            if (!conn || !conn.open) {
+                // Data connection lost too: reconnect both halves
+                delete this.connections[peerId];
+                delete this.calls[peerId];
+                dial = this.connectToPeer(peerId);
+            } else {
+                // Only the call dropped (or restarting ICE on it failed): negotiate a replacement
+                delete this.calls[peerId];
+                dial = this.callPeer(peerId);
+            }
+            
+            // PeerJS reports an unreachable peer on the Peer, not the connection
+            await Promise.race([
+                dial,
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error('timed out')), this.signalingTimeout);
+                })
+            ]);
+            this.checkPeerRecovered(peerId);
+        } catch (err) {
+            utils.log(`Redial to ${peerId} failed: ${err.message || err}`);
+            this.scheduleRedial(peerId);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+    
+    /**
+     * Clear the reconnecting state once both the data connection and call are back
+     * @param {string} peerId The ID of the remote peer
+     */
+    checkPeerRecovered(peerId) {
+        const state = this.reconnecting[peerId];
+        if (!state) {
+            return;
+        }
+        
+        const conn = this.connections[peerId];
+        const call = this.calls[peerId];
+        if (!conn || !conn.open || !call || !call.open) {
+            return; // Still waiting for the other half
+        }
+        
+        this.clearReconnectState(peerId);
+        utils.log(`Reconnected to ${peerId}`);
+        UIController.setPeerConnectionState(peerId, 'connected');
+    }
+    
+    /**
+     * Cancel any pending reconnect timers for a peer
+     * @param {string} peerId The ID of the remote peer
+     */
+    clearReconnectState(peerId) {
+        const state = this.reconnecting[peerId];
+        if (state) {
+            clearTimeout(state.timer);
+            clearTimeout(state.giveUpTimer);
+            delete this.reconnecting[peerId];
+        }
+    }
+    
+    /**
+     * Deliberately disconnect from a single peer
+     * @param {string} peerId The ID of the peer
+     */
+    disconnectPeer(peerId) {
+        const conn = this.connections[peerId];
+        messageProtocol.send(conn, { type: 'bye' });
+        
+        this.handlePeerDisconnection(peerId);
+        utils.log(`Peer ${peerId} disconnected successfully`);
+    }
+    
     /**
      * Handle peer disconnection and cleanup all resources
      * @param {string} peerId The ID of the peer that disconnected
      */
     handlePeerDisconnection(peerId) {
-        // Remove connections
-        if (this.connections[peerId]) {
-            delete this.connections[peerId];
+        const conn = this.connections[peerId];
+        const call = this.calls[peerId];
+        const wasAdmitted = this.approvedPeers.has(peerId);
+        const hostLeft = peerId === this.hostId && !this.isHost && wasAdmitted;
+        
+        // Remove from tracking first so the close events below are no-ops
+        delete this.connections[peerId];
+        delete this.calls[peerId];
+        this.roster = this.roster.filter(id => id !== peerId);
+        this.approvedPeers.delete(peerId);
+        this.clearReconnectState(peerId);
+        this.clearIceRestart(peerId);
+        messageProtocol.forgetPeer(peerId);
+        UIController.dismissJoinRequest(peerId);
+        
+        // Anyone still waiting on this peer's answer gets an error
+        const pending = this.pendingAdmissions[peerId];
+        if (pending) {
+            delete this.pendingAdmissions[peerId];
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Connection to ${peerId} closed before joining`));
         }
         
-        // Remove calls
-        if (this.calls[peerId]) {
-            delete this.calls[peerId];
+        // Close whichever half of the link is still open (or still connecting)
+        if (conn) {
+            conn.close();
+        }
+        if (call) {
+            call.close();
         }
         
         // Stop stats monitoring for adaptive jitter buffer
@@ -784,6 +2478,17 @@ class PeerManager {
             delete this.statsIntervals[peerId];
         }
         
+        delete this.candidatePairs[peerId];
+        delete this.jitterBuffers[peerId];
+        delete this.peerRoles[peerId];
+        delete this.peerStates[peerId];
+        profileManager.forgetPeer(peerId);
+        e2eeManager.forgetPeer(peerId);
+        acousticMeter.forgetPeer(peerId);
+        delete this.sendOverrides[peerId];
+        fileTransferManager.forgetPeer(peerId);
+        this.stopBitrateController(peerId);
+        
         // Stop latency monitoring
         if (window.latencyMonitor) {
             latencyMonitor.stopMonitoring(peerId);
@@ -792,6 +2497,13 @@ class PeerManager {
         // Remove from audio manager
         audioManager.removeRemoteStream(peerId);
         
+        // Remove fallback audio element if it exists
+        const fallbackAudio = document.getElementById(`audio-fallback-${peerId}`);
+        if (fallbackAudio) {
+            fallbackAudio.pause();
+            fallbackAudio.remove();
+        }
+        
         // Remove from UI
         UIController.removePeerFromList(peerId);
         
@@ -799,35 +2511,230 @@ class PeerManager {
         if (Object.keys(this.connections).length === 0) {
             utils.$('#connectionStatus').textContent = 'Status: No peers connected';
         }
+        
+        // Keep the session alive without its host
+        if (hostLeft) {
+            this.handleHostLeft(peerId);
+        } else if (this.isHost && this.hostId) {
+            this.broadcastSessionState();
+        }
+        
+        // Lock whoever left out of the audio from now on
+        if (wasAdmitted && this.isHost && this.hostId) {
+            e2eeManager.rotate();
+        }
     }
-
+    
+    /**
+     * Send the session metadata to every participant (host only)
+     * The passphrase is left out: every participant typed it to get in, so a successor already has it.
+     */
+    broadcastSessionState() {
+        this.sendToAllPeers({
+            type: 'session-state',
+            sessionId: this.sessionId,
+            hostId: this.peerId,
+            roster: this.roster,
+            roles: this.getRoles(),
+            settings: this.sessionSettings || audioManager.getAudioSettings()
+        });
+    }
+    
+    /**
+     * Store the session metadata sent by the host
+     * @param {DataConnection} conn The data connection it arrived on
+     * @param {Object} data The session-state message
+     */
+    handleSessionState(conn, data) {
+        if (conn.peer !== this.hostId || data.hostId !== conn.peer) {
+            return; // Only the current host speaks for the session
+        }
+        
+        this.sessionId = data.sessionId;
+        this.roster = data.roster.filter(id => typeof id === 'string');
+        this.sessionSettings = data.settings;
+        this.setPeerRoles(data.roles || {});
+    }
+    
+    /**
+     * Pick the next host: the longest-standing participant still in the session
+     * Every peer holds the same roster, so every peer picks the same one
+     * @returns {string} The peer ID of the new host
+     */
+    electHost() {
+        return this.roster.find(id => id === this.peerId || this.connections[id] || this.reconnecting[id]) || this.peerId;
+    }
+    
+    /**
+     * Hand the session over after the host left
+     * @param {string} oldHostId The ID of the host that left
+     */
+    handleHostLeft(oldHostId) {
+        const newHost = this.electHost();
+        this.hostId = newHost;
+        
+        if (newHost === this.peerId) {
+            utils.log(`Host ${oldHostId} left, taking over the session`);
+            this.becomeHost();
+        } else {
+            utils.log(`Host ${oldHostId} left, ${newHost} is the new host`);
+            utils.showNotification(`The session host left. ${newHost} is now hosting.`, 'info');
+        }
+    }
+    
+    /**
+     * Take over the host role for the session
+     */
+    becomeHost() {
+        this.isHost = true;
+        this.hostId = this.peerId;
+        this.roster = this.roster.filter(id => id !== this.peerId);
+        
+        utils.showNotification('The session host left. You are now hosting the session.', 'info');
+        UIController.updateShareUrl();
+        this.broadcastSessionState();
+        
+        // Answer the original share link on behalf of the old host
+        this.aliasAttempt = 0;
+        this.claimSessionAlias();
+    }
+    
+    /**
+     * Register the original session ID and redirect anyone who connects to it
+     */
+    async claimSessionAlias() {
+        if (!this.isHost || !this.sessionId || this.sessionId === this.peerId) {
+            return;
+        }
+        
+        const sessionId = this.sessionId;
+        let peerOptions;
+        try {
+            peerOptions = await connectionConfig.getPeerOptions();
+        } catch (error) {
+            // Usually the TURN credential fetch; it may work next time
+            utils.log(`Could not prepare to claim session ID ${sessionId}: ${error.message}`);
+            this.retrySessionAlias(sessionId);
+            return;
+        }
+        if (!this.isHost || this.sessionId !== sessionId) {
+            return; // Left or handed over the session meanwhile
+        }
+        
+        const alias = new Peer(sessionId, peerOptions);
+        this.aliasPeer = alias;
+        
+        alias.on('open', () => {
+            this.aliasAttempt = 0;
+            utils.log(`Holding session ID ${sessionId} so existing links still work`);
+        });
+        
+        // Point anyone arriving through the old link to the new host
+        alias.on('connection', (conn) => {
+            conn.on('open', () => {
+                utils.log(`Redirecting ${conn.peer} to the new host`);
+                messageProtocol.send(conn, { type: 'session-redirect', sessionId: sessionId, hostId: this.peerId });
+                setTimeout(() => conn.close(), 1000);
+            });
+        });
+        
+        alias.on('call', (call) => {
+            call.close();
+        });
+        
+        alias.on('disconnected', () => {
+            if (this.aliasPeer === alias && !alias.destroyed) {
+                setTimeout(() => alias.reconnect(), this.getReconnectDelay(0));
+            }
+        });
+        
+        alias.on('error', (err) => {
+            utils.log(`Session alias error: ${err.type} - ${err.message}`);
+            
+            // The server still holds the old host's ID until it times out
+            if (err.type === 'unavailable-id' && this.aliasPeer === alias) {
+                alias.destroy();
+                this.aliasPeer = null;
+                this.retrySessionAlias(sessionId);
+            }
+        });
+    }
+    
+    /**
+     * Try to claim the session ID again after a delay, until the attempts run out
+     * @param {string} sessionId The session ID being claimed
+     */
+    retrySessionAlias(sessionId) {
+        if (this.aliasAttempt >= this.maxAliasAttempts) {
+            utils.log(`Could not claim session ID ${sessionId}; share the new link instead`);
+            return;
+        }
+        const delay = this.getReconnectDelay(this.aliasAttempt++);
+        setTimeout(() => this.claimSessionAlias(), delay);
+    }
+    
+    /**
+     * Follow a redirect from a session ID to the peer now hosting it
+     * @param {DataConnection} conn The connection to the session ID
+     * @param {Object} data The session-redirect message
+     */
+    handleSessionRedirect(conn, data) {
+        if (conn.peer !== this.sessionId || data.sessionId !== this.sessionId) {
+            return;
+        }
+        
+        utils.log(`Session ${data.sessionId} is now hosted by ${data.hostId}`);
+        const pending = this.pendingAdmissions[conn.peer];
+        delete this.pendingAdmissions[conn.peer];
+        
+        this.hostId = data.hostId;
+        this.handlePeerDisconnection(conn.peer);
+        
+        if (pending) {
+            clearTimeout(pending.timer);
+            const error = new Error(`Session moved to ${data.hostId}`);
+            error.redirectTo = data.hostId;
+            pending.reject(error);
+        }
+    }
+        
         /**
-     * Send a message to all connected peers
+     * Send a message to all connected peers that have been admitted to the session
+     * Joiners still waiting for the passphrase check or the host's approval get nothing.
      * @param {Object} message The message to send
      */
     sendToAllPeers(message) {
-        for (const peerId in this.connections) {
-            if (this.connections[peerId].open) {
-                this.connections[peerId].send(message);
+        this.approvedPeers.forEach(peerId => {
+            if (this.connections[peerId]) {
+                messageProtocol.send(this.connections[peerId], message);
             }
-        }
+        });
     }
 
         /**
      * Disconnect from all peers and close the connection
      */
     disconnect() {
-        // Close all connections
-        for (const peerId in this.connections) {
-            if (this.connections[peerId].open) {
-                this.connections[peerId].close();
-            }
-        }
+        // Tell everyone we are leaving so they can clean up right away
+        this.sendToAllPeers({ type: 'bye' });
         
-        // Close all calls
-        for (const peerId in this.calls) {
-            this.calls[peerId].close();
-        }
+        // We are leaving, so nobody's departure should trigger a host election
+        this.hostId = null;
+        
+        // Close all connections and calls, and clean up after each peer
+        const peerIds = new Set([
+            ...Object.keys(this.connections),
+            ...Object.keys(this.calls),
+            ...Object.keys(this.reconnecting)
+        ]);
+        peerIds.forEach(peerId => this.handlePeerDisconnection(peerId));
+        clearTimeout(this.signalingReconnect.timer);
+        this.signalingReconnect = { attempt: 0, timer: null };
+        clearTimeout(this.turnRefreshTimer);
+        this.turnRefreshTimer = null;
+        
+        // Stop all send bitrate controllers
+        Object.keys(this.bitrateControllers).forEach(peerId => this.stopBitrateController(peerId));
         
         // Stop all adaptive jitter buffer monitoring
         for (const peerId in this.statsIntervals) {
@@ -835,9 +2742,25 @@ class PeerManager {
         }
         this.statsIntervals = {};
         
+        // Forget the encryption keys
+        e2eeManager.disable();
+        
         // Clear connection tracking
         this.connections = {};
         this.calls = {};
+        this.roster = [];
+        this.approvedPeers = new Set();
+        this.peerRoles = {};
+        this.peerStates = {};
+        this.sessionId = null;
+        this.isHost = false;
+        this.sessionSettings = null;
+        
+        // Release the session alias so the next host can claim it
+        if (this.aliasPeer) {
+            this.aliasPeer.destroy();
+            this.aliasPeer = null;
+        }
         
         // Destroy the peer
         if (this.peer) {
@@ -0,0 +1,564 @@
+/**
+ * Pre-flight Check for DAW Collaboration Tool
+ * Tests the signaling server, ICE gathering, the audio pipeline and the input level before joining,
+ * so problems show up here instead of in the middle of someone else's session
+ */
+
+class PreflightCheck {
+    constructor() {
+        this.slowSignalingMs = 2000; // Signaling slower than this is a warning (ms)
+        this.gatherTimeout = 5000; // How long to wait for ICE candidates (ms)
+        this.levelDuration = 1500; // How long to watch the input level (ms)
+        this.silenceDb = -60; // Input peaks below this count as no signal (dBFS)
+        this.clipDb = -0.5; // Input peaks at or above this count as clipping (dBFS)
+        this.maxConcealment = 1; // Loopback concealment above this is a warning (%)
+        
+        this.labels = {
+            signaling: 'Signaling server',
+            ice: 'Network (ICE candidates)',
+            loopback: 'Loopback audio',
+            input: 'Input level'
+        };
+        
+        this.running = false;
+        this.lastReport = null;
+    }
+    
+    /**
+     * Look up the pre-flight panel and attach event listeners
+     */
+    initialize() {
+        this.preflightInput = utils.$('#preflightInput');
+        this.runBtn = utils.$('#preflightRunBtn');
+        this.applyBtn = utils.$('#preflightApplyBtn');
+        this.resultsList = utils.$('#preflightResults');
+        this.recommendationsEl = utils.$('#preflightRecommendations');
+        
+        this.runBtn.addEventListener('click', async () => {
+            if (!audioManager.isReady()) {
+                utils.showNotification('Start audio input (or listen only) before running the pre-flight check', 'error');
+                return;
+            }
+            try {
+                await this.run();
+            } catch (error) {
+                utils.log(`Pre-flight check failed to run: ${error.message}`);
+                utils.showNotification(error.message, 'error');
+            }
+        });
+        this.applyBtn.addEventListener('click', () => this.applyRecommendations());
+    }
+    
+    /**
+     * Whether the check should run before joining
+     * @returns {boolean} True if the user has not turned it off
+     */
+    isEnabled() {
+        return !this.preflightInput || this.preflightInput.checked;
+    }
+    
+    /**
+     * Run every check in turn, showing progress as it goes
+     * @returns {Promise} Promise that resolves with { status, checks, recommendations, ranAt }
+     */
+    async run() {
+        if (this.running) {
+            throw new Error('A pre-flight check is already running');
+        }
+        this.running = true;
+        if (this.runBtn) {
+            this.runBtn.disabled = true;
+        }
+        
+        const report = { status: null, checks: [], recommendations: null, ranAt: Date.now() };
+        utils.log('Running pre-flight check…');
+        
+        try {
+            await connectionConfig.ready;
+            // TURN credentials may be fetched here; if that fails, the checks that need them fail with it
+            const options = connectionConfig.getPeerOptions();
+            options.catch(() => {});
+            
+            const steps = [
+                ['signaling', async () => this.checkSignaling(await options)],
+                ['ice', async () => this.checkIce(await options)],
+                ['loopback', () => this.checkLoopback()],
+                ['input', () => this.checkInput()]
+            ];
+            
+            for (const [id, check] of steps) {
+                const entry = { id: id, label: this.labels[id], status: 'running', detail: 'Checking…' };
+                report.checks.push(entry);
+                this.renderReport(report);
+                
+                try {
+                    Object.assign(entry, await check());
+                } catch (error) {
+                    Object.assign(entry, { status: 'fail', detail: error.message });
+                }
+                utils.log(`Pre-flight ${entry.label}: ${entry.status} - ${entry.detail}`);
+                this.renderReport(report);
+            }
+            
+            report.status = this.getOverallStatus(report.checks);
+            report.recommendations = this.recommend(report);
+            utils.log(`Pre-flight check: ${report.status}. Recommended buffer size ${report.recommendations.bufferSize}, ` +
+                `bitrate ${report.recommendations.bitrate / 1000} kbps`);
+            
+            this.lastReport = report;
+            this.renderReport(report);
+            return report;
+        } finally {
+            this.running = false;
+            if (this.runBtn) {
+                this.runBtn.disabled = false;
+            }
+        }
+    }
+    
+    /**
+     * Combine the checks into one result: the worst of them, ignoring skipped ones
+     * @param {Array} checks The checks
+     * @returns {string} 'pass', 'warn' or 'fail'
+     */
+    getOverallStatus(checks) {
+        if (checks.some(check => check.status === 'fail')) {
+            return 'fail';
+        }
+        return checks.some(check => check.status === 'warn') ? 'warn' : 'pass';
+    }
+    
+    /**
+     * Check that the signaling server answers
+     * Opens a throwaway peer unless we are already connected to the server.
+     * @param {Object} options The PeerJS options from ConnectionConfig
+     * @returns {Promise} Promise that resolves with the check result
+     */
+    async checkSignaling(options) {
+        const server = connectionConfig.describeServer();
+        if (peerManager.peer && peerManager.peer.open) {
+            return { status: 'pass', detail: `Connected to ${server}` };
+        }
+        
+        const started = performance.now();
+        const peer = new Peer(null, Object.assign({}, options, { debug: 0 }));
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    reject(new Error(`${server} did not respond within ${peerManager.signalingTimeout / 1000}s`));
+                }, peerManager.signalingTimeout);
+                peer.on('open', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                peer.on('error', (error) => {
+                    clearTimeout(timer);
+                    reject(new Error(`Cannot reach ${server} (${error.type})`));
+                });
+            });
+        } finally {
+            peer.destroy();
+        }
+        
+        const elapsed = Math.round(performance.now() - started);
+        return {
+            status: elapsed > this.slowSignalingMs ? 'warn' : 'pass',
+            detail: elapsed > this.slowSignalingMs
+                ? `${server} answered slowly (${elapsed}ms); connecting may take a while`
+                : `${server} answered in ${elapsed}ms`,
+            elapsedMs: elapsed
+        };
+    }
+    
+    /**
+     * Gather ICE candidates with the configured STUN and TURN servers and see what kinds we get
+     * Host candidates only work on the same network, server reflexive (srflx) ones across most NATs,
+     * and relay candidates wherever the TURN server can be reached.
+     * @param {Object} options The PeerJS options from ConnectionConfig
+     * @returns {Promise} Promise that resolves with the check result, including the candidate types
+     */
+    async checkIce(options) {
+        const peerConnection = new RTCPeerConnection(options.config);
+        const types = new Set();
+        
+        try {
+            peerConnection.createDataChannel('preflight');
+            const gathered = new Promise(resolve => {
+                const timer = setTimeout(resolve, this.gatherTimeout);
+                peerConnection.addEventListener('icecandidate', (event) => {
+                    if (!event.candidate) {
+                        clearTimeout(timer);
+                        resolve();
+                        return;
+                    }
+                    const type = event.candidate.type || (/ typ (\w+)/.exec(event.candidate.candidate) || [])[1];
+                    if (type) {
+                        types.add(type);
+                    }
+                });
+            });
+            await peerConnection.setLocalDescription(await peerConnection.createOffer());
+            await gathered;
+        } finally {
+            peerConnection.close();
+        }
+        
+        const list = Array.from(types);
+        const forceRelay = options.config.iceTransportPolicy === 'relay';
+        const turnConfigured = options.config.iceServers.some(server =>
+            [].concat(server.urls).some(url => /^turns?:/.test(url)));
+        const relayOnly = forceRelay || (types.has('relay') && !types.has('srflx'));
+        const result = { types: list, relayOnly: relayOnly };
+        
+        if (list.length === 0) {
+            return Object.assign(result, {
+                status: 'fail',
+                detail: forceRelay
+                    ? 'Force relay is on, but no TURN server answered'
+                    : 'No ICE candidates were gathered. Check your network and the ICE server list'
+            });
+        }
+        if (turnConfigured && !types.has('relay')) {
+            return Object.assign(result, {
+                status: 'warn',
+                detail: `Found ${list.join(', ')}, but the TURN server did not answer: there is no fallback if a direct path fails`
+            });
+        }
+        if (!types.has('srflx') && !types.has('relay')) {
+            return Object.assign(result, {
+                status: 'warn',
+                detail: 'Only local (host) candidates: peers on other networks may not reach you. Check the STUN servers or add a TURN server'
+            });
+        }
+        return Object.assign(result, {
+            status: 'pass',
+            detail: `Found ${list.join(', ')}${relayOnly ? ' (audio will go through the TURN relay)' : ''}`
+        });
+    }
+    
+    /**
+     * Send a chirp through a local loopback connection and find it in what comes out
+     * Two RTCPeerConnections in this page stand in for us and the remote side, so the audio goes
+     * through the same encoder, packetization, jitter buffer and decoder as in a session.
+     * @returns {Promise} Promise that resolves with the check result, including the pipeline latency
+     */
+    async checkLoopback() {
+        const context = audioManager.audioContext;
+        if (!context || !context.audioWorklet) {
+            return { status: 'warn', detail: 'This browser cannot record audio, so the loopback test was skipped' };
+        }
+        if (context.state !== 'running') {
+            await context.resume();
+        }
+        
+        const sender = new RTCPeerConnection();
+        const receiver = new RTCPeerConnection();
+        let recorder = null;
+        let chirpSource = null;
+        let playout = null;
+        
+        try {
+            const destination = context.createMediaStreamDestination();
+            sender.addTrack(destination.stream.getAudioTracks()[0], destination.stream);
+            
+            const received = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('No audio track arrived over the loopback connection')), this.gatherTimeout);
+                receiver.addEventListener('track', (event) => {
+                    clearTimeout(timer);
+                    resolve(event.streams[0] || new MediaStream([event.track]));
+                });
+            });
+            
+            // Without trickle ICE: each description already lists its host candidates
+            await sender.setLocalDescription(await sender.createOffer());
+            await this.waitForGathering(sender);
+            await receiver.setRemoteDescription(sender.localDescription);
+            await receiver.setLocalDescription(await receiver.createAnswer());
+            await this.waitForGathering(receiver);
+            await sender.setRemoteDescription(receiver.localDescription);
+            const stream = await received;
+            
+            // Chrome only feeds remote WebRTC audio into Web Audio while a media element plays it
+            playout = new Audio();
+            playout.muted = true;
+            playout.srcObject = stream;
+            playout.play().catch(() => {});
+            
+            recorder = await acousticMeter.startRecorder(context, context.createMediaStreamSource(stream));
+            
+            const chirp = acousticMeter.createChirp(context.sampleRate);
+            chirpSource = context.createBufferSource();
+            chirpSource.buffer = context.createBuffer(1, chirp.length, context.sampleRate);
+            chirpSource.buffer.copyToChannel(chirp, 0);
+            chirpSource.connect(destination);
+            
+            const startTime = context.currentTime + acousticMeter.leadIn;
+            const startFrame = Math.round(startTime * context.sampleRate);
+            chirpSource.start(startTime);
+            await new Promise(resolve => setTimeout(resolve,
+                (acousticMeter.leadIn + acousticMeter.chirpDuration + acousticMeter.maxRoundTrip) * 1000));
+            
+            const recording = await recorder.stop();
+            const found = acousticMeter.findChirp(recording.samples, chirp, startFrame - recording.startFrame);
+            const stats = await this.readLoopbackStats(receiver);
+            
+            if (!found || found.confidence < acousticMeter.minConfidence) {
+                return {
+                    status: 'fail',
+                    detail: stats.packetsReceived > 0
+                        ? 'Audio packets arrived, but the test sound did not come out of the decoder'
+                        : 'No audio came through the loopback connection'
+                };
+            }
+            
+            const latencyMs = found.lag / context.sampleRate * 1000;
+            const codec = stats.codec ? ` with ${stats.codec}` : '';
+            if (stats.concealment > this.maxConcealment) {
+                return {
+                    status: 'warn',
+                    detail: `The test sound came through${codec}, but ${stats.concealment.toFixed(1)}% of it had to be patched over. The computer may be overloaded`,
+                    latencyMs: latencyMs,
+                    concealment: stats.concealment
+                };
+            }
+            return {
+                status: 'pass',
+                detail: `The test sound came through${codec} in ${Math.round(latencyMs)}ms (encoding, jitter buffer and decoding)`,
+                latencyMs: latencyMs,
+                concealment: stats.concealment
+            };
+        } finally {
+            if (chirpSource) {
+                chirpSource.disconnect();
+            }
+            if (recorder) {
+                recorder.stop();
+            }
+            if (playout) {
+                playout.srcObject = null;
+            }
+            sender.close();
+            receiver.close();
+        }
+    }
+    
+    /**
+     * Wait until a connection has gathered its candidates
+     * @param {RTCPeerConnection} peerConnection The connection
+     * @returns {Promise} Promise that resolves when gathering is complete or has taken too long
+     */
+    waitForGathering(peerConnection) {
+        if (peerConnection.iceGatheringState === 'complete') {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, this.gatherTimeout);
+            peerConnection.addEventListener('icegatheringstatechange', () => {
+                if (peerConnection.iceGatheringState === 'complete') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Read what the loopback receiver got
+     * @param {RTCPeerConnection} receiver The receiving connection
+     * @returns {Promise} Promise that resolves with { packetsReceived, concealment, codec }
+     */
+    async readLoopbackStats(receiver) {
+        const result = { packetsReceived: 0, concealment: 0, codec: null };
+        const stats = await receiver.getStats();
+        stats.forEach(report => {
+            if (report.type !== 'inbound-rtp' || (report.kind !== 'audio' && report.mediaType !== 'audio')) {
+                return;
+            }
+            result.packetsReceived = report.packetsReceived || 0;
+            if (report.totalSamplesReceived > 0) {
+                result.concealment = (report.concealedSamples || 0) / report.totalSamplesReceived * 100;
+            }
+            const codec = report.codecId ? stats.get(report.codecId) : null;
+            if (codec && codec.mimeType) {
+                result.codec = codec.mimeType.replace(/^audio\//, '');
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * Watch the selected input for a moment and check that there is signal, but not too much
+     * @returns {Promise} Promise that resolves with the check result, including peak and average levels
+     */
+    async checkInput() {
+        if (audioManager.isListener) {
+            return { status: 'skip', detail: 'Listening only: there is no input to check' };
+        }
+        
+        const device = audioManager.getDeviceLabel(audioManager.selectedDeviceId);
+        const stream = audioManager.getLocalStream();
+        const track = stream ? stream.getAudioTracks()[0] : null;
+        if (!track || track.readyState !== 'live' || !audioManager.analyserLocal) {
+            return { status: 'fail', detail: `No live input from ${device}. Start audio input again` };
+        }
+        
+        const analyser = audioManager.analyserLocal;
+        const samples = new Float32Array(analyser.fftSize);
+        let peak = 0;
+        let sumSquares = 0;
+        let count = 0;
+        
+        const end = performance.now() + this.levelDuration;
+        while (performance.now() < end) {
+            analyser.getFloatTimeDomainData(samples);
+            for (let i = 0; i < samples.length; i++) {
+                peak = Math.max(peak, Math.abs(samples[i]));
+                sumSquares += samples[i] * samples[i];
+            }
+            count += samples.length;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        
+        const toDb = (value) => value > 0 ? 20 * Math.log10(value) : -Infinity;
+        const peakDb = toDb(peak);
+        const rmsDb = toDb(Math.sqrt(sumSquares / Math.max(1, count)));
+        const levels = { peakDb: isFinite(peakDb) ? peakDb : null, rmsDb: isFinite(rmsDb) ? rmsDb : null };
+        
+        if (track.muted) {
+            return Object.assign(levels, { status: 'warn', detail: `${device} is muted by the system` });
+        }
+        if (peakDb < this.silenceDb) {
+            return Object.assign(levels, {
+                status: 'warn',
+                detail: `No signal from ${device}. Start playback in your DAW and check the routing`
+            });
+        }
+        if (peakDb >= this.clipDb) {
+            return Object.assign(levels, {
+                status: 'warn',
+                detail: `${device} is clipping (peak ${peakDb.toFixed(1)} dBFS). Lower the output level in your DAW`
+            });
+        }
+        return Object.assign(levels, {
+            status: 'pass',
+            detail: `${device}: peak ${peakDb.toFixed(1)} dBFS, average ${rmsDb.toFixed(1)} dBFS`
+        });
+    }
+    
+    /**
+     * Recommend a buffer size and bitrate from the results
+     * The loopback test and the CPU decide the buffer size. The network information the browser
+     * offers (navigator.connection, where supported) and whether audio is relayed decide the bitrate.
+     * @param {Object} report The report from run
+     * @returns {Object} { bufferSize, bitrate, reasons }
+     */
+    recommend(report) {
+        const find = (id) => report.checks.find(check => check.id === id) || {};
+        const ice = find('ice');
+        const loopback = find('loopback');
+        const reasons = [];
+        
+        let bufferSize = 256;
+        if (loopback.status === 'fail' || loopback.concealment > this.maxConcealment) {
+            bufferSize = 1024;
+            reasons.push('Buffer size 1024: the loopback test lost or patched over audio');
+        } else if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) {
+            bufferSize = 512;
+            reasons.push(`Buffer size 512: this computer has only ${navigator.hardwareConcurrency} CPU cores`);
+        } else {
+            reasons.push('Buffer size 256: the local audio pipeline ran cleanly');
+        }
+        
+        let bitrate = 128000;
+        const network = navigator.connection;
+        if (network && network.saveData) {
+            bitrate = 64000;
+            reasons.push('64 kbps: data saver is on');
+        } else if (network && ['slow-2g', '2g', '3g'].includes(network.effectiveType)) {
+            bitrate = 64000;
+            reasons.push(`64 kbps: the browser reports a ${network.effectiveType} connection`);
+        } else if (network && typeof network.downlink === 'number' && network.downlink < 2) {
+            bitrate = 96000;
+            reasons.push(`96 kbps: the browser estimates ${network.downlink} Mbps of bandwidth`);
+        }
+        if (ice.relayOnly && bitrate > 96000) {
+            bitrate = 96000;
+            reasons.push('96 kbps: audio will go through a TURN relay, which shares its bandwidth');
+        }
+        if (bitrate === 128000) {
+            reasons.push('128 kbps: nothing suggests a slow connection');
+        }
+        
+        return { bufferSize: bufferSize, bitrate: bitrate, reasons: reasons };
+    }
+    
+    /**
+     * Use the recommended bitrate for Opus and as the send ceiling
+     * The buffer size cannot change while audio is running, so it is only shown.
+     */
+    applyRecommendations() {
+        if (!this.lastReport) {
+            return;
+        }
+        
+        const bitrate = String(this.lastReport.recommendations.bitrate);
+        ['#opusBitrateSelect', '#sendBitrateMaxSelect'].forEach(selector => {
+            const select = utils.$(selector);
+            if (Array.from(select.options).some(option => option.value === bitrate)) {
+                select.value = bitrate;
+                select.dispatchEvent(new Event('change'));
+            }
+        });
+        utils.showNotification(`Bitrate set to ${bitrate / 1000} kbps`, 'info');
+    }
+    
+    /**
+     * Show the checks and recommendations in the pre-flight panel
+     * @param {Object} report The report so far
+     */
+    renderReport(report) {
+        if (!this.resultsList) {
+            return;
+        }
+        
+        this.resultsList.innerHTML = '';
+        report.checks.forEach(check => {
+            const item = document.createElement('li');
+            item.className = `preflight-check preflight-${check.status}`;
+            
+            const status = document.createElement('span');
+            status.className = 'preflight-status';
+            status.textContent = check.status === 'running' ? '…' : check.status.toUpperCase();
+            
+            const label = document.createElement('span');
+            label.className = 'preflight-label';
+            label.textContent = check.label;
+            
+            const detail = document.createElement('span');
+            detail.className = 'preflight-detail';
+            detail.textContent = check.detail;
+            
+            item.appendChild(status);
+            item.appendChild(label);
+            item.appendChild(detail);
+            this.resultsList.appendChild(item);
+        });
+        
+        const recommendations = report.recommendations;
+        this.recommendationsEl.textContent = '';
+        this.applyBtn.style.display = recommendations ? '' : 'none';
+        if (!recommendations) {
+            return;
+        }
+        
+        const summary = document.createElement('div');
+        summary.className = `preflight-summary preflight-${report.status}`;
+        summary.textContent = `Overall: ${report.status.toUpperCase()}. Recommended buffer size ${recommendations.bufferSize}, ` +
+            `bitrate ${recommendations.bitrate / 1000} kbps`;
+        summary.title = recommendations.reasons.join('\n');
+        this.recommendationsEl.appendChild(summary);
+    }
+}
+
+// Create a global instance
+window.preflightCheck = new PreflightCheck();
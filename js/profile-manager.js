@@ -0,0 +1,219 @@
+/**
+ * Profile Manager for DAW Collaboration Tool
+ * Display name, instrument and colour for this user and every other participant
+ */
+
+class ProfileManager {
+    constructor() {
+        this.storageKey = 'daw-profile';
+        this.maxLength = 32; // For names and instruments
+        
+        // Colours offered to new users (one is picked at random)
+        this.palette = ['#bb86fc', '#03dac6', '#ffb74d', '#cf6679', '#81c784', '#64b5f6', '#f06292', '#fff176'];
+        
+        this.profile = this.load();
+        this.peerProfiles = {}; // Profiles of the other participants by peer ID
+        
+        this.registerMessageHandlers();
+    }
+    
+    /**
+     * Look up the profile inputs, fill them in and attach event listeners
+     */
+    initialize() {
+        this.displayNameInput = utils.$('#displayNameInput');
+        this.instrumentInput = utils.$('#instrumentInput');
+        this.profileColorInput = utils.$('#profileColorInput');
+        
+        this.displayNameInput.value = this.profile.name;
+        this.instrumentInput.value = this.profile.instrument;
+        this.profileColorInput.value = this.profile.color;
+        
+        [this.displayNameInput, this.instrumentInput, this.profileColorInput].forEach(element => {
+            element.addEventListener('change', () => {
+                this.update({
+                    name: this.displayNameInput.value,
+                    instrument: this.instrumentInput.value,
+                    color: this.profileColorInput.value
+                });
+            });
+        });
+    }
+    
+    /**
+     * Register the profile message with the message protocol
+     */
+    registerMessageHandlers() {
+        // Sent when a participant edits their profile during the session
+        messageProtocol.register('profile', { profile: 'object' }, (data, conn) => {
+            this.setPeerProfile(conn.peer, data.profile);
+        });
+    }
+    
+    /**
+     * Load the profile saved from the last visit
+     * @returns {Object} The profile
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                return this.normalize(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn(`Ignoring saved profile: ${error.message}`);
+        }
+        
+        return this.normalize({
+            color: this.palette[Math.floor(Math.random() * this.palette.length)]
+        });
+    }
+    
+    /**
+     * Trim a profile to known fields and sane values
+     * Profiles come from other peers, so nothing in them is trusted
+     * @param {Object} profile The raw profile
+     * @returns {Object} { name, instrument, color }
+     */
+    normalize(profile) {
+        const text = (value) => typeof value === 'string' ? value.trim().slice(0, this.maxLength) : '';
+        const color = profile && typeof profile.color === 'string' && /^#[0-9a-f]{6}$/i.test(profile.color)
+            ? profile.color.toLowerCase()
+            : this.palette[0];
+        
+        return {
+            name: text(profile && profile.name),
+            instrument: text(profile && profile.instrument),
+            color: color
+        };
+    }
+    
+    /**
+     * Change our profile, save it for next time and tell the other participants
+     * @param {Object} changes The fields to change
+     */
+    update(changes) {
+        this.profile = this.normalize(Object.assign({}, this.profile, changes));
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+        } catch (error) {
+            utils.log(`Could not save profile: ${error.message}`);
+        }
+        
+        utils.log(`Profile: ${this.describe(this.profile) || 'no name set'}`);
+        
+        if (window.peerManager) {
+            peerManager.sendToAllPeers({ type: 'profile', profile: this.getProfile() });
+        }
+        if (window.chatManager) {
+            chatManager.renderAll();
+        }
+    }
+    
+    /**
+     * Get a copy of our profile for sending to peers
+     * @returns {Object} The profile
+     */
+    getProfile() {
+        return Object.assign({}, this.profile);
+    }
+    
+    /**
+     * Store a participant's profile and refresh everywhere it is shown
+     * @param {string} peerId The ID of the peer
+     * @param {Object} profile The profile they sent
+     */
+    setPeerProfile(peerId, profile) {
+        const normalized = this.normalize(profile);
+        const previous = this.peerProfiles[peerId];
+        this.peerProfiles[peerId] = normalized;
+        
+        if (!previous || previous.name !== normalized.name || previous.instrument !== normalized.instrument) {
+            utils.log(`${peerId} is ${this.describe(normalized) || 'unnamed'}`);
+        }
+        
+        UIController.updatePeerProfile(peerId);
+        if (window.chatManager) {
+            chatManager.renderAll();
+        }
+    }
+    
+    /**
+     * Forget a participant's profile once they have left
+     * @param {string} peerId The ID of the peer
+     */
+    forgetPeer(peerId) {
+        delete this.peerProfiles[peerId];
+    }
+    
+    /**
+     * Get a participant's profile, or our own
+     * @param {string} peerId The ID of the peer
+     * @returns {Object|null} The profile, or null if they have not sent one
+     */
+    getPeerProfile(peerId) {
+        if (window.peerManager && peerId === peerManager.peerId) {
+            return this.profile;
+        }
+        return this.peerProfiles[peerId] || null;
+    }
+    
+    /**
+     * Get the name to show for a participant
+     * @param {string} peerId The ID of the peer
+     * @returns {string} Their display name, or their peer ID if they have not set one
+     */
+    getDisplayName(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        return profile && profile.name ? profile.name : peerId;
+    }
+    
+    /**
+     * Get the colour to show for a participant
+     * @param {string} peerId The ID of the peer
+     * @returns {string|null} The colour, or null if they have not sent a profile
+     */
+    getColor(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        return profile ? profile.color : null;
+    }
+    
+    /**
+     * Get the initials shown in a participant's avatar
+     * @param {string} peerId The ID of the peer
+     * @returns {string} One or two letters
+     */
+    getInitials(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        const source = profile && profile.name ? profile.name : peerId.replace(/^daw-/, '');
+        const words = source.split(/\s+/).filter(Boolean);
+        const initials = words.length > 1 ? words[0][0] + words[1][0] : source.slice(0, 2);
+        return initials.toUpperCase();
+    }
+    
+    /**
+     * Describe a profile as "Name (Instrument)"
+     * @param {Object} profile The profile
+     * @returns {string} The description, empty if no name is set
+     */
+    describe(profile) {
+        if (!profile.name) {
+            return '';
+        }
+        return profile.instrument ? `${profile.name} (${profile.instrument})` : profile.name;
+    }
+    
+    /**
+     * Name a participant in the session log: "Name [peer ID]", or just the peer ID
+     * @param {string} peerId The ID of the peer
+     * @returns {string} The label
+     */
+    getLogName(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        return profile && profile.name ? `${profile.name} [${peerId}]` : peerId;
+    }
+}
+
+// Create global profile manager instance
+window.profileManager = new ProfileManager();
@@ -0,0 +1,371 @@
+/**
+ * Quality Score for DAW Collaboration Tool
+ * A 1-5 rating of each connection for playing music together, with a history kept across sessions
+ */
+
+class QualityScore {
+    constructor() {
+        this.storageKey = 'daw-quality-history';
+        this.maxSessions = 50; // Session summaries kept in the history
+        this.saveInterval = 30000; // How often running sessions are saved, in case the page is closed (ms)
+        
+        // E-model constants (ITU-T G.107), with the delay and loss terms tuned for music
+        this.baseR = 93.2; // Transmission rating with no impairments
+        this.delayFreeMs = 20; // One-way delay musicians barely notice: a few metres of air (ms)
+        this.delayFactor = 0.8; // R lost per ms of one-way delay beyond that
+        this.lossRobustness = 10; // Bpl: lower than speech codecs, as gaps are easier to hear in music
+        this.processingMs = 10; // Encoding, packetization and decoding, one way (ms)
+        
+        this.scores = {}; // Latest score by peer ID
+        this.sessions = {}; // Running summary of this session by peer ID
+        this.history = this.load(); // Finished and running session summaries, newest first
+        this.savedAt = 0;
+    }
+    
+    /**
+     * Look up the history panel, show the saved history and attach event listeners
+     */
+    initialize() {
+        this.historyList = utils.$('#qualityHistoryList');
+        utils.$('#clearQualityHistoryBtn').addEventListener('click', () => this.clearHistory());
+        
+        // Save the sessions still running when the page is closed
+        window.addEventListener('beforeunload', () => this.save());
+        
+        this.renderHistory();
+    }
+    
+    /**
+     * Load the history saved from earlier sessions
+     * @returns {Array} The session summaries
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(saved)) {
+                return saved.filter(entry => entry && typeof entry.id === 'string' && typeof entry.avgScore === 'number');
+            }
+        } catch (error) {
+            console.warn(`Ignoring saved quality history: ${error.message}`);
+        }
+        return [];
+    }
+    
+    /**
+     * Save the history, including the sessions still running
+     */
+    save() {
+        Object.values(this.sessions).forEach(session => this.storeSession(session));
+        this.savedAt = Date.now();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            utils.log(`Could not save quality history: ${error.message}`);
+        }
+        this.renderHistory();
+    }
+    
+    /**
+     * Compute a peer's score from its current stats
+     * R = R0 - Id - Ie,eff as in the E-model. Id grows from the one-way delay, which adds half the RTT,
+     * the playout delay and processing. Ie,eff grows with whichever is worse of packet loss and concealment.
+     * @param {string} peerId The peer ID
+     * @returns {Object|null} { score, label, level, r, delayImpairment, lossImpairment, oneWayMs,
+     *                          bufferMs, jitter, lossPercent, explanation }, or null without an RTT
+     */
+    compute(peerId) {
+        const stats = latencyMonitor.getStats(peerId);
+        if (stats.rtt === null) {
+            return null;
+        }
+        
+        // Time spent in the jitter buffer: what the browser reports, or twice the jitter as a rule of thumb
+        const jitterBuffer = peerManager.jitterBuffers[peerId];
+        const bufferMs = jitterBuffer && jitterBuffer.effectiveMs !== null && jitterBuffer.effectiveMs !== undefined
+            ? jitterBuffer.effectiveMs
+            : 2 * (stats.jitter || 0);
+        const oneWayMs = stats.rtt / 2 + bufferMs + this.processingMs;
+        const delayImpairment = Math.max(0, oneWayMs - this.delayFreeMs) * this.delayFactor;
+        
+        const lossPercent = Math.max(stats.packetLoss || 0, stats.concealment || 0);
+        const lossImpairment = 95 * lossPercent / (lossPercent + this.lossRobustness);
+        
+        const r = Math.max(0, Math.min(100, this.baseR - delayImpairment - lossImpairment));
+        const score = this.toScore(r);
+        
+        const result = {
+            score: score,
+            label: this.getLabel(score),
+            level: score >= 3.6 ? 'good' : (score >= 2.6 ? 'medium' : 'poor'),
+            r: r,
+            delayImpairment: delayImpairment,
+            lossImpairment: lossImpairment,
+            oneWayMs: oneWayMs,
+            bufferMs: bufferMs,
+            jitter: stats.jitter || 0,
+            lossPercent: lossPercent,
+            measuredAt: Date.now()
+        };
+        result.explanation = this.explain(result);
+        return result;
+    }
+    
+    /**
+     * Convert an R value to a score from 1 to 5
+     * The E-model's MOS tops out at 4.5; it is stretched so a flawless connection scores 5.
+     * @param {number} r The R value (0-100)
+     * @returns {number} The score
+     */
+    toScore(r) {
+        let mos;
+        if (r <= 0) {
+            mos = 1;
+        } else if (r >= 100) {
+            mos = 4.5;
+        } else {
+            mos = 1 + 0.035 * r + r * (r - 60) * (100 - r) * 7e-6;
+        }
+        return Math.max(1, Math.min(5, 1 + (mos - 1) * 4 / 3.5));
+    }
+    
+    /**
+     * Get the word for a score
+     * @param {number} score The score
+     * @returns {string} 'Excellent', 'Good', 'Fair', 'Poor' or 'Bad'
+     */
+    getLabel(score) {
+        if (score >= 4.3) {
+            return 'Excellent';
+        } else if (score >= 3.6) {
+            return 'Good';
+        } else if (score >= 3.1) {
+            return 'Fair';
+        } else if (score >= 2.6) {
+            return 'Poor';
+        }
+        return 'Bad';
+    }
+    
+    /**
+     * Explain a score in a musician's terms, from whichever impairment costs the most
+     * @param {Object} result The score from compute
+     * @returns {string} A short explanation
+     */
+    explain(result) {
+        if (result.score >= 4.3) {
+            return 'Good for tight rhythm playing';
+        }
+        
+        if (result.lossImpairment >= result.delayImpairment) {
+            return result.lossPercent >= 3
+                ? 'Frequent dropouts: audio is being lost or patched over'
+                : 'Occasional dropouts may be audible';
+        }
+        
+        // Delay dominates: say whether the network or the buffering is to blame
+        if (result.bufferMs > result.oneWayMs / 2) {
+            return result.jitter > result.bufferMs / 4
+                ? 'Unsteady network timing forces a large buffer, adding delay'
+                : 'Buffering adds most of the delay; try a lower playout delay';
+        }
+        if (result.oneWayMs >= 80) {
+            return 'Too much delay to play in time; take turns or play over a fixed part';
+        }
+        return result.oneWayMs >= 30
+            ? 'Too much delay for tight rhythm playing'
+            : 'Slight delay; fine for most playing';
+    }
+    
+    /**
+     * Score a peer, show it and add it to this session's summary
+     * @param {string} peerId The peer ID
+     * @returns {Object|null} The score from compute
+     */
+    update(peerId) {
+        const result = this.compute(peerId);
+        if (!result) {
+            delete this.scores[peerId];
+            this.render(peerId);
+            return null;
+        }
+        this.scores[peerId] = result;
+        
+        const stats = latencyMonitor.getStats(peerId);
+        const session = this.sessions[peerId] || (this.sessions[peerId] = {
+            id: `${peerManager.sessionId || 'session'}:${peerId}:${result.measuredAt}`,
+            sessionId: peerManager.sessionId,
+            name: profileManager.getDisplayName(peerId),
+            startedAt: result.measuredAt,
+            samples: 0,
+            totals: { score: 0, rtt: 0, jitter: 0, loss: 0 }
+        });
+        session.name = profileManager.getDisplayName(peerId);
+        session.endedAt = result.measuredAt;
+        session.samples++;
+        session.totals.score += result.score;
+        session.totals.rtt += stats.rtt;
+        session.totals.jitter += stats.jitter || 0;
+        session.totals.loss += result.lossPercent;
+        session.minScore = Math.min(session.minScore === undefined ? 5 : session.minScore, result.score);
+        
+        if (Date.now() - this.savedAt > this.saveInterval) {
+            this.save();
+        }
+        this.render(peerId);
+        return result;
+    }
+    
+    /**
+     * Write a running session into the history as a summary
+     * @param {Object} session The running session
+     */
+    storeSession(session) {
+        if (session.samples === 0) {
+            return;
+        }
+        
+        const summary = {
+            id: session.id,
+            sessionId: session.sessionId,
+            name: session.name,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            samples: session.samples,
+            avgScore: session.totals.score / session.samples,
+            minScore: session.minScore,
+            avgRtt: session.totals.rtt / session.samples,
+            avgJitter: session.totals.jitter / session.samples,
+            avgLoss: session.totals.loss / session.samples
+        };
+        
+        const index = this.history.findIndex(entry => entry.id === summary.id);
+        if (index >= 0) {
+            this.history[index] = summary;
+        } else {
+            this.history.unshift(summary);
+        }
+        this.history = this.history.slice(0, this.maxSessions);
+    }
+    
+    /**
+     * Finish a peer's session summary when it leaves
+     * @param {string} peerId The peer ID
+     */
+    finishPeer(peerId) {
+        const session = this.sessions[peerId];
+        delete this.scores[peerId];
+        if (!session) {
+            return;
+        }
+        
+        delete this.sessions[peerId];
+        this.storeSession(session);
+        this.save();
+    }
+    
+    /**
+     * Get a peer's latest score
+     * @param {string} peerId The peer ID
+     * @returns {Object|null} The score from compute
+     */
+    getScore(peerId) {
+        return this.scores[peerId] || null;
+    }
+    
+    /**
+     * Get earlier sessions with someone of this name, for comparison
+     * @param {string} name The display name
+     * @param {string} excludeId The summary ID of the running session
+     * @returns {Array} Session summaries, newest first
+     */
+    getPreviousSessions(name, excludeId) {
+        return this.history.filter(entry => entry.name === name && entry.id !== excludeId);
+    }
+    
+    /**
+     * Show a peer's score next to its latency stats
+     * @param {string} peerId The peer ID
+     */
+    render(peerId) {
+        const scoreEl = utils.$(`#score-${peerId}`);
+        if (!scoreEl) {
+            return;
+        }
+        
+        const result = this.scores[peerId];
+        scoreEl.classList.remove('latency-good', 'latency-medium', 'latency-poor');
+        if (!result) {
+            scoreEl.textContent = '';
+            scoreEl.title = '';
+            return;
+        }
+        
+        scoreEl.classList.add(`latency-${result.level}`);
+        scoreEl.textContent = `${result.score.toFixed(1)}/5 ${result.label}: ${result.explanation}`;
+        
+        const session = this.sessions[peerId];
+        const previous = this.getPreviousSessions(profileManager.getDisplayName(peerId), session ? session.id : null).slice(0, 3);
+        const comparison = previous.length > 0
+            ? ` Earlier sessions: ${previous.map(entry => `${entry.avgScore.toFixed(1)} on ${new Date(entry.startedAt).toLocaleDateString()}`).join(', ')}.`
+            : '';
+        const average = session && session.samples > 1 ? ` Session average ${(session.totals.score / session.samples).toFixed(1)}.` : '';
+        
+        scoreEl.title = `Estimated from an E-model rating of ${Math.round(result.r)}: ` +
+            `one-way delay about ${Math.round(result.oneWayMs)}ms (${Math.round(result.bufferMs)}ms of it buffering) costs ${Math.round(result.delayImpairment)}, ` +
+            `${result.lossPercent.toFixed(1)}% lost or concealed audio costs ${Math.round(result.lossImpairment)}.` +
+            average + comparison;
+    }
+    
+    /**
+     * Show the saved session summaries
+     */
+    renderHistory() {
+        if (!this.historyList) {
+            return;
+        }
+        
+        this.historyList.innerHTML = '';
+        if (this.history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'quality-history-empty';
+            empty.textContent = 'No sessions scored yet';
+            this.historyList.appendChild(empty);
+            return;
+        }
+        
+        this.history.forEach(entry => {
+            const item = document.createElement('li');
+            
+            const score = document.createElement('span');
+            score.className = `quality-history-score latency-${entry.avgScore >= 3.6 ? 'good' : (entry.avgScore >= 2.6 ? 'medium' : 'poor')}`;
+            score.textContent = entry.avgScore.toFixed(1);
+            
+            const details = document.createElement('span');
+            const minutes = Math.max(1, Math.round((entry.endedAt - entry.startedAt) / 60000));
+            details.textContent = `${entry.name} \u00b7 ${new Date(entry.startedAt).toLocaleString()} \u00b7 ${minutes} min`;
+            details.title = `Lowest ${entry.minScore.toFixed(1)}, average RTT ${Math.round(entry.avgRtt)}ms, ` +
+                `jitter ${entry.avgJitter.toFixed(1)}ms, loss ${entry.avgLoss.toFixed(1)}%`;
+            
+            item.appendChild(score);
+            item.appendChild(details);
+            this.historyList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Forget all saved sessions
+     */
+    clearHistory() {
+        this.history = [];
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            utils.log(`Could not clear quality history: ${error.message}`);
+        }
+        utils.log('Quality score history cleared');
+        this.renderHistory();
+    }
+}
+
+// Create a global instance
+window.qualityScore = new QualityScore();
@@ -0,0 +1,243 @@
+/**
+ * Quality Thresholds for DAW Collaboration Tool
+ * Limits that decide when a connection counts as good, medium or poor, and how readily it changes level
+ */
+
+class QualityThresholds {
+    constructor() {
+        this.storageKey = 'daw-quality-thresholds';
+        this.metrics = ['rtt', 'jitter', 'packetLoss'];
+        
+        // Built-in profiles: a value below the "good" limit is good, below "medium" is medium, otherwise poor
+        this.profiles = {
+            tight: {
+                label: 'Tight (duos, rhythmic playing)',
+                good: { rtt: 30, jitter: 8, packetLoss: 0.5 },
+                medium: { rtt: 60, jitter: 20, packetLoss: 2 }
+            },
+            balanced: {
+                label: 'Balanced',
+                good: { rtt: 50, jitter: 15, packetLoss: 1 },
+                medium: { rtt: 100, jitter: 30, packetLoss: 5 }
+            },
+            relaxed: {
+                label: 'Relaxed (ambient, drones)',
+                good: { rtt: 150, jitter: 40, packetLoss: 3 },
+                medium: { rtt: 300, jitter: 80, packetLoss: 10 }
+            }
+        };
+        
+        this.defaults = {
+            profile: 'balanced',
+            custom: null, // { good, medium } once the user edits a limit
+            hysteresis: 10, // A limit must be beaten by this much (%) to move to a better level
+            minDuration: 4 // A new level must hold this long before it is shown (seconds)
+        };
+        
+        this.settings = this.load();
+    }
+    
+    /**
+     * Look up the threshold inputs, fill them in and attach event listeners
+     */
+    initialize() {
+        this.profileSelect = utils.$('#qualityProfileSelect');
+        this.hysteresisInput = utils.$('#qualityHysteresisInput');
+        this.minDurationInput = utils.$('#qualityMinDurationInput');
+        this.limitInputs = {};
+        ['good', 'medium'].forEach(level => {
+            this.limitInputs[level] = {};
+            this.metrics.forEach(metric => {
+                this.limitInputs[level][metric] = utils.$(`#quality-${level}-${metric}`);
+            });
+        });
+        
+        Object.keys(this.profiles).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = this.profiles[name].label;
+            this.profileSelect.appendChild(option);
+        });
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        this.profileSelect.appendChild(custom);
+        
+        this.profileSelect.addEventListener('change', () => {
+            const profile = this.profileSelect.value;
+            if (profile === 'custom' && !this.settings.custom) {
+                this.update({ profile: profile, custom: this.readLimitInputs() });
+            } else {
+                this.update({ profile: profile });
+            }
+        });
+        
+        // Editing a limit switches to the custom profile, starting from the limits shown
+        ['good', 'medium'].forEach(level => {
+            this.metrics.forEach(metric => {
+                this.limitInputs[level][metric].addEventListener('change', () => {
+                    this.update({ profile: 'custom', custom: this.readLimitInputs() });
+                });
+            });
+        });
+        
+        [this.hysteresisInput, this.minDurationInput].forEach(element => {
+            element.addEventListener('change', () => {
+                this.update({
+                    hysteresis: parseFloat(this.hysteresisInput.value),
+                    minDuration: parseFloat(this.minDurationInput.value)
+                });
+            });
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * Load the thresholds saved from the last visit
+     * @returns {Object} The settings
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                return this.normalize(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn(`Ignoring saved quality thresholds: ${error.message}`);
+        }
+        return this.normalize({});
+    }
+    
+    /**
+     * Trim settings to known fields and sane values
+     * @param {Object} raw The raw settings
+     * @returns {Object} { profile, custom, hysteresis, minDuration }
+     */
+    normalize(raw) {
+        const number = (value, fallback, min, max) =>
+            typeof value === 'number' && isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        
+        const profile = raw && (raw.profile === 'custom' || this.profiles[raw.profile]) ? raw.profile : this.defaults.profile;
+        
+        // Custom limits start from the balanced profile, and a medium limit is never below its good limit
+        let custom = null;
+        if (raw && raw.custom && typeof raw.custom === 'object') {
+            const base = this.profiles.balanced;
+            custom = { good: {}, medium: {} };
+            this.metrics.forEach(metric => {
+                const good = number(raw.custom.good && raw.custom.good[metric], base.good[metric], 0, 10000);
+                custom.good[metric] = good;
+                custom.medium[metric] = Math.max(good, number(raw.custom.medium && raw.custom.medium[metric], base.medium[metric], 0, 10000));
+            });
+        }
+        
+        return {
+            profile: profile === 'custom' && !custom ? this.defaults.profile : profile,
+            custom: custom,
+            hysteresis: number(raw && raw.hysteresis, this.defaults.hysteresis, 0, 50),
+            minDuration: number(raw && raw.minDuration, this.defaults.minDuration, 0, 60)
+        };
+    }
+    
+    /**
+     * Change the settings, save them for next time and re-evaluate every peer
+     * @param {Object} changes The fields to change
+     */
+    update(changes) {
+        this.settings = this.normalize(Object.assign({}, this.settings, changes));
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            utils.log(`Could not save quality thresholds: ${error.message}`);
+        }
+        
+        const limits = this.getThresholds();
+        utils.log(`Quality thresholds: ${this.getProfileLabel()} (good below ${this.describeLimits(limits.good)}, ` +
+            `medium below ${this.describeLimits(limits.medium)}), hysteresis ${this.settings.hysteresis}%, ` +
+            `minimum duration ${this.settings.minDuration}s`);
+        
+        this.render();
+        if (window.latencyMonitor) {
+            latencyMonitor.resetQuality();
+        }
+    }
+    
+    /**
+     * Get the limits in use
+     * @returns {Object} { good: { rtt, jitter, packetLoss }, medium: { rtt, jitter, packetLoss } }
+     */
+    getThresholds() {
+        return this.settings.profile === 'custom' ? this.settings.custom : this.profiles[this.settings.profile];
+    }
+    
+    /**
+     * Get the name of the profile in use
+     * @returns {string} The profile's label
+     */
+    getProfileLabel() {
+        return this.settings.profile === 'custom' ? 'Custom' : this.profiles[this.settings.profile].label;
+    }
+    
+    /**
+     * Describe a set of limits for the log
+     * @param {Object} limits { rtt, jitter, packetLoss }
+     * @returns {string} The description
+     */
+    describeLimits(limits) {
+        return `${limits.rtt}ms RTT, ${limits.jitter}ms jitter, ${limits.packetLoss}% loss`;
+    }
+    
+    /**
+     * Get the hysteresis as a factor applied to the limits when moving to a better level
+     * @returns {number} The factor, e.g. 0.9 for 10%
+     */
+    getRecoveryScale() {
+        return 1 - this.settings.hysteresis / 100;
+    }
+    
+    /**
+     * Get how long a new level must hold before it is shown
+     * @returns {number} The duration (ms)
+     */
+    getMinDuration() {
+        return this.settings.minDuration * 1000;
+    }
+    
+    /**
+     * Read the limits from the inputs
+     * @returns {Object} { good, medium }
+     */
+    readLimitInputs() {
+        const limits = { good: {}, medium: {} };
+        ['good', 'medium'].forEach(level => {
+            this.metrics.forEach(metric => {
+                limits[level][metric] = parseFloat(this.limitInputs[level][metric].value);
+            });
+        });
+        return limits;
+    }
+    
+    /**
+     * Show the settings in the inputs
+     */
+    render() {
+        if (!this.profileSelect) {
+            return;
+        }
+        
+        const limits = this.getThresholds();
+        this.profileSelect.value = this.settings.profile;
+        ['good', 'medium'].forEach(level => {
+            this.metrics.forEach(metric => {
+                this.limitInputs[level][metric].value = limits[level][metric];
+            });
+        });
+        this.hysteresisInput.value = this.settings.hysteresis;
+        this.minDurationInput.value = this.settings.minDuration;
+    }
+}
+
+// Create a global instance
+window.qualityThresholds = new QualityThresholds();
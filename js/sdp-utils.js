@@ -0,0 +1,268 @@
+/**
+ * SDP Utilities for DAW Collaboration Tool
+ * Parses session descriptions into sections and lines, edits them and writes them back
+ */
+
+class SdpUtils {
+    /**
+     * Parse an SDP string
+     * @param {string} sdp The session description
+     * @returns {Object} { session: [lines], media: [{ kind, port, proto, formats, lines }] }
+     */
+    static parse(sdp) {
+        const parsed = { session: [], media: [] };
+        let section = null;
+        
+        sdp.split(/\r?\n/).filter(line => line.length > 0).forEach(raw => {
+            const line = SdpUtils.parseLine(raw);
+            
+            if (line.type === 'm') {
+                const [kind, port, proto, ...formats] = line.value.split(' ');
+                section = { kind, port: parseInt(port), proto, formats, lines: [] };
+                parsed.media.push(section);
+            } else if (section) {
+                section.lines.push(line);
+            } else {
+                parsed.session.push(line);
+            }
+        });
+        
+        return parsed;
+    }
+    
+    /**
+     * Parse a single SDP line
+     * @param {string} raw The line, e.g. "a=rtpmap:111 opus/48000/2"
+     * @returns {Object} { type, value } plus { name } for attributes
+     */
+    static parseLine(raw) {
+        const type = raw.charAt(0);
+        const value = raw.slice(2);
+        
+        if (type !== 'a') {
+            return { type, value };
+        }
+        
+        // Attributes are either "a=name" or "a=name:value"
+        const colon = value.indexOf(':');
+        return colon === -1
+            ? { type, name: value, value: null }
+            : { type, name: value.slice(0, colon), value: value.slice(colon + 1) };
+    }
+    
+    /**
+     * Write a parsed SDP back to a string
+     * @param {Object} parsed The parsed SDP
+     * @returns {string} The session description
+     */
+    static serialize(parsed) {
+        const lines = parsed.session.map(SdpUtils.serializeLine);
+        
+        parsed.media.forEach(section => {
+            lines.push(`m=${section.kind} ${section.port} ${section.proto} ${section.formats.join(' ')}`);
+            section.lines.forEach(line => lines.push(SdpUtils.serializeLine(line)));
+        });
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Write a single parsed line
+     * @param {Object} line The parsed line
+     * @returns {string} The SDP line
+     */
+    static serializeLine(line) {
+        if (line.type !== 'a') {
+            return `${line.type}=${line.value}`;
+        }
+        return line.value === null ? `a=${line.name}` : `a=${line.name}:${line.value}`;
+    }
+    
+    /**
+     * Get the values of every attribute with a name in a media section
+     * @param {Object} section The media section
+     * @param {string} name The attribute name
+     * @returns {Array} The attribute values
+     */
+    static getAttributes(section, name) {
+        return section.lines
+            .filter(line => line.type === 'a' && line.name === name)
+            .map(line => line.value);
+    }
+    
+    /**
+     * Set an attribute, replacing the first one with the same name or appending it
+     * @param {Object} section The media section
+     * @param {string} name The attribute name
+     * @param {string|null} value The attribute value (null for flag attributes)
+     */
+    static setAttribute(section, name, value) {
+        const existing = section.lines.find(line => line.type === 'a' && line.name === name);
+        if (existing) {
+            existing.value = value;
+        } else {
+            section.lines.push({ type: 'a', name, value });
+        }
+    }
+    
+    /**
+     * Remove attributes matching a test
+     * @param {Object} section The media section
+     * @param {string} name The attribute name
+     * @param {Function} test Optional test on the attribute value
+     */
+    static removeAttributes(section, name, test = () => true) {
+        section.lines = section.lines.filter(line => !(line.type === 'a' && line.name === name && test(line.value)));
+    }
+    
+    /**
+     * List the codecs offered in a media section, in preference order
+     * @param {Object} section The media section
+     * @returns {Array} [{ payloadType, name, clockRate, channels, params }]
+     */
+    static getCodecs(section) {
+        const rtpmaps = {};
+        SdpUtils.getAttributes(section, 'rtpmap').forEach(value => {
+            const match = value.match(/^(\d+) ([^/]+)\/(\d+)(?:\/(\d+))?/);
+            if (match) {
+                rtpmaps[match[1]] = {
+                    name: match[2],
+                    clockRate: parseInt(match[3]),
+                    channels: match[4] ? parseInt(match[4]) : 1
+                };
+            }
+        });
+        
+        return section.formats
+            .filter(pt => rtpmaps[pt])
+            .map(pt => Object.assign({ payloadType: pt, params: SdpUtils.getFmtpParams(section, pt) }, rtpmaps[pt]));
+    }
+    
+    /**
+     * Find a codec by name in a media section
+     * @param {Object} section The media section
+     * @param {string} name The codec name, e.g. 'opus'
+     * @returns {Object|null} The codec, or null if not offered
+     */
+    static findCodec(section, name) {
+        return SdpUtils.getCodecs(section).find(codec => codec.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+    
+    /**
+     * Get the format parameters of a payload type
+     * @param {Object} section The media section
+     * @param {string} payloadType The payload type
+     * @returns {Object} Parameter names and values (null for bare values such as "0-15")
+     */
+    static getFmtpParams(section, payloadType) {
+        const prefix = `${payloadType} `;
+        const value = SdpUtils.getAttributes(section, 'fmtp').find(fmtp => fmtp.startsWith(prefix));
+        const params = {};
+        
+        if (value) {
+            value.slice(prefix.length).split(';').forEach(pair => {
+                const [key, ...rest] = pair.trim().split('=');
+                if (key) {
+                    params[key] = rest.length > 0 ? rest.join('=') : null;
+                }
+            });
+        }
+        return params;
+    }
+    
+    /**
+     * Merge format parameters into a payload type's fmtp line
+     * @param {Object} section The media section
+     * @param {string} payloadType The payload type
+     * @param {Object} params Parameters to set; undefined values remove the parameter
+     */
+    static setFmtpParams(section, payloadType, params) {
+        const merged = Object.assign(SdpUtils.getFmtpParams(section, payloadType), params);
+        const value = `${payloadType} ` + Object.keys(merged)
+            .filter(key => merged[key] !== undefined)
+            .map(key => merged[key] === null ? key : `${key}=${merged[key]}`)
+            .join(';');
+        
+        const prefix = `${payloadType} `;
+        const existing = section.lines.find(line => line.type === 'a' && line.name === 'fmtp' && line.value.startsWith(prefix));
+        if (existing) {
+            existing.value = value;
+            return;
+        }
+        
+        // Keep the new fmtp line next to its rtpmap
+        const rtpmapIndex = section.lines.findIndex(line => line.type === 'a' && line.name === 'rtpmap' && line.value.startsWith(prefix));
+        const insertAt = rtpmapIndex === -1 ? section.lines.length : rtpmapIndex + 1;
+        section.lines.splice(insertAt, 0, { type: 'a', name: 'fmtp', value });
+    }
+    
+    /**
+     * Move the preferred codecs to the front of every audio section
+     * Browsers send with the first codec both sides support, in the answer's order
+     * @param {string} sdp The session description
+     * @param {Array} names Codec names in order of preference, e.g. ['opus', 'G722']
+     * @returns {string} The modified session description
+     */
+    static preferCodecs(sdp, names) {
+        const parsed = SdpUtils.parse(sdp);
+        const order = names.map(name => name.toLowerCase());
+        
+        parsed.media.filter(section => section.kind === 'audio').forEach(section => {
+            const codecNames = {};
+            SdpUtils.getCodecs(section).forEach(codec => {
+                codecNames[codec.payloadType] = codec.name.toLowerCase();
+            });
+            
+            // Unlisted formats (CN, telephone-event, red...) keep their place after the listed ones
+            const rank = (pt) => {
+                const index = order.indexOf(codecNames[pt]);
+                return index === -1 ? order.length : index;
+            };
+            section.formats = section.formats.slice().sort((a, b) => rank(a) - rank(b));
+        });
+        
+        return SdpUtils.serialize(parsed);
+    }
+    
+    /**
+     * Apply the Opus encoder settings to every audio section
+     * @param {string} sdp The session description
+     * @param {Object} settings Opus settings from AudioManager.getOpusSettings()
+     * @returns {string} The modified session description
+     */
+    static applyOpusSettings(sdp, settings) {
+        const parsed = SdpUtils.parse(sdp);
+        
+        parsed.media.filter(section => section.kind === 'audio').forEach(section => {
+            const opus = SdpUtils.findCodec(section, 'opus');
+            if (!opus) {
+                return;
+            }
+            
+            SdpUtils.setFmtpParams(section, opus.payloadType, {
+                minptime: Math.min(10, settings.ptime),
+                useinbandfec: settings.useInbandFec ? 1 : 0,
+                usedtx: settings.useDtx ? 1 : 0,
+                stereo: settings.stereo ? 1 : 0,
+                'sprop-stereo': settings.stereo ? 1 : 0,
+                maxaveragebitrate: settings.maxAverageBitrate,
+                maxplaybackrate: settings.maxPlaybackRate,
+                cbr: settings.cbr ? 1 : 0
+            });
+            
+            // Packet time is a media-level attribute, not an fmtp parameter
+            SdpUtils.setAttribute(section, 'ptime', String(settings.ptime));
+            SdpUtils.setAttribute(section, 'maxptime', String(Math.max(settings.ptime, 20)));
+            
+            // Keep audio on UDP; TCP adds head-of-line blocking
+            if (settings.udpOnly) {
+                SdpUtils.removeAttributes(section, 'candidate', value => (value.split(' ')[2] || '').toLowerCase() === 'tcp');
+            }
+        });
+        
+        return SdpUtils.serialize(parsed);
+    }
+}
+
+// Export for use by the peer manager
+window.SdpUtils = SdpUtils;
@@ -0,0 +1,379 @@
+/**
+ * Stats History for DAW Collaboration Tool
+ * Keeps a rolling time series of each peer's connection stats, draws it as sparklines
+ * and exports it for the whole session
+ */
+
+class StatsHistory {
+    constructor() {
+        this.series = {}; // Samples by peer ID, oldest first
+        this.names = {}; // Last known display name by peer ID, so departed peers are still labelled
+        this.rawStart = {}; // Index of each peer's first sample that has not been averaged
+        this.fullResolutionAge = 60 * 60 * 1000; // Samples older than this are averaged (ms)
+        this.averageInterval = 30 * 1000; // Time span of each averaged sample (ms)
+        this.graphWindow = 5 * 60 * 1000; // Time span shown in the sparklines (ms)
+        this.startedAt = null; // Time of the first sample
+        
+        // What each sample holds, in display and export order; column names the CSV column
+        this.metrics = [
+            { key: 'rtt', column: 'rtt_ms', label: 'RTT', unit: 'ms', digits: 0, color: '#03dac6' },
+            { key: 'jitter', column: 'jitter_ms', label: 'Jitter', unit: 'ms', digits: 1, color: '#bb86fc' },
+            { key: 'packetLoss', column: 'packet_loss_pct', label: 'Loss', unit: '%', digits: 1, color: '#cf6679' },
+            { key: 'concealment', column: 'concealed_pct', label: 'Concealed', unit: '%', digits: 1, color: '#ffb74d' },
+            { key: 'bitrate', column: 'bitrate_in_kbps', label: 'Bitrate in', unit: 'kbps', digits: 0, color: '#64b5f6' },
+            { key: 'sendBitrate', column: 'bitrate_out_kbps', label: 'Bitrate out', unit: 'kbps', digits: 0, color: '#81c784' },
+            { key: 'audioLevel', column: 'audio_level_dbfs', label: 'Level', unit: 'dBFS', digits: 0, color: '#e0e0e0', min: -100 }
+        ];
+    }
+    
+    /**
+     * Look up the export buttons and attach event listeners
+     */
+    initialize() {
+        utils.$('#exportStatsCsvBtn').addEventListener('click', () => this.exportCsv());
+        utils.$('#exportStatsJsonBtn').addEventListener('click', () => this.exportJson());
+    }
+    
+    /**
+     * Add a sample to a peer's history and redraw its graphs
+     * @param {string} peerId The peer ID
+     * @param {Object} values The current value of each metric, null where unavailable
+     */
+    record(peerId, values) {
+        const now = Date.now();
+        if (this.startedAt === null) {
+            this.startedAt = now;
+        }
+        
+        const sample = { time: now };
+        this.metrics.forEach(metric => {
+            const value = values[metric.key];
+            sample[metric.key] = typeof value === 'number' && isFinite(value) ? value : null;
+        });
+        
+        const samples = this.series[peerId] || (this.series[peerId] = []);
+        samples.push(sample);
+        this.compact(peerId, now);
+        
+        this.names[peerId] = profileManager.getDisplayName(peerId);
+        this.renderGraphs(peerId);
+    }
+    
+    /**
+     * Average a peer's samples once they are older than fullResolutionAge
+     * Long sessions keep their start at a coarser resolution instead of losing it
+     * @param {string} peerId The peer ID
+     * @param {number} now The current time
+     */
+    compact(peerId, now) {
+        const samples = this.series[peerId];
+        const cutoff = now - this.fullResolutionAge;
+        let start = this.rawStart[peerId] || 0;
+        
+        while (start < samples.length && samples[start].time + this.averageInterval <= cutoff) {
+            const bucketEnd = samples[start].time + this.averageInterval;
+            let end = start + 1;
+            while (end < samples.length && samples[end].time < bucketEnd) {
+                end++;
+            }
+            samples.splice(start, end - start, this.average(samples.slice(start, end)));
+            start++;
+        }
+        this.rawStart[peerId] = start;
+    }
+    
+    /**
+     * Combine consecutive samples into one
+     * @param {Array} bucket The samples, oldest first
+     * @returns {Object} A sample at the first one's time with each metric's mean, and averagedOverMs
+     */
+    average(bucket) {
+        const sample = { time: bucket[0].time, averagedOverMs: this.averageInterval };
+        this.metrics.forEach(metric => {
+            const values = bucket.map(entry => entry[metric.key]).filter(value => value !== null);
+            sample[metric.key] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        });
+        return sample;
+    }
+    
+    /**
+     * Get a peer's history
+     * @param {string} peerId The peer ID
+     * @returns {Array} Samples { time, rtt, jitter, ... }, oldest first; averaged ones also have averagedOverMs
+     */
+    getSeries(peerId) {
+        return this.series[peerId] || [];
+    }
+    
+    /**
+     * Create the graph panel for a peer's remote meter
+     * Each metric gets a sparkline with its latest value; hovering shows the value at that time.
+     * @param {string} peerId The peer ID
+     * @returns {HTMLElement} The panel, hidden until toggled
+     */
+    createGraphPanel(peerId) {
+        const panel = document.createElement('div');
+        panel.id = `stats-graphs-${peerId}`;
+        panel.className = 'stats-graphs';
+        panel.style.display = 'none';
+        
+        this.metrics.forEach(metric => {
+            const row = document.createElement('div');
+            row.className = 'stats-graph';
+            
+            const label = document.createElement('span');
+            label.className = 'stats-graph-label';
+            label.textContent = metric.label;
+            
+            const canvas = document.createElement('canvas');
+            canvas.id = `stats-graph-${metric.key}-${peerId}`;
+            canvas.width = 240;
+            canvas.height = 32;
+            canvas.addEventListener('mousemove', (event) => this.showValueAt(peerId, metric, canvas, event));
+            
+            const value = document.createElement('span');
+            value.id = `stats-value-${metric.key}-${peerId}`;
+            value.className = 'stats-graph-value';
+            
+            row.appendChild(label);
+            row.appendChild(canvas);
+            row.appendChild(value);
+            panel.appendChild(row);
+        });
+        return panel;
+    }
+    
+    /**
+     * Show or hide a peer's graphs
+     * @param {string} peerId The peer ID
+     * @returns {boolean} True if the graphs are now shown
+     */
+    toggleGraphs(peerId) {
+        const panel = utils.$(`#stats-graphs-${peerId}`);
+        if (!panel) {
+            return false;
+        }
+        
+        const show = panel.style.display === 'none';
+        panel.style.display = show ? '' : 'none';
+        if (show) {
+            this.renderGraphs(peerId);
+        }
+        return show;
+    }
+    
+    /**
+     * Get the samples a peer's sparklines cover
+     * @param {string} peerId The peer ID
+     * @returns {Object} { samples, start, end }
+     */
+    getGraphRange(peerId) {
+        const end = Date.now();
+        const start = end - this.graphWindow;
+        return { samples: this.getSeries(peerId).filter(sample => sample.time >= start), start: start, end: end };
+    }
+    
+    /**
+     * Redraw a peer's sparklines, if they are shown
+     * @param {string} peerId The peer ID
+     */
+    renderGraphs(peerId) {
+        const panel = utils.$(`#stats-graphs-${peerId}`);
+        if (!panel || panel.style.display === 'none') {
+            return;
+        }
+        
+        const range = this.getGraphRange(peerId);
+        this.metrics.forEach(metric => {
+            const canvas = utils.$(`#stats-graph-${metric.key}-${peerId}`);
+            const valueEl = utils.$(`#stats-value-${metric.key}-${peerId}`);
+            if (!canvas || !valueEl) {
+                return;
+            }
+            
+            const values = range.samples.map(sample => sample[metric.key]).filter(value => value !== null);
+            this.drawSparkline(canvas, metric, range);
+            
+            const latest = range.samples.length > 0 ? range.samples[range.samples.length - 1][metric.key] : null;
+            valueEl.textContent = latest === null ? '\u2013' : this.formatValue(metric, latest);
+            valueEl.title = values.length > 0
+                ? `Last ${Math.round(this.graphWindow / 60000)} minutes: min ${this.formatValue(metric, Math.min(...values))}, ` +
+                    `max ${this.formatValue(metric, Math.max(...values))}`
+                : 'No data yet';
+        });
+    }
+    
+    /**
+     * Draw one metric as a line over the graph window
+     * The scale runs from zero (or the metric's floor) to the highest value shown.
+     * Missing samples break the line rather than being drawn as zero.
+     * @param {HTMLCanvasElement} canvas The canvas
+     * @param {Object} metric The metric definition
+     * @param {Object} range The samples and time span from getGraphRange
+     */
+    drawSparkline(canvas, metric, range) {
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        context.clearRect(0, 0, width, height);
+        
+        const values = range.samples.map(sample => sample[metric.key]).filter(value => value !== null);
+        if (values.length === 0) {
+            return;
+        }
+        
+        const min = metric.min !== undefined ? metric.min : Math.min(0, ...values);
+        const max = Math.max(...values, min + 1);
+        const x = (time) => (time - range.start) / (range.end - range.start) * width;
+        const y = (value) => height - 2 - (value - min) / (max - min) * (height - 4);
+        
+        context.strokeStyle = metric.color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        let drawing = false;
+        range.samples.forEach(sample => {
+            const value = sample[metric.key];
+            if (value === null) {
+                drawing = false;
+            } else if (drawing) {
+                context.lineTo(x(sample.time), y(value));
+            } else {
+                context.moveTo(x(sample.time), y(value));
+                drawing = true;
+            }
+        });
+        context.stroke();
+    }
+    
+    /**
+     * Show the value under the mouse in the sparkline's tooltip
+     * @param {string} peerId The peer ID
+     * @param {Object} metric The metric definition
+     * @param {HTMLCanvasElement} canvas The canvas
+     * @param {MouseEvent} event The mouse event
+     */
+    showValueAt(peerId, metric, canvas, event) {
+        const range = this.getGraphRange(peerId);
+        if (range.samples.length === 0) {
+            canvas.title = '';
+            return;
+        }
+        
+        const bounds = canvas.getBoundingClientRect();
+        const time = range.start + (event.clientX - bounds.left) / bounds.width * (range.end - range.start);
+        const nearest = range.samples.reduce((best, sample) =>
+            Math.abs(sample.time - time) < Math.abs(best.time - time) ? sample : best);
+        
+        const value = nearest[metric.key];
+        canvas.title = `${new Date(nearest.time).toLocaleTimeString()}: ${value === null ? 'no data' : this.formatValue(metric, value)}`;
+    }
+    
+    /**
+     * Format a value with its unit
+     * @param {Object} metric The metric definition
+     * @param {number} value The value
+     * @returns {string} The formatted value
+     */
+    formatValue(metric, value) {
+        return `${value.toFixed(metric.digits)} ${metric.unit}`;
+    }
+    
+    /**
+     * Get the name to label a peer with in exports
+     * @param {string} peerId The peer ID
+     * @returns {string} The peer's display name
+     */
+    getName(peerId) {
+        return profileManager.getPeerProfile(peerId) ? profileManager.getDisplayName(peerId) : (this.names[peerId] || peerId);
+    }
+    
+    /**
+     * Get the whole session's history as CSV, one row per peer and sample in time order
+     * @returns {string} The CSV text
+     */
+    toCsv() {
+        // Names come from other peers: keep spreadsheets from running them as formulas
+        const quote = (text) => {
+            const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+            return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+        };
+        const header = ['time', 'peer_id', 'name'].concat(this.metrics.map(metric => metric.column), ['averaged_over_s']);
+        
+        const rows = [];
+        Object.keys(this.series).forEach(peerId => {
+            const name = quote(this.getName(peerId));
+            this.series[peerId].forEach(sample => {
+                rows.push({
+                    time: sample.time,
+                    cells: [new Date(sample.time).toISOString(), quote(peerId), name].concat(
+                        this.metrics.map(metric => sample[metric.key] === null ? '' : String(sample[metric.key])),
+                        [sample.averagedOverMs ? String(sample.averagedOverMs / 1000) : ''])
+                });
+            });
+        });
+        rows.sort((a, b) => a.time - b.time);
+        
+        return [header.join(',')].concat(rows.map(row => row.cells.join(','))).join('\n') + '\n';
+    }
+    
+    /**
+     * Get the whole session's history as a JSON-serializable object
+     * @returns {Object} { exportedAt, startedAt, intervalMs, fullResolutionMs, metrics, peers }
+     */
+    toJson() {
+        const peers = {};
+        Object.keys(this.series).forEach(peerId => {
+            peers[peerId] = { name: this.getName(peerId), samples: this.series[peerId] };
+        });
+        
+        return {
+            exportedAt: new Date().toISOString(),
+            startedAt: this.startedAt === null ? null : new Date(this.startedAt).toISOString(),
+            intervalMs: latencyMonitor.updateInterval,
+            fullResolutionMs: this.fullResolutionAge,
+            metrics: this.metrics.map(metric => ({ key: metric.key, label: metric.label, unit: metric.unit })),
+            peers: peers
+        };
+    }
+    
+    /**
+     * Get a file name for an export
+     * @param {string} extension The file extension
+     * @returns {string} The file name, stamped with the current time
+     */
+    getExportName(extension) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        return `daw-collab-stats-${stamp}.${extension}`;
+    }
+    
+    /**
+     * Download the session's history as CSV
+     * @returns {boolean} True if there was anything to export
+     */
+    exportCsv() {
+        if (Object.keys(this.series).length === 0) {
+            utils.showNotification('No stats recorded yet. Stats are recorded while connected to peers.', 'error');
+            return false;
+        }
+        utils.downloadFile(this.getExportName('csv'), this.toCsv(), 'text/csv');
+        utils.log('Exported stats history as CSV');
+        return true;
+    }
+    
+    /**
+     * Download the session's history as JSON
+     * @returns {boolean} True if there was anything to export
+     */
+    exportJson() {
+        if (Object.keys(this.series).length === 0) {
+            utils.showNotification('No stats recorded yet. Stats are recorded while connected to peers.', 'error');
+            return false;
+        }
+        utils.downloadFile(this.getExportName('json'), JSON.stringify(this.toJson(), null, 2), 'application/json');
+        utils.log('Exported stats history as JSON');
+        return true;
+    }
+}
+
+// Create a global instance
+window.statsHistory = new StatsHistory();
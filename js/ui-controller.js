@@ -15,14 +15,48 @@ class UIController {
         this.bufferSizeSelect = utils.$('#bufferSizeSelect');
         this.bitDepthSelect = utils.$('#bitDepthSelect');
         
+        // Codec and Opus encoding elements
+        this.codecSelect = utils.$('#codecSelect');
+        this.opusBitrateSelect = utils.$('#opusBitrateSelect');
+        this.opusModeSelect = utils.$('#opusModeSelect');
+        this.opusPtimeSelect = utils.$('#opusPtimeSelect');
+        this.opusMaxPlaybackRateSelect = utils.$('#opusMaxPlaybackRateSelect');
+        this.opusStereoInput = utils.$('#opusStereoInput');
+        this.opusFecInput = utils.$('#opusFecInput');
+        this.opusDtxInput = utils.$('#opusDtxInput');
+        this.sendBitrateMinSelect = utils.$('#sendBitrateMinSelect');
+        this.sendBitrateMaxSelect = utils.$('#sendBitrateMaxSelect');
+        
+        // Connection settings elements
+        this.signalingHostInput = utils.$('#signalingHostInput');
+        this.signalingPortInput = utils.$('#signalingPortInput');
+        this.signalingPathInput = utils.$('#signalingPathInput');
+        this.signalingKeyInput = utils.$('#signalingKeyInput');
+        this.signalingSecureInput = utils.$('#signalingSecureInput');
+        this.iceServersInput = utils.$('#iceServersInput');
+        this.iceServersNote = utils.$('#iceServersNote');
+        this.turnUrlsInput = utils.$('#turnUrlsInput');
+        this.turnUsernameInput = utils.$('#turnUsernameInput');
+        this.turnCredentialInput = utils.$('#turnCredentialInput');
+        this.turnCredentialUrlInput = utils.$('#turnCredentialUrlInput');
+        this.forceRelayInput = utils.$('#forceRelayInput');
+        this.saveConnectionSettingsBtn = utils.$('#saveConnectionSettingsBtn');
+        this.resetConnectionSettingsBtn = utils.$('#resetConnectionSettingsBtn');
+        
         // Button elements
         this.startAudioBtn = utils.$('#startAudioBtn');
+        this.listenOnlyBtn = utils.$('#listenOnlyBtn');
         this.changeDeviceBtn = utils.$('#changeDeviceBtn');
         this.createSessionBtn = utils.$('#createSessionBtn');
         this.joinSessionBtn = utils.$('#joinSessionBtn');
+        this.muteBtn = utils.$('#muteBtn');
+        this.deafenBtn = utils.$('#deafenBtn');
         
         // Status and input elements
         this.sessionIdInput = utils.$('#sessionIdInput');
+        this.sessionPassphraseInput = utils.$('#sessionPassphraseInput');
+        this.e2eeInput = utils.$('#e2eeInput');
+        this.joinRequests = utils.$('#joinRequests');
         this.shareUrlInput = utils.$('#shareUrlInput');
         this.copyLinkBtn = utils.$('#copyLinkBtn');
         this.connectionStatus = utils.$('#connectionStatus');
@@ -49,6 +83,9 @@ class UIController {
         // Attach event listeners
         this.attachEventListeners();
         
+        // Show the connection settings once the config file has been read
+        connectionConfig.ready.then(() => this.populateConnectionSettings());
+        
         // Initialize UI state
         this.updateUIState('initial');
         
@@ -157,6 +194,30 @@ class UIController {
             }
         });
         
+        // Listen only button - join sessions without an input device
+        this.listenOnlyBtn.addEventListener('click', async () => {
+            try {
+                this.updateUIState('loading');
+                await audioManager.initListener();
+                this.updateUIState('audio_ready');
+            } catch (error) {
+                utils.log(`Error starting playback: ${error.message}`);
+                this.updateUIState('error', error.message);
+            }
+        });
+        
+        // Mute button - stop sending without dropping the calls
+        this.muteBtn.addEventListener('click', () => {
+            peerManager.setSendMuted(!audioManager.sendMuted);
+            this.updateMuteButtons();
+        });
+        
+        // Deafen button - stop hearing everyone else
+        this.deafenBtn.addEventListener('click', () => {
+            peerManager.setDeafened(!audioManager.deafened);
+            this.updateMuteButtons();
+        });
+        
         // Change device button
         this.changeDeviceBtn.addEventListener('click', async () => {
             try {
@@ -173,8 +234,24 @@ class UIController {
         // Create session button
         this.createSessionBtn.addEventListener('click', async () => {
             try {
+                // Check encryption can work before anyone joins
+                e2eeManager.requested = this.e2eeInput.checked;
+                if (e2eeManager.requested && !this.sessionPassphraseInput.value) {
+                    utils.showNotification('Set a session passphrase to encrypt audio end to end', 'error');
+                    return;
+                }
+                if (e2eeManager.requested && !e2eeManager.mode) {
+                    utils.showNotification('This browser cannot encrypt audio end to end', 'error');
+                    return;
+                }
+                
                 this.updateUIState('connecting');
+                peerManager.setPassphrase(this.sessionPassphraseInput.value);
+                peerManager.setRole(audioManager.isListener ? 'listener' : 'performer');
                 await peerManager.initPeer(true);
+                if (e2eeManager.requested) {
+                    await e2eeManager.enable(this.sessionPassphraseInput.value, peerManager.sessionId);
+                }
                 this.updateUIState('session_created');
                 this.updateShareUrl();
             } catch (error) {
@@ -193,14 +270,30 @@ class UIController {
                 }
                 
                 this.updateUIState('connecting');
+                peerManager.setPassphrase(this.sessionPassphraseInput.value);
+                peerManager.setRole(audioManager.isListener ? 'listener' : 'performer');
+                e2eeManager.requested = this.e2eeInput.checked;
+                
+                // Check the network and audio first, so problems show up before the host admits us
+                if (preflightCheck.isEnabled()) {
+                    const report = await preflightCheck.run();
+                    const problems = report.checks.filter(check => check.status !== 'pass' && check.status !== 'skip');
+                    const names = problems.map(check => check.label).join(', ');
+                    if (report.status === 'fail') {
+                        throw new Error(`Pre-flight check failed (${names}). Fix the problem, or turn off the pre-flight check to join anyway`);
+                    }
+                    if (report.status === 'warn') {
+                        utils.showNotification(`Pre-flight check found problems with: ${names}. See the Pre-flight Check panel`, 'info');
+                    }
+                }
                 
                 // Initialize peer if not already done
                 if (!peerManager.peer) {
                     await peerManager.initPeer(false);
                 }
                 
-                // Connect to the remote peer
-                await peerManager.connectToPeer(remotePeerId);
+                // Join the session through its host
+                await peerManager.joinSession(remotePeerId);
                 this.updateUIState('connected');
                 
             } catch (error) {
@@ -209,6 +302,49 @@ class UIController {
             }
         });
         
+        // Save connection settings button
+        this.saveConnectionSettingsBtn.addEventListener('click', () => {
+            try {
+                connectionConfig.save(this.readConnectionSettings());
+                this.populateConnectionSettings();
+                utils.showNotification(`Connection settings saved (${connectionConfig.describeServer()})`, 'info');
+            } catch (error) {
+                utils.log(`Invalid connection settings: ${error.message}`);
+                utils.showNotification(error.message, 'error');
+            }
+        });
+        
+        // Reset connection settings button
+        this.resetConnectionSettingsBtn.addEventListener('click', () => {
+            connectionConfig.reset();
+            this.populateConnectionSettings();
+            utils.showNotification('Connection settings reset to defaults', 'info');
+        });
+        
+        // Codec preference takes effect on the next negotiation
+        this.codecSelect.addEventListener('change', () => {
+            audioManager.setPreferredCodec(this.codecSelect.value);
+        });
+        
+        // Opus settings take effect on the next negotiation
+        [this.opusBitrateSelect, this.opusModeSelect, this.opusPtimeSelect, this.opusMaxPlaybackRateSelect,
+         this.opusStereoInput, this.opusFecInput, this.opusDtxInput].forEach(element => {
+            element.addEventListener('change', () => {
+                audioManager.setOpusSettings(this.readOpusSettings());
+            });
+        });
+        
+        // The congestion controller picks up the new range on its next check
+        [this.sendBitrateMinSelect, this.sendBitrateMaxSelect].forEach(element => {
+            element.addEventListener('change', () => {
+                audioManager.setSendBitrateRange({
+                    min: parseInt(this.sendBitrateMinSelect.value),
+                    max: parseInt(this.sendBitrateMaxSelect.value)
+                });
+                this.sendBitrateMinSelect.value = audioManager.sendBitrateRange.min;
+            });
+        });
+        
         // Copy link button
         this.copyLinkBtn.addEventListener('click', () => {
             this.copyShareLinkToClipboard();
@@ -221,7 +357,7 @@ class UIController {
         
         // Session ID input - enable join button when text is entered
         this.sessionIdInput.addEventListener('input', () => {
-            if (audioManager.localStream) {
+            if (audioManager.isReady()) {
                 this.joinSessionBtn.disabled = !this.sessionIdInput.value.trim();
             }
         });
@@ -233,6 +369,110 @@ class UIController {
         });
     }
     
+    /**
+     * Fill the connection settings panel from the effective settings
+     */
+    static populateConnectionSettings() {
+        const settings = connectionConfig.settings;
+        
+        this.signalingHostInput.value = settings.host;
+        this.signalingPortInput.value = settings.port;
+        this.signalingPathInput.value = settings.path;
+        this.signalingKeyInput.value = settings.key;
+        this.signalingSecureInput.checked = settings.secure;
+        
+        // Servers with credentials cannot be written as URLs; they come from the config file unchanged
+        const credentialed = connectionConfig.getCredentialedIceServers();
+        this.iceServersInput.value = settings.iceServers
+            .filter(server => !credentialed.includes(server))
+            .flatMap(server => (Array.isArray(server.urls) ? server.urls : [server.urls]))
+            .join('\n');
+        this.iceServersNote.hidden = credentialed.length === 0;
+        this.iceServersNote.textContent = credentialed.length === 1
+            ? `Also uses 1 ICE server with credentials from ${connectionConfig.configFileUrl}.`
+            : `Also uses ${credentialed.length} ICE servers with credentials from ${connectionConfig.configFileUrl}.`;
+        
+        this.turnUrlsInput.value = settings.turnUrls.join('\n');
+        this.turnUsernameInput.value = settings.turnUsername;
+        this.turnCredentialInput.value = settings.turnCredential;
+        this.turnCredentialUrlInput.value = settings.turnCredentialUrl;
+        this.forceRelayInput.checked = settings.forceRelay;
+    }
+    
+    /**
+     * Read the connection settings panel
+     * @returns {Object} The entered settings
+     */
+    static readConnectionSettings() {
+        return {
+            host: this.signalingHostInput.value,
+            port: this.signalingPortInput.value,
+            path: this.signalingPathInput.value,
+            key: this.signalingKeyInput.value,
+            secure: this.signalingSecureInput.checked,
+            iceServers: this.iceServersInput.value,
+            turnUrls: this.turnUrlsInput.value,
+            turnUsername: this.turnUsernameInput.value,
+            turnCredential: this.turnCredentialInput.value,
+            turnCredentialUrl: this.turnCredentialUrlInput.value,
+            forceRelay: this.forceRelayInput.checked
+        };
+    }
+    
+    /**
+     * Enable or disable the connection settings panel
+     * @param {boolean} disabled Whether the settings should be locked
+     */
+    static setConnectionSettingsDisabled(disabled) {
+        [
+            this.signalingHostInput,
+            this.signalingPortInput,
+            this.signalingPathInput,
+            this.signalingKeyInput,
+            this.signalingSecureInput,
+            this.iceServersInput,
+            this.turnUrlsInput,
+            this.turnUsernameInput,
+            this.turnCredentialInput,
+            this.turnCredentialUrlInput,
+            this.forceRelayInput,
+            this.saveConnectionSettingsBtn,
+            this.resetConnectionSettingsBtn
+        ].forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+    
+    /**
+     * Show the send mute and deafen state on their buttons
+     * Muting needs an input; listeners can still deafen
+     */
+    static updateMuteButtons() {
+        this.muteBtn.disabled = !audioManager.isAudioActive;
+        this.muteBtn.textContent = audioManager.sendMuted ? 'Unmute Send' : 'Mute Send';
+        this.muteBtn.classList.toggle('active', audioManager.sendMuted);
+        
+        this.deafenBtn.disabled = !audioManager.isReady();
+        this.deafenBtn.textContent = audioManager.deafened ? 'Undeafen' : 'Deafen';
+        this.deafenBtn.classList.toggle('active', audioManager.deafened);
+    }
+    
+    /**
+     * Read the Opus settings from the Audio Settings panel
+     * @returns {Object} Settings for AudioManager.setOpusSettings
+     */
+    static readOpusSettings() {
+        return {
+            maxAverageBitrate: parseInt(this.opusBitrateSelect.value),
+            cbr: this.opusModeSelect.value === 'cbr',
+            ptime: parseInt(this.opusPtimeSelect.value),
+            maxPlaybackRate: parseInt(this.opusMaxPlaybackRateSelect.value),
+            stereo: this.opusStereoInput.checked,
+            useInbandFec: this.opusFecInput.checked,
+            useDtx: this.opusDtxInput.checked
+        };
+    }
+    
     /**
      * Update UI state based on application state
      * @param {string} state The current state
@@ -246,6 +486,7 @@ class UIController {
             case 'initial':
                 // Initial state - only start audio button enabled if device selected
                 this.startAudioBtn.disabled = !this.audioInputSelect.value;
+                this.listenOnlyBtn.disabled = false;
                 this.changeDeviceBtn.disabled = true;
                 
                 // If joining from a link, hide create session button
@@ -263,13 +504,17 @@ class UIController {
                 this.bufferSizeSelect.disabled = false;
                 this.bitDepthSelect.disabled = false;
                 this.sessionIdInput.disabled = true;
+                this.sessionPassphraseInput.disabled = true;
+                this.e2eeInput.disabled = true;
                 utils.$('.sharing-container').style.display = 'none';
-                this.connectionStatus.textContent = 'Status: Select an audio input device';
+                this.updateMuteButtons();
+                this.connectionStatus.textContent = 'Status: Select an audio input device, or listen only';
                 break;
                 
             case 'loading':
                 // Loading state - disable all buttons
                 this.startAudioBtn.disabled = true;
+                this.listenOnlyBtn.disabled = true;
                 this.changeDeviceBtn.disabled = true;
                 
                 if (!isJoiningFromLink) {
@@ -285,6 +530,7 @@ class UIController {
             case 'audio_ready':
                 // Audio ready state - enable create/join buttons
                 this.startAudioBtn.disabled = true;
+                this.listenOnlyBtn.disabled = true;
                 this.changeDeviceBtn.disabled = false;
                 
                 if (!isJoiningFromLink) {
@@ -298,8 +544,13 @@ class UIController {
                 this.bufferSizeSelect.disabled = true;
                 this.bitDepthSelect.disabled = true;
                 this.sessionIdInput.disabled = false;
+                this.sessionPassphraseInput.disabled = false;
+                this.e2eeInput.disabled = false;
                 utils.$('.sharing-container').style.display = 'none';
-                this.connectionStatus.textContent = 'Status: Audio ready. Create or join a session.';
+                this.updateMuteButtons();
+                this.connectionStatus.textContent = audioManager.isListener
+                    ? 'Status: Listening only. Create or join a session.'
+                    : 'Status: Audio ready. Create or join a session.';
                 break;
                 
             case 'connecting':
@@ -312,6 +563,11 @@ class UIController {
                 
                 this.joinSessionBtn.disabled = true;
                 this.sessionIdInput.disabled = true;
+                this.sessionPassphraseInput.disabled = true;
+                this.e2eeInput.disabled = true;
+                this.setConnectionSettingsDisabled(true);
+                chatManager.setEnabled(false);
+                fileTransferManager.setEnabled(false);
                 utils.$('.sharing-container').style.display = 'none';
                 this.connectionStatus.textContent = 'Status: Connecting...';
                 break;
@@ -326,7 +582,11 @@ class UIController {
                 
                 this.joinSessionBtn.disabled = true;
                 this.sessionIdInput.disabled = true;
+                this.sessionPassphraseInput.disabled = true;
+                this.e2eeInput.disabled = true;
                 utils.$('.sharing-container').style.display = 'block';
+                chatManager.setEnabled(true);
+                fileTransferManager.setEnabled(true);
                 // Status is updated by the peer manager
                 break;
                 
@@ -340,23 +600,34 @@ class UIController {
                 
                 this.joinSessionBtn.disabled = true;
                 this.sessionIdInput.disabled = true;
+                this.sessionPassphraseInput.disabled = true;
+                this.e2eeInput.disabled = true;
                 utils.$('.sharing-container').style.display = 'block';
+                chatManager.setEnabled(true);
+                fileTransferManager.setEnabled(true);
                 // Status is updated by the peer manager
                 break;
                 
             case 'error':
                 // Error state - re-enable buttons as appropriate
-                this.startAudioBtn.disabled = !this.audioInputSelect.value || audioManager.isAudioActive;
-                this.changeDeviceBtn.disabled = !audioManager.isAudioActive;
-                this.audioInputSelect.disabled = audioManager.isAudioActive;
-                this.refreshDevicesBtn.disabled = audioManager.isAudioActive;
+                this.startAudioBtn.disabled = !this.audioInputSelect.value || audioManager.isReady();
+                this.listenOnlyBtn.disabled = audioManager.isReady();
+                this.changeDeviceBtn.disabled = !audioManager.isReady();
+                this.audioInputSelect.disabled = audioManager.isReady();
+                this.refreshDevicesBtn.disabled = audioManager.isReady();
                 
                 if (!isJoiningFromLink) {
-                    this.createSessionBtn.disabled = !audioManager.isAudioActive;
+                    this.createSessionBtn.disabled = !audioManager.isReady();
                 }
                 
-                this.joinSessionBtn.disabled = !audioManager.isAudioActive || !this.sessionIdInput.value.trim();
-                this.sessionIdInput.disabled = !audioManager.isAudioActive;
+                this.joinSessionBtn.disabled = !audioManager.isReady() || !this.sessionIdInput.value.trim();
+                this.sessionIdInput.disabled = !audioManager.isReady();
+                this.sessionPassphraseInput.disabled = !audioManager.isReady();
+                this.e2eeInput.disabled = !audioManager.isReady();
+                this.updateMuteButtons();
+                this.setConnectionSettingsDisabled(false);
+                chatManager.setEnabled(Object.keys(peerManager.connections).length > 0);
+                fileTransferManager.setEnabled(Object.keys(peerManager.connections).length > 0);
                 this.connectionStatus.textContent = `Error: ${message}`;
                 utils.showNotification(message, 'error');
                 break;
@@ -398,8 +669,9 @@ class UIController {
         // Create label element
         const label = document.createElement('label');
         
-        // Use text node for the first part of the label
-        const labelText = document.createTextNode(`Remote Audio (${peerId}): `);
+        // Name from the peer's profile, filled in by updatePeerProfile
+        const labelText = document.createElement('span');
+        labelText.id = `meter-name-${peerId}`;
         label.appendChild(labelText);
         
         // Create latency span element with a unique ID for targeting
@@ -411,6 +683,11 @@ class UIController {
         // Append latency span to label
         label.appendChild(latencySpan);
         
+        // Musical quality score, filled in by QualityScore
+        const scoreDiv = document.createElement('div');
+        scoreDiv.id = `score-${peerId}`;
+        scoreDiv.className = 'score-info';
+        
         // Create meter element
         const meter = document.createElement('meter');
         meter.id = `remoteMeter-${peerId}`;
@@ -418,10 +695,81 @@ class UIController {
         meter.max = 100;
         meter.value = 0;
         
+        // Playout delay readout and manual override (0 = adaptive)
+        const playoutDiv = document.createElement('div');
+        playoutDiv.className = 'playout-control';
+        
+        const playoutInfo = document.createElement('span');
+        playoutInfo.id = `playout-${peerId}`;
+        playoutInfo.className = 'playout-info';
+        playoutInfo.textContent = 'Playout delay: measuring...';
+        
+        const override = document.createElement('input');
+        override.type = 'range';
+        override.id = `playoutOverride-${peerId}`;
+        override.min = 0;
+        override.max = 400;
+        override.step = 10;
+        override.title = 'Manual playout delay (leftmost = adaptive)';
+        
+        const overrideValue = document.createElement('span');
+        overrideValue.className = 'playout-override-value';
+        
+        // Keep an override set before a reconnect
+        const jitterBuffer = peerManager.jitterBuffers[peerId];
+        override.value = jitterBuffer && jitterBuffer.overrideMs !== null ? jitterBuffer.overrideMs : 0;
+        overrideValue.textContent = override.value === '0' ? 'Auto' : `${override.value} ms`;
+        
+        override.addEventListener('input', () => {
+            const delayMs = parseInt(override.value);
+            overrideValue.textContent = delayMs === 0 ? 'Auto' : `${delayMs} ms`;
+            peerManager.setPlayoutDelayOverride(peerId, delayMs === 0 ? null : delayMs);
+        });
+        
+        // Measures the audio round trip through this peer with a chirp
+        const measureBtn = document.createElement('button');
+        measureBtn.id = `measure-${peerId}`;
+        measureBtn.className = 'small-button';
+        measureBtn.textContent = 'Measure Audio RTT';
+        measureBtn.title = 'Send a short chirp that this peer loops back to measure the real audio round trip';
+        measureBtn.addEventListener('click', async () => {
+            measureBtn.disabled = true;
+            measureBtn.textContent = 'Measuring\u2026';
+            try {
+                const result = await acousticMeter.measure(peerId);
+                utils.showNotification(`Audio round trip to ${profileManager.getDisplayName(peerId)}: ${Math.round(result.totalMs)}ms`, 'info');
+            } catch (error) {
+                utils.log(`Audio round trip measurement failed: ${error.message}`);
+                utils.showNotification(error.message, 'error');
+            } finally {
+                measureBtn.disabled = false;
+                measureBtn.textContent = 'Measure Audio RTT';
+            }
+        });
+        
+        // Shows this peer's stats over the last few minutes
+        const graphsBtn = document.createElement('button');
+        graphsBtn.className = 'small-button';
+        graphsBtn.textContent = 'Graphs';
+        graphsBtn.title = 'Show RTT, jitter, loss, bitrate, concealment and level over time';
+        graphsBtn.addEventListener('click', () => {
+            graphsBtn.textContent = statsHistory.toggleGraphs(peerId) ? 'Hide Graphs' : 'Graphs';
+        });
+        
+        playoutDiv.appendChild(playoutInfo);
+        playoutDiv.appendChild(override);
+        playoutDiv.appendChild(overrideValue);
+        playoutDiv.appendChild(measureBtn);
+        playoutDiv.appendChild(graphsBtn);
+        
         // Assemble the meter div
         meterDiv.appendChild(label);
+        meterDiv.appendChild(scoreDiv);
         meterDiv.appendChild(meter);
+        meterDiv.appendChild(playoutDiv);
+        meterDiv.appendChild(statsHistory.createGraphPanel(peerId));
         this.remoteMeterContainer.appendChild(meterDiv);
+        this.updatePeerProfile(peerId);
         
         // Debug log
         console.log(`Created remote meter elements for peer ${peerId}:`);
@@ -429,15 +777,34 @@ class UIController {
         console.log(`- Meter element ID: remoteMeter-${peerId}`);
         console.log(`- Latency span ID: latency-${peerId}`);
         
-        // Force an immediate latency update if latencyMonitor is available
+        // Show any stats already measured for this peer
         if (window.latencyMonitor) {
-            setTimeout(() => {
-                console.log(`Forcing latency update for peer ${peerId}`);
-                window.latencyMonitor.updateLatencyStats(peerId);
-            }, 500);
+            latencyMonitor.updateLatencyDisplay(peerId);
+        }
+        if (window.qualityScore) {
+            qualityScore.render(peerId);
         }
     }
     
+    /**
+     * Show a peer's effective playout delay and how it is controlled
+     * @param {string} peerId The ID of the peer
+     * @param {Object} state The peer's playout delay state from PeerManager
+     */
+    static updatePlayoutInfo(peerId, state) {
+        const playoutInfo = utils.$(`#playout-${peerId}`);
+        if (!playoutInfo) {
+            return;
+        }
+        
+        const effective = state.effectiveMs === null ? 'unknown' : `${state.effectiveMs.toFixed(0)} ms`;
+        const target = state.appliedMs === null ? '' : ` (target ${state.appliedMs} ms)`;
+        playoutInfo.textContent = `Playout delay: ${effective}${target}`;
+        playoutInfo.title = state.method === 'none'
+            ? 'This browser does not allow the playout delay to be changed'
+            : `Controlled with ${state.method || '...'}; ${state.overrideMs === null ? 'adaptive' : 'manual override'}`;
+    }
+    
     /**
      * Remove a meter for a remote peer
      * @param {string} peerId The ID of the peer
@@ -466,7 +833,8 @@ class UIController {
      */
     static updateShareUrl() {
         if (peerManager.peerId) {
-            const shareUrl = this.generateShareUrl(peerManager.peerId);
+            // The session ID stays valid after a host migration
+            const shareUrl = this.generateShareUrl(peerManager.sessionId || peerManager.peerId);
             this.shareUrlInput.value = shareUrl;
             utils.log(`Share URL created: ${shareUrl}`);
         }
@@ -480,6 +848,9 @@ class UIController {
     static generateShareUrl(peerId) {
         const url = new URL(window.location.href);
         url.searchParams.set('join', peerId);
+        
+        // Carry the signaling settings so joiners use the same server
+        connectionConfig.applyToUrl(url);
         return url.toString();
     }
     
@@ -561,46 +932,66 @@ class UIController {
         peerItem.id = `peer-${peerId}`;
         
         const peerInfo = document.createElement('div');
-        peerInfo.textContent = `Peer: ${peerId}`;
         
-        // Updated disconnect button event handler in UI-Controller.js
-        // This goes in the addPeerToList method
+        // Avatar and name from the peer's profile (the peer ID until it arrives)
+        const avatar = document.createElement('span');
+        avatar.id = `avatar-${peerId}`;
+        avatar.className = 'peer-avatar';
+        peerInfo.appendChild(avatar);
+        
+        const nameInfo = document.createElement('span');
+        nameInfo.id = `peer-name-${peerId}`;
+        nameInfo.className = 'peer-name';
+        peerInfo.appendChild(nameInfo);
+        
+        // Connection state, shown while the link is being re-established
+        const stateInfo = document.createElement('span');
+        stateInfo.id = `peer-state-${peerId}`;
+        stateInfo.className = 'peer-state';
+        peerInfo.appendChild(stateInfo);
+        
+        // Performer or listener; listeners send no audio
+        const roleInfo = document.createElement('span');
+        roleInfo.id = `role-${peerId}`;
+        roleInfo.className = 'role-info';
+        peerInfo.appendChild(roleInfo);
+        
+        // Send mute and deafen state, broadcast by the peer
+        const talkInfo = document.createElement('span');
+        talkInfo.id = `talk-${peerId}`;
+        talkInfo.className = 'talk-info';
+        peerInfo.appendChild(talkInfo);
+        
+        // ICE candidate pair type (host/srflx/relay), filled in once ICE connects
+        const candidateInfo = document.createElement('span');
+        candidateInfo.id = `candidate-${peerId}`;
+        candidateInfo.className = 'candidate-info';
+        peerInfo.appendChild(candidateInfo);
+        
+        // Negotiated codec, filled in once audio flows
+        const codecInfo = document.createElement('span');
+        codecInfo.id = `codec-${peerId}`;
+        codecInfo.className = 'codec-info';
+        peerInfo.appendChild(codecInfo);
+        
+        // Our send bitrate to this peer, moved by the congestion controller
+        const bitrateInfo = document.createElement('span');
+        bitrateInfo.id = `bitrate-${peerId}`;
+        bitrateInfo.className = 'bitrate-info';
+        peerInfo.appendChild(bitrateInfo);
+        
+        // End-to-end encryption lock, shown only in encrypted sessions
+        const lockInfo = document.createElement('span');
+        lockInfo.id = `lock-${peerId}`;
+        lockInfo.className = 'lock-info';
+        peerInfo.appendChild(lockInfo);
+        
+        // Disconnect button tells the peer we are leaving and cleans up
         const disconnectBtn = document.createElement('button');
         disconnectBtn.textContent = 'Disconnect';
         disconnectBtn.addEventListener('click', () => {
-            // Comprehensive disconnect operation
             if (peerManager) {
-                // Close data connection if it exists
-                if (peerManager.connections[peerId] && peerManager.connections[peerId].open) {
-                    peerManager.connections[peerId].close();
-                }
-                
-                // Close media connection if it exists
-                if (peerManager.calls[peerId]) {
-                    peerManager.calls[peerId].close();
-                }
-                
-                // Remove remote stream from audio manager
-                if (window.audioManager) {
-                    audioManager.removeRemoteStream(peerId);
-                }
-                
-                // Stop latency monitoring if active
-                if (window.latencyMonitor) {
-                    window.latencyMonitor.stopMonitoring(peerId);
-                }
-                
-                // Remove fallback audio element if it exists
-                const fallbackAudio = document.getElementById(`audio-fallback-${peerId}`);
-                if (fallbackAudio) {
-                    fallbackAudio.pause();
-                    fallbackAudio.remove();
-                }
-                
-                // Remove from UI list
-                UIController.removePeerFromList(peerId);
-                
-                utils.log(`Peer ${peerId} disconnected successfully`);
+                peerManager.disconnectPeer(peerId);
             }
         });
         
@@ -610,8 +1001,278 @@ class UIController {
         
         console.log(`Peer ${peerId} added to list`);
         
+        // Show the candidate pair if ICE connected before the data connection
+        if (peerManager.candidatePairs[peerId]) {
+            this.updateCandidateInfo(peerId, peerManager.candidatePairs[peerId]);
+        }
+        
         // Create the remote meter for this peer if not already created
         this.createRemoteMeter(peerId);
+        
+        // The profile and role may have arrived before the data connection opened
+        this.updatePeerProfile(peerId);
+        this.updatePeerRole(peerId, peerManager.peerRoles[peerId] || 'performer');
+        if (peerManager.peerStates[peerId]) {
+            this.updateTalkState(peerId, peerManager.peerStates[peerId]);
+        }
+        if (e2eeManager.peerStatus[peerId]) {
+            this.updateEncryptionStatus(peerId, e2eeManager.peerStatus[peerId].state);
+        }
+    }
+    
+    /**
+     * Show a peer's name, instrument and colour in the peer list and on their meter
+     * @param {string} peerId The ID of the peer
+     */
+    static updatePeerProfile(peerId) {
+        const profile = profileManager.getPeerProfile(peerId);
+        const name = profileManager.getDisplayName(peerId);
+        const instrument = profile && profile.instrument ? profile.instrument : '';
+        const color = profileManager.getColor(peerId);
+        
+        const avatar = utils.$(`#avatar-${peerId}`);
+        if (avatar) {
+            avatar.textContent = profileManager.getInitials(peerId);
+            avatar.style.backgroundColor = color || '';
+        }
+        
+        const nameInfo = utils.$(`#peer-name-${peerId}`);
+        if (nameInfo) {
+            nameInfo.textContent = instrument ? `${name} \u00b7 ${instrument}` : name;
+            nameInfo.title = peerId;
+        }
+        
+        const meterName = utils.$(`#meter-name-${peerId}`);
+        if (meterName) {
+            meterName.textContent = profile && profile.name
+                ? `${profileManager.describe(profile)}: `
+                : `Remote Audio (${peerId}): `;
+            meterName.title = peerId;
+        }
+        
+        const meterDiv = utils.$(`#remoteMeterDiv-${peerId}`);
+        if (meterDiv) {
+            meterDiv.style.borderLeft = color ? `4px solid ${color}` : '';
+        }
+    }
+    
+    /**
+     * Show whether a peer performs or only listens
+     * @param {string} peerId The ID of the peer
+     * @param {string} role 'performer' or 'listener'
+     */
+    static updatePeerRole(peerId, role) {
+        const roleInfo = utils.$(`#role-${peerId}`);
+        if (!roleInfo) {
+            return;
+        }
+        
+        const listener = role === 'listener';
+        roleInfo.textContent = listener ? 'Listener' : 'Performer';
+        roleInfo.title = listener ? 'Listening only: not sending any audio' : 'Sending audio';
+        roleInfo.classList.toggle('role-listener', listener);
+        
+        // No audio will ever reach a listener's meter
+        const meterDiv = utils.$(`#remoteMeterDiv-${peerId}`);
+        if (meterDiv) {
+            meterDiv.classList.toggle('listener', listener);
+            meterDiv.title = listener ? `${peerId} is listening only and not sending audio` : '';
+        }
+    }
+    
+    /**
+     * Show whether a peer's audio is end-to-end encrypted
+     * @param {string} peerId The ID of the peer
+     * @param {string} state 'pending', 'ok' or 'error'
+     */
+    static updateEncryptionStatus(peerId, state) {
+        const lockInfo = utils.$(`#lock-${peerId}`);
+        if (!lockInfo) {
+            return;
+        }
+        
+        const titles = {
+            pending: 'End-to-end encrypted: waiting for audio',
+            ok: 'End-to-end encrypted',
+            error: 'Cannot decrypt: check that you both use the same session passphrase'
+        };
+        lockInfo.textContent = state === 'error' ? '\u{1F513}' : '\u{1F512}';
+        lockInfo.title = titles[state] || '';
+        lockInfo.className = `lock-info lock-${state}`;
+    }
+    
+    /**
+     * Show whether a peer is muted or deafened
+     * @param {string} peerId The ID of the peer
+     * @param {Object} state { muted, deafened } from the peer
+     */
+    static updateTalkState(peerId, state) {
+        const talkInfo = utils.$(`#talk-${peerId}`);
+        if (!talkInfo) {
+            return;
+        }
+        
+        const labels = [];
+        if (state.muted) {
+            labels.push('Muted');
+        }
+        if (state.deafened) {
+            labels.push('Deafened');
+        }
+        talkInfo.textContent = labels.join(', ');
+        talkInfo.title = [
+            state.muted ? 'Not sending audio' : '',
+            state.deafened ? 'Cannot hear the session' : ''
+        ].filter(Boolean).join('; ');
+        
+        const meterDiv = utils.$(`#remoteMeterDiv-${peerId}`);
+        if (meterDiv) {
+            meterDiv.classList.toggle('muted', state.muted);
+        }
+    }
+    
+    /**
+     * Show which ICE candidate pair type a peer is connected through
+     * @param {string} peerId The ID of the peer
+     * @param {Object} pair The selected candidate pair from PeerManager
+     */
+    static updateCandidateInfo(peerId, pair) {
+        const candidateInfo = utils.$(`#candidate-${peerId}`);
+        if (!candidateInfo) {
+            return;
+        }
+        
+        const relay = pair.relayProtocol ? ` via TURN/${pair.relayProtocol}` : '';
+        candidateInfo.textContent = `${pair.localType} \u2192 ${pair.remoteType} (${pair.protocol}${relay})`;
+        candidateInfo.title = `Local: ${pair.localAddress || 'hidden'}, Remote: ${pair.remoteAddress || 'hidden'}`;
+        
+        candidateInfo.classList.remove('candidate-host', 'candidate-srflx', 'candidate-prflx', 'candidate-relay');
+        const usesRelay = pair.localType === 'relay' || pair.remoteType === 'relay';
+        candidateInfo.classList.add(usesRelay ? 'candidate-relay' : `candidate-${pair.localType}`);
+    }
+    
+    /**
+     * Show which codec was negotiated with a peer
+     * @param {string} peerId The ID of the peer
+     * @param {Object} codec The negotiated codec from PeerManager
+     * @param {string} warning Why the preferred codec is not used, if it is not
+     */
+    static updateCodecInfo(peerId, codec, warning = '') {
+        const codecInfo = utils.$(`#codec-${peerId}`);
+        if (!codecInfo) {
+            return;
+        }
+        
+        const channels = codec.channels === 2 ? 'stereo' : 'mono';
+        codecInfo.textContent = `${codec.name} ${codec.clockRate / 1000} kHz ${channels}`;
+        codecInfo.title = warning || codec.fmtp || '';
+        codecInfo.classList.toggle('codec-fallback', !!warning);
+    }
+    
+    /**
+     * Show our send bitrate to a peer and the network conditions behind it
+     * @param {string} peerId The ID of the peer
+     * @param {Object} controller The peer's bitrate controller state from PeerManager
+     */
+    static updateBitrateInfo(peerId, controller) {
+        const bitrateInfo = utils.$(`#bitrate-${peerId}`);
+        if (!bitrateInfo) {
+            return;
+        }
+        
+        const measured = controller.measuredBitrate === null ? '?' : (controller.measuredBitrate / 1000).toFixed(0);
+        bitrateInfo.textContent = `\u2191 ${measured}/${controller.bitrate / 1000} kbps`;
+        
+        const loss = controller.lossRate === null ? 'unknown' : `${(controller.lossRate * 100).toFixed(1)}%`;
+        const rtt = controller.rtt === null ? 'unknown' : `${(controller.rtt * 1000).toFixed(0)} ms`;
+        bitrateInfo.title = `Sending ${measured} kbps, limit ${controller.bitrate / 1000} kbps\n` +
+            `Loss ${loss}, RTT ${rtt}` +
+            (controller.lastChange ? `\nLast change: ${controller.lastChange}` : '');
+        bitrateInfo.classList.toggle('bitrate-reduced', controller.bitrate < audioManager.sendBitrateRange.max);
+    }
+    
+    /**
+     * Show whether a peer is connected or reconnecting
+     * @param {string} peerId The ID of the peer
+     * @param {string} state 'connected' or 'reconnecting'
+     */
+    static setPeerConnectionState(peerId, state) {
+        const peerItem = utils.$(`#peer-${peerId}`);
+        const stateInfo = utils.$(`#peer-state-${peerId}`);
+        const meterDiv = utils.$(`#remoteMeterDiv-${peerId}`);
+        const reconnecting = state === 'reconnecting';
+        
+        if (peerItem) {
+            peerItem.classList.toggle('reconnecting', reconnecting);
+        }
+        if (stateInfo) {
+            stateInfo.textContent = reconnecting ? 'Reconnecting\u2026' : '';
+        }
+        if (meterDiv) {
+            meterDiv.classList.toggle('reconnecting', reconnecting);
+        }
+    }
+    
+    /**
+     * Ask the host whether a peer may join the session
+     * @param {string} peerId The ID of the peer asking to join
+     * @param {number} timeout Milliseconds before the request is denied automatically
+     * @returns {Promise} Promise that resolves with true if approved
+     */
+    static promptJoinRequest(peerId, timeout) {
+        this.dismissJoinRequest(peerId);
+        
+        return new Promise((resolve) => {
+            const request = document.createElement('div');
+            request.className = 'join-request';
+            request.id = `join-request-${peerId}`;
+            
+            // The joiner's profile arrives with their answer to the challenge
+            const profile = profileManager.getPeerProfile(peerId);
+            const name = profile && profile.name ? `${profileManager.describe(profile)} [${peerId}]` : peerId;
+            
+            const info = document.createElement('div');
+            info.textContent = `${name} wants to join the session`;
+            
+            const buttons = document.createElement('div');
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'small-button';
+            approveBtn.textContent = 'Approve';
+            const denyBtn = document.createElement('button');
+            denyBtn.className = 'small-button deny-button';
+            denyBtn.textContent = 'Deny';
+            buttons.appendChild(approveBtn);
+            buttons.appendChild(denyBtn);
+            
+            request.appendChild(info);
+            request.appendChild(buttons);
+            this.joinRequests.appendChild(request);
+            
+            // Settle once, whichever comes first
+            const finish = (approved) => {
+                clearTimeout(timer);
+                request.remove();
+                resolve(approved);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            request.dismiss = () => finish(false);
+            
+            approveBtn.addEventListener('click', () => finish(true));
+            denyBtn.addEventListener('click', () => finish(false));
+            
+            utils.showNotification(`${name} wants to join the session`, 'info');
+        });
+    }
+    
+    /**
+     * Remove a pending join request, denying it if still open
+     * @param {string} peerId The ID of the peer
+     */
+    static dismissJoinRequest(peerId) {
+        const request = utils.$(`#join-request-${peerId}`);
+        if (request && request.dismiss) {
+            request.dismiss();
+        }
     }
     
     /**
@@ -7,8 +7,17 @@ function $(selector) {
     return document.querySelector(selector);
 }
 
+// Everything passed to log, with timestamps, for the diagnostics export
+const logHistory = [];
+const maxLogHistory = 10000; // Oldest entries are dropped beyond this
+
 // Log messages to the UI
 function log(message) {
+    logHistory.push({ time: new Date().toISOString(), message: String(message) });
+    if (logHistory.length > maxLogHistory) {
+        logHistory.shift();
+    }
+    
     const logContainer = $('#logContainer');
     const logEntry = document.createElement('div');
     logEntry.className = 'log-entry';
@@ -18,6 +27,11 @@ function log(message) {
     console.log(message);
 }
 
+// Get a copy of everything logged so far, oldest first
+function getLogHistory() {
+    return logHistory.slice();
+}
+
 // Calculate volume from analyser data
 function calculateVolume(dataArray) {
     let sum = 0;
@@ -37,6 +51,146 @@ function generateRandomId(length = 6) {
     return result;
 }
 
+// Generate an unpredictable token (for handshake challenges)
+function generateNonce(bytes = 16) {
+    const values = crypto.getRandomValues(new Uint8Array(bytes));
+    return btoa(String.fromCharCode(...values));
+}
+
+// Sign a message with an HMAC and return it base64 encoded
+async function hmacBase64(secret, message, hash = 'SHA-256') {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: hash }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return btoa(String.fromCharCode(...new Uint8Array(signature)));
+}
+
+// SHA-256 round constants
+const sha256Constants = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Hash data with SHA-256 a piece at a time and return it hex encoded
+// WebCrypto only hashes a whole buffer, which for large files means holding all of it in memory
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    const pending = new Uint8Array(64); // Bytes waiting for a full block
+    let pendingLength = 0;
+    let totalLength = 0;
+    
+    const compress = (bytes, offset) => {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+        
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + sha256Constants[i] + words[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    };
+    
+    const update = (data) => {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        totalLength += bytes.length;
+        
+        let offset = 0;
+        if (pendingLength > 0) {
+            offset = Math.min(64 - pendingLength, bytes.length);
+            pending.set(bytes.subarray(0, offset), pendingLength);
+            pendingLength += offset;
+            if (pendingLength < 64) {
+                return;
+            }
+            compress(pending, 0);
+            pendingLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            compress(bytes, offset);
+        }
+        pending.set(bytes.subarray(offset));
+        pendingLength = bytes.length - offset;
+    };
+    
+    const digestHex = () => {
+        // Pad with 0x80, zeros and the length in bits to a whole number of blocks
+        const bits = totalLength * 8;
+        const padding = new Uint8Array((pendingLength < 56 ? 64 : 128) - pendingLength);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        update(padding);
+        return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+    };
+    
+    return { update, digestHex };
+}
+
+// Format a byte count as B, KB, MB or GB
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Offer text or binary content to the user as a file download
+function downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Format time in milliseconds to a readable format
 function formatTime(ms) {
     const seconds = Math.floor(ms / 1000);
@@ -101,8 +255,14 @@ function showNotification(message, type = 'info') {
 window.utils = {
     $,
     log,
+    getLogHistory,
     calculateVolume,
     generateRandomId,
+    generateNonce,
+    hmacBase64,
+    createSha256,
+    formatBytes,
+    downloadFile,
     formatTime,
     isWebRTCSupported,
     isWebAudioSupported,
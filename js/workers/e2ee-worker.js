@@ -0,0 +1,126 @@
+/**
+ * E2EE Worker for DAW Collaboration Tool
+ * Encrypts outgoing and decrypts incoming encoded audio frames with AES-GCM
+ *
+ * Encrypted frame layout: [ciphertext + 16-byte tag][12-byte IV][1-byte key index]
+ */
+
+const IV_LENGTH = 12;
+const TRAILER_LENGTH = IV_LENGTH + 1;
+const MIN_ENCRYPTED_LENGTH = 16 + TRAILER_LENGTH; // An empty payload still carries the tag
+
+const keys = {}; // CryptoKey by key index
+let sendKeyIndex = null; // Key used for outgoing frames
+const counters = {}; // Decrypted and failed frames by peer ID since the last report
+
+/**
+ * Encrypt one outgoing frame
+ * @param {RTCEncodedAudioFrame} frame The encoded frame
+ * @param {TransformStreamDefaultController} controller The stream controller
+ */
+async function encryptFrame(frame, controller) {
+    if (sendKeyIndex === null || !keys[sendKeyIndex]) {
+        return; // Send nothing rather than plain audio
+    }
+    
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        keys[sendKeyIndex],
+        frame.data
+    ));
+    
+    const output = new Uint8Array(ciphertext.length + TRAILER_LENGTH);
+    output.set(ciphertext, 0);
+    output.set(iv, ciphertext.length);
+    output[output.length - 1] = sendKeyIndex;
+    
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+}
+
+/**
+ * Decrypt one incoming frame, dropping it if it cannot be decrypted
+ * @param {RTCEncodedAudioFrame} frame The encoded frame
+ * @param {TransformStreamDefaultController} controller The stream controller
+ * @param {string} peerId The ID of the peer that sent it
+ */
+async function decryptFrame(frame, controller, peerId) {
+    const counter = counters[peerId] || (counters[peerId] = { decrypted: 0, failed: 0 });
+    const data = new Uint8Array(frame.data);
+    const key = data.length >= MIN_ENCRYPTED_LENGTH ? keys[data[data.length - 1]] : null;
+    
+    if (!key) {
+        counter.failed++;
+        return; // Unencrypted, or encrypted with a key we do not have
+    }
+    
+    try {
+        const ivStart = data.length - TRAILER_LENGTH;
+        frame.data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: data.subarray(ivStart, ivStart + IV_LENGTH) },
+            key,
+            data.subarray(0, ivStart)
+        );
+        counter.decrypted++;
+        controller.enqueue(frame);
+    } catch (e) {
+        // Wrong key: dropping the frame plays silence instead of noise
+        counter.failed++;
+    }
+}
+
+/**
+ * Wire an encoded stream pair through the encrypt or decrypt transform
+ * @param {ReadableStream} readable Encoded frames from the browser
+ * @param {WritableStream} writable Where the transformed frames go
+ * @param {Object} options { operation: 'encrypt' | 'decrypt', peerId }
+ */
+function attachTransform(readable, writable, options) {
+    const transform = options.operation === 'encrypt'
+        ? (frame, controller) => encryptFrame(frame, controller)
+        : (frame, controller) => decryptFrame(frame, controller, options.peerId);
+    
+    readable
+        .pipeThrough(new TransformStream({ transform: transform }))
+        .pipeTo(writable)
+        .catch(e => console.log(`E2EE ${options.operation} stream for ${options.peerId} ended: ${e.message}`));
+}
+
+// RTCRtpScriptTransform hands us each transformer directly
+self.onrtctransform = (event) => {
+    const transformer = event.transformer;
+    attachTransform(transformer.readable, transformer.writable, transformer.options);
+};
+
+// Key changes, and the streams from createEncodedStreams where that is all the browser has
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'set-key':
+            keys[message.keyIndex] = message.key;
+            
+            // Keep a few old keys for frames still in flight during a rotation
+            Object.keys(keys)
+                .filter(index => (message.keyIndex - Number(index) + 256) % 256 > 2)
+                .forEach(index => delete keys[index]);
+            break;
+        
+        case 'set-send-key':
+            sendKeyIndex = message.keyIndex;
+            break;
+        
+        case 'attach':
+            attachTransform(message.readable, message.writable, message);
+            break;
+    }
+};
+
+// Report decryption results once a second so the page can show a lock or an error
+setInterval(() => {
+    for (const peerId in counters) {
+        self.postMessage({ type: 'status', peerId: peerId, decrypted: counters[peerId].decrypted, failed: counters[peerId].failed });
+        delete counters[peerId];
+    }
+}, 1000);
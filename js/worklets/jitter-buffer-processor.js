@@ -0,0 +1,101 @@
+/**
+ * Jitter Buffer Processor for DAW Collaboration Tool
+ * Delays a remote stream by a target playout delay in browsers that cannot
+ * set jitterBufferTarget or playoutDelayHint on the RTCRtpReceiver
+ */
+
+class JitterBufferProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        
+        // One second of ring buffer per channel is more than any target we allow
+        this.capacity = sampleRate;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.delaySamples = 0; // Current delay
+        this.targetSamples = 0; // Delay we are moving towards
+        this.fadeFromSamples = null; // Delay we are fading out of, or null when not fading
+        this.fadePosition = 0;
+        this.fadeLength = Math.round(sampleRate * 0.03); // 30 ms crossfade
+        this.quietThreshold = 0.001; // About -60 dBFS
+        this.quietHold = 128; // Samples both read positions must stay quiet to cut the fade short
+        this.quietRun = 0;
+        
+        this.port.onmessage = (event) => {
+            if (typeof event.data.targetMs === 'number') {
+                const target = Math.round(event.data.targetMs * sampleRate / 1000);
+                this.targetSamples = Math.max(0, Math.min(this.capacity - 128, target));
+            }
+        };
+    }
+    
+    /**
+     * Copy input to output through the ring buffer, crossfading to a new delay when the target changes
+     * @param {Array} inputs The input channels
+     * @param {Array} outputs The output channels
+     * @returns {boolean} True to keep the processor alive
+     */
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        
+        for (let channel = 0; channel < output.length; channel++) {
+            if (!this.buffers[channel]) {
+                this.buffers[channel] = new Float32Array(this.capacity);
+            }
+        }
+        
+        const frames = output.length > 0 ? output[0].length : 0;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < output.length; channel++) {
+                const source = input[channel] || input[0];
+                this.buffers[channel][this.writeIndex] = source ? source[i] : 0;
+            }
+            
+            // Jump to the new delay and fade the old read position out. Drifting
+            // the delay a sample at a time would shift the pitch while it moved.
+            if (this.fadeFromSamples === null && this.delaySamples !== this.targetSamples) {
+                this.fadeFromSamples = this.delaySamples;
+                this.delaySamples = this.targetSamples;
+                this.fadePosition = 0;
+                this.quietRun = 0;
+            }
+            
+            const readIndex = (this.writeIndex - this.delaySamples + this.capacity) % this.capacity;
+            if (this.fadeFromSamples === null) {
+                for (let channel = 0; channel < output.length; channel++) {
+                    output[channel][i] = this.buffers[channel][readIndex];
+                }
+            } else {
+                const fadeIndex = (this.writeIndex - this.fadeFromSamples + this.capacity) % this.capacity;
+                const angle = (this.fadePosition + 0.5) / this.fadeLength * Math.PI / 2;
+                const gainIn = Math.sin(angle);
+                const gainOut = Math.cos(angle);
+                let quiet = true;
+                for (let channel = 0; channel < output.length; channel++) {
+                    const incoming = this.buffers[channel][readIndex];
+                    const outgoing = this.buffers[channel][fadeIndex];
+                    output[channel][i] = incoming * gainIn + outgoing * gainOut;
+                    if (Math.abs(incoming) > this.quietThreshold || Math.abs(outgoing) > this.quietThreshold) {
+                        quiet = false;
+                    }
+                }
+                
+                // Finish at once if both positions are silent, as a cut there cannot be heard
+                this.quietRun = quiet ? this.quietRun + 1 : 0;
+                if (++this.fadePosition >= this.fadeLength || this.quietRun >= this.quietHold) {
+                    this.fadeFromSamples = null;
+                }
+            }
+            this.writeIndex = (this.writeIndex + 1) % this.capacity;
+        }
+        
+        // Report the delay actually applied now and then
+        if (currentFrame % sampleRate < frames) {
+            this.port.postMessage({ delayMs: this.delaySamples * 1000 / sampleRate });
+        }
+        return true;
+    }
+}
+
+registerProcessor('jitter-buffer-processor', JitterBufferProcessor);
@@ -0,0 +1,62 @@
+/**
+ * Recorder Processor for DAW Collaboration Tool
+ * Records the first channel of its input and posts it to the main thread in blocks,
+ * each stamped with the context frame it starts at so it can be lined up with scheduled sounds
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        
+        this.blockSize = 4096; // Frames per message
+        this.buffer = new Float32Array(this.blockSize);
+        this.filled = 0;
+        this.startFrame = 0; // Context frame of buffer[0]
+        this.recording = true;
+        
+        this.port.onmessage = (event) => {
+            if (event.data.stop) {
+                this.flush();
+                this.recording = false;
+            }
+        };
+    }
+    
+    /**
+     * Post whatever has been recorded since the last message
+     */
+    flush() {
+        if (this.filled > 0) {
+            this.port.postMessage({ frame: this.startFrame, samples: this.buffer.slice(0, this.filled) });
+            this.filled = 0;
+        }
+    }
+    
+    /**
+     * Copy the input into the block buffer
+     * @param {Array} inputs The input channels
+     * @returns {boolean} True while recording
+     */
+    process(inputs) {
+        if (!this.recording) {
+            return false;
+        }
+        
+        // A disconnected input still records silence, so the timeline has no gaps
+        const channel = inputs[0] && inputs[0].length > 0 ? inputs[0][0] : null;
+        const frames = channel ? channel.length : 128;
+        
+        for (let i = 0; i < frames; i++) {
+            if (this.filled === 0) {
+                this.startFrame = currentFrame + i;
+            }
+            this.buffer[this.filled++] = channel ? channel[i] : 0;
+            if (this.filled === this.blockSize) {
+                this.flush();
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
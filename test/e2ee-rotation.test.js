@@ -0,0 +1,174 @@
+/**
+ * Encryption key rotation tests
+ * Runs the peer manager, message protocol and E2EE manager of two participants against each other
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const scripts = ['utils.js', 'message-protocol.js', 'e2ee-manager.js', 'peer-manager.js']
+    .map(name => fs.readFileSync(path.join(__dirname, '../js', name), 'utf8'));
+
+// Stands in for any browser object or manager the scenario does not look at
+const ignore = new Proxy(function () {}, {
+    get: (target, key) => (key === 'then' || typeof key === 'symbol' ? undefined : ignore),
+    set: () => true,
+    apply: () => ignore
+});
+
+/**
+ * Load one participant's scripts into a page of their own
+ * @param {string} peerId The participant's peer ID
+ * @param {string} hostId The peer ID of the session host
+ * @returns {Object} The page's globals
+ */
+function createParticipant(peerId, hostId) {
+    const page = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        crypto,
+        TextEncoder,
+        btoa,
+        document: ignore,
+        UIController: ignore,
+        fileTransferManager: ignore,
+        audioManager: { getAudioSettings: () => ({}), sendMuted: false, deafened: false },
+        profileManager: {
+            getProfile: () => ({}),
+            getLogName: id => id,
+            getDisplayName: id => id,
+            setPeerProfile() {}
+        },
+        Worker: class {
+            postMessage() {}
+            terminate() {}
+        },
+        RTCRtpScriptTransform: class {}
+    });
+    page.window = page;
+    scripts.forEach(source => vm.runInContext(source, page));
+    
+    // main.js creates the peer manager once the page has loaded
+    const peerManager = vm.runInContext('window.peerManager = new PeerManager()', page);
+    peerManager.peerId = peerId;
+    peerManager.sessionId = hostId;
+    peerManager.hostId = hostId;
+    peerManager.isHost = peerId === hostId;
+    peerManager.passphrase = 'rehearsal';
+    page.e2eeManager.iterations = 1000;
+    return page;
+}
+
+/**
+ * Open a data connection between two participants
+ * @param {Object} caller The participant dialing
+ * @param {Object} callee The participant answering
+ * @returns {Array} [caller's end, callee's end]
+ */
+function connect(caller, callee) {
+    const createEnd = (peer) => {
+        const listeners = {};
+        return {
+            peer,
+            open: true,
+            on: (event, listener) => {
+                listeners[event] = listener;
+            },
+            emit: (event, data) => listeners[event] && listeners[event](data)
+        };
+    };
+    const callerEnd = createEnd(callee.peerManager.peerId);
+    const calleeEnd = createEnd(caller.peerManager.peerId);
+    
+    // Messages arrive asynchronously and as copies, like over a data channel
+    const deliver = (to) => (data) => setImmediate(() => to.open && to.emit('data', JSON.parse(JSON.stringify(data))));
+    callerEnd.send = deliver(calleeEnd);
+    calleeEnd.send = deliver(callerEnd);
+    
+    caller.peerManager.handleConnection(callerEnd, true);
+    callee.peerManager.handleConnection(calleeEnd);
+    callerEnd.emit('open');
+    calleeEnd.emit('open');
+    return [callerEnd, calleeEnd];
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition The condition
+ * @param {number} timeout Milliseconds to wait
+ * @returns {Promise} Promise that resolves once the condition holds
+ */
+async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Start an encrypted session between a host and one admitted participant
+ * @returns {Object} { host, guest, link }
+ */
+async function startSession() {
+    const host = createParticipant('host', 'host');
+    const guest = createParticipant('guest', 'host');
+    await host.e2eeManager.enable('rehearsal', 'host');
+    await guest.e2eeManager.enable('rehearsal', 'host');
+    
+    host.peerManager.approvedPeers.add('guest');
+    guest.peerManager.approvedPeers.add('host');
+    const link = connect(guest, host);
+    return { host, guest, link };
+}
+
+test('a key rotated while a participant reconnects reaches them once they are back', async () => {
+    const { host, guest, link } = await startSession();
+    
+    // The link drops and the host rotates before it comes back
+    link.forEach(end => {
+        end.open = false;
+    });
+    await host.e2eeManager.rotate();
+    assert.strictEqual(host.e2eeManager.epoch, 1);
+    assert.strictEqual(guest.e2eeManager.epoch, 0);
+    
+    connect(guest, host);
+    await waitFor(() => guest.e2eeManager.epoch === host.e2eeManager.epoch);
+    assert.strictEqual(guest.e2eeManager.salt, host.e2eeManager.salt);
+});
+
+test('a key rotated while everyone is connected reaches every participant', async () => {
+    const { host, guest } = await startSession();
+    
+    await host.e2eeManager.rotate();
+    await waitFor(() => guest.e2eeManager.epoch === 1);
+    assert.strictEqual(guest.e2eeManager.salt, host.e2eeManager.salt);
+});
+
+test('a key sent by a participant other than the host is ignored', async () => {
+    const { guest } = await startSession();
+    const other = createParticipant('other', 'host');
+    await other.e2eeManager.enable('rehearsal', 'host');
+    other.peerManager.approvedPeers.add('guest');
+    guest.peerManager.approvedPeers.add('other');
+    const [toGuest] = connect(other, guest);
+    
+    other.messageProtocol.send(toGuest, { type: 'e2ee-key', epoch: 5, salt: 'split' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(guest.e2eeManager.epoch, 0);
+    assert.strictEqual(guest.e2eeManager.salt, 'host');
+    
+    // Once the participant has taken over as host, their keys count
+    guest.peerManager.hostId = 'other';
+    other.messageProtocol.send(toGuest, { type: 'e2ee-key', epoch: 5, salt: 'successor' });
+    await waitFor(() => guest.e2eeManager.epoch === 5);
+    assert.strictEqual(guest.e2eeManager.salt, 'successor');
+});
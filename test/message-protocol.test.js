@@ -0,0 +1,78 @@
+/**
+ * Message Protocol tests
+ * Runs js/message-protocol.js over stand-in data connections
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../js/message-protocol.js'), 'utf8');
+
+/**
+ * Load a fresh message protocol
+ * @returns {MessageProtocol} The message protocol
+ */
+function createProtocol() {
+    const page = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        utils: { log() {}, showNotification() {}, generateRandomId: () => `request${Math.random()}` }
+    });
+    page.window = page;
+    vm.runInContext(source, page);
+    return page.messageProtocol;
+}
+
+/**
+ * Create a data connection that records what is sent on it
+ * @param {string} peer The ID of the remote peer
+ * @returns {Object} The connection, with sent: the messages sent
+ */
+function createConnection(peer) {
+    const conn = { peer, open: true, sent: [] };
+    conn.send = (message) => conn.sent.push(message);
+    return conn;
+}
+
+test('a response settles the request it answers', async () => {
+    const protocol = createProtocol();
+    const alice = createConnection('alice');
+    
+    const result = protocol.request(alice, { type: 'ping' }, 1000);
+    const { requestId } = alice.sent[0];
+    protocol.handleMessage(alice, { type: 'response', v: 1, requestId, ok: true, result: 'pong' }, true);
+    assert.strictEqual(await result, 'pong');
+});
+
+test('a response from a peer the request was not sent to is ignored', async () => {
+    const protocol = createProtocol();
+    const alice = createConnection('alice');
+    const mallory = createConnection('mallory');
+    
+    const result = protocol.request(alice, { type: 'ping' }, 100);
+    const { requestId } = alice.sent[0];
+    protocol.handleMessage(mallory, { type: 'response', v: 1, requestId, ok: true, result: 'forged' }, false);
+    await assert.rejects(result, /timed out/);
+});
+
+test('messages carry the version agreed in the hello exchange', () => {
+    const protocol = createProtocol();
+    protocol.version = 2;
+    const alice = createConnection('alice');
+    
+    protocol.sendHello(alice);
+    assert.strictEqual(alice.sent[0].v, 2);
+    
+    protocol.handleHello(alice, { version: 1, minVersion: 1 });
+    protocol.send(alice, { type: 'ping' });
+    assert.strictEqual(alice.sent[1].v, 1);
+    
+    protocol.forgetPeer('alice');
+    protocol.send(alice, { type: 'ping' });
+    assert.strictEqual(alice.sent[2].v, 2);
+});
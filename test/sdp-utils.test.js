@@ -0,0 +1,148 @@
+/**
+ * SDP Utilities tests
+ * Runs js/sdp-utils.js against session descriptions recorded from Chrome and Firefox
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The module is a browser script that exports through window
+global.window = {};
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '../js/sdp-utils.js'), 'utf8'));
+const SdpUtils = window.SdpUtils;
+
+const fixtures = ['chrome-offer', 'chrome-answer', 'firefox-offer', 'firefox-answer'];
+
+// Default settings from AudioManager
+const opusSettings = {
+    maxAverageBitrate: 128000,
+    cbr: true,
+    ptime: 10,
+    useInbandFec: true,
+    useDtx: false,
+    stereo: true,
+    maxPlaybackRate: 48000,
+    udpOnly: true
+};
+
+/**
+ * Read a recorded session description
+ * @param {string} name The fixture name
+ * @returns {string} The session description
+ */
+function load(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.sdp`), 'utf8');
+}
+
+/**
+ * Get the only audio section of a session description
+ * @param {string} sdp The session description
+ * @returns {Object} The parsed audio section
+ */
+function audioSection(sdp) {
+    const audio = SdpUtils.parse(sdp).media.filter(section => section.kind === 'audio');
+    assert.strictEqual(audio.length, 1);
+    return audio[0];
+}
+
+fixtures.forEach(name => {
+    test(`${name}: parse and serialize round-trip unchanged`, () => {
+        const sdp = load(name);
+        assert.strictEqual(SdpUtils.serialize(SdpUtils.parse(sdp)), sdp);
+    });
+    
+    test(`${name}: parse splits the session and audio section`, () => {
+        const parsed = SdpUtils.parse(load(name));
+        assert.deepStrictEqual(parsed.session.slice(0, 3).map(line => line.type), ['v', 'o', 's']);
+        assert.strictEqual(parsed.media.length, 1);
+        assert.strictEqual(parsed.media[0].proto, 'UDP/TLS/RTP/SAVPF');
+        assert.strictEqual(typeof parsed.media[0].port, 'number');
+        assert.strictEqual(SdpUtils.findCodec(parsed.media[0], 'opus').clockRate, 48000);
+    });
+    
+    test(`${name}: applyOpusSettings sets fmtp, ptime and maxptime`, () => {
+        const section = audioSection(SdpUtils.applyOpusSettings(load(name), opusSettings));
+        const opus = SdpUtils.findCodec(section, 'opus');
+        
+        assert.deepStrictEqual(opus.params, Object.assign({}, opus.params, {
+            minptime: '10',
+            useinbandfec: '1',
+            usedtx: '0',
+            stereo: '1',
+            'sprop-stereo': '1',
+            maxaveragebitrate: '128000',
+            maxplaybackrate: '48000',
+            cbr: '1'
+        }));
+        assert.strictEqual(SdpUtils.getAttributes(section, 'fmtp').filter(value => value.startsWith(`${opus.payloadType} `)).length, 1);
+        assert.deepStrictEqual(SdpUtils.getAttributes(section, 'ptime'), ['10']);
+        assert.deepStrictEqual(SdpUtils.getAttributes(section, 'maxptime'), ['20']);
+    });
+    
+    test(`${name}: applyOpusSettings removes only TCP candidates`, () => {
+        const before = SdpUtils.getAttributes(audioSection(load(name)), 'candidate');
+        const after = SdpUtils.getAttributes(audioSection(SdpUtils.applyOpusSettings(load(name), opusSettings)), 'candidate');
+        const isTcp = value => value.split(' ')[2].toLowerCase() === 'tcp';
+        
+        assert.ok(before.some(isTcp));
+        assert.deepStrictEqual(after, before.filter(value => !isTcp(value)));
+    });
+    
+    test(`${name}: applyOpusSettings keeps TCP candidates when UDP is not required`, () => {
+        const settings = Object.assign({}, opusSettings, { udpOnly: false });
+        const before = SdpUtils.getAttributes(audioSection(load(name)), 'candidate');
+        const after = SdpUtils.getAttributes(audioSection(SdpUtils.applyOpusSettings(load(name), settings)), 'candidate');
+        assert.deepStrictEqual(after, before);
+    });
+    
+    test(`${name}: preferCodecs moves the preferred codecs to the front`, () => {
+        const section = audioSection(SdpUtils.preferCodecs(load(name), ['PCMU', 'G722', 'opus']));
+        const names = SdpUtils.getCodecs(section).map(codec => codec.name.toLowerCase());
+        
+        assert.deepStrictEqual(names.slice(0, 3), ['pcmu', 'g722', 'opus']);
+        assert.deepStrictEqual(section.formats.slice().sort(), audioSection(load(name)).formats.slice().sort());
+    });
+});
+
+test('applyOpusSettings keeps an existing fmtp line in place and adds a missing one after its rtpmap', () => {
+    const chrome = audioSection(SdpUtils.applyOpusSettings(load('chrome-offer'), opusSettings));
+    const fmtpIndex = chrome.lines.findIndex(line => line.name === 'fmtp' && line.value.startsWith('111 '));
+    assert.strictEqual(chrome.lines[fmtpIndex - 2].value, '111 opus/48000/2');
+    
+    const withoutFmtp = load('firefox-offer').replace(/a=fmtp:109 [^\r\n]*\r\n/, '');
+    const firefox = audioSection(SdpUtils.applyOpusSettings(withoutFmtp, opusSettings));
+    const rtpmapIndex = firefox.lines.findIndex(line => line.name === 'rtpmap' && line.value.startsWith('109 '));
+    assert.ok(firefox.lines[rtpmapIndex + 1].value.startsWith('109 minptime=10;'));
+});
+
+test('applyOpusSettings follows the chosen settings', () => {
+    const settings = Object.assign({}, opusSettings, { ptime: 40, stereo: false, useDtx: true, cbr: false, maxAverageBitrate: 64000 });
+    const section = audioSection(SdpUtils.applyOpusSettings(load('firefox-offer'), settings));
+    const params = SdpUtils.findCodec(section, 'opus').params;
+    
+    assert.strictEqual(params.minptime, '10');
+    assert.strictEqual(params.stereo, '0');
+    assert.strictEqual(params['sprop-stereo'], '0');
+    assert.strictEqual(params.usedtx, '1');
+    assert.strictEqual(params.cbr, '0');
+    assert.strictEqual(params.maxaveragebitrate, '64000');
+    assert.deepStrictEqual(SdpUtils.getAttributes(section, 'ptime'), ['40']);
+    assert.deepStrictEqual(SdpUtils.getAttributes(section, 'maxptime'), ['40']);
+});
+
+test('preferCodecs keeps unlisted formats in their original order after the listed ones', () => {
+    const section = audioSection(SdpUtils.preferCodecs(load('chrome-offer'), ['G722', 'opus']));
+    assert.deepStrictEqual(section.formats, ['9', '111', '63', '0', '8', '13', '110', '126']);
+});
+
+test('preferCodecs matches codec names case-insensitively and leaves other lines alone', () => {
+    const sdp = load('firefox-offer');
+    const reordered = SdpUtils.preferCodecs(sdp, ['g722']);
+    
+    assert.deepStrictEqual(audioSection(reordered).formats, ['9', '109', '0', '8', '101']);
+    assert.strictEqual(reordered.replace(/^m=.*$/m, ''), sdp.replace(/^m=.*$/m, ''));
+});
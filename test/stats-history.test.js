@@ -0,0 +1,90 @@
+/**
+ * Stats History tests
+ * Runs js/stats-history.js over a simulated long session
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../js/stats-history.js'), 'utf8');
+
+/**
+ * Load a fresh stats history whose clock the test controls
+ * @returns {Object} The page's globals, plus clock: the current time in ms
+ */
+function createPage() {
+    const page = vm.createContext({
+        utils: { $: () => null },
+        profileManager: { getDisplayName: id => id, getPeerProfile: () => null },
+        latencyMonitor: { updateInterval: 2000 }
+    });
+    page.window = page;
+    vm.runInContext(source, page);
+    page.clock = 0;
+    vm.runInContext('Date', page).now = () => page.clock;
+    return page;
+}
+
+/**
+ * Record a sample every 2 seconds for a while
+ * @param {Object} page The page
+ * @param {number} duration How long to record (ms)
+ * @param {Function} valueAt Gives the RTT at a time
+ */
+function recordFor(page, duration, valueAt) {
+    const end = page.clock + duration;
+    for (; page.clock < end; page.clock += 2000) {
+        page.statsHistory.record('alice', { rtt: valueAt(page.clock) });
+    }
+}
+
+test('a long session keeps its start, averaged, and its last hour at full resolution', () => {
+    const page = createPage();
+    const history = page.statsHistory;
+    recordFor(page, 3 * 60 * 60 * 1000, time => (time < 60 * 60 * 1000 ? 20 : 40));
+    
+    const samples = history.getSeries('alice');
+    assert.strictEqual(samples[0].time, 0);
+    
+    const averaged = samples.filter(sample => sample.averagedOverMs);
+    const raw = samples.filter(sample => !sample.averagedOverMs);
+    // Every whole 30 s bucket more than an hour old is averaged, the rest stays every 2 s
+    assert.strictEqual(averaged.length, 2 * 60 * 2 - 1);
+    assert.strictEqual(raw.length, 60 * 30 + 15);
+    assert.ok(raw[0].time >= page.clock - history.fullResolutionAge - history.averageInterval);
+    assert.ok(averaged.every((sample, index) => index === 0 || sample.time - averaged[index - 1].time === 30000));
+    
+    // The first hour's RTT survives in the averages
+    assert.strictEqual(averaged[0].rtt, 20);
+    assert.strictEqual(averaged[averaged.length - 1].rtt, 40);
+});
+
+test('averages skip unavailable values and leave empty buckets unavailable', () => {
+    const page = createPage();
+    recordFor(page, 10000, () => null);
+    recordFor(page, 20000, time => time / 1000);
+    recordFor(page, 61 * 60 * 1000, () => 1);
+    
+    const [first] = page.statsHistory.getSeries('alice');
+    assert.strictEqual(first.averagedOverMs, 30000);
+    assert.strictEqual(first.rtt, (10 + 12 + 14 + 16 + 18 + 20 + 22 + 24 + 26 + 28) / 10);
+    assert.strictEqual(first.jitter, null);
+});
+
+test('exports mark averaged samples', () => {
+    const page = createPage();
+    recordFor(page, 2 * 60 * 60 * 1000, () => 20);
+    
+    const lines = page.statsHistory.toCsv().trim().split('\n');
+    assert.ok(lines[0].endsWith(',averaged_over_s'));
+    assert.ok(lines[1].endsWith(',30'));
+    assert.ok(lines[lines.length - 1].endsWith(','));
+    
+    const json = page.statsHistory.toJson();
+    assert.strictEqual(json.fullResolutionMs, 60 * 60 * 1000);
+    assert.strictEqual(json.peers.alice.samples[0].averagedOverMs, 30000);
+});
@@ -0,0 +1,138 @@
+/**
+ * TURN credential renewal tests
+ * Runs the connection config and peer manager against a fake TURN REST credential endpoint
+ * Run with: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const scripts = ['utils.js', 'message-protocol.js', 'connection-config.js', 'peer-manager.js']
+    .map(name => fs.readFileSync(path.join(__dirname, '../js', name), 'utf8'));
+
+const credentialUrl = 'https://turn.example.com/credentials';
+
+// Stands in for any browser object or manager the scenario does not look at
+const ignore = new Proxy(function () {}, {
+    get: (target, key) => (key === 'then' || typeof key === 'symbol' ? undefined : ignore),
+    set: () => true,
+    apply: () => ignore
+});
+
+/**
+ * Load the scripts into a page whose credential endpoint issues numbered users
+ * @param {number} ttl Lifetime of the issued credentials in seconds
+ * @returns {Object} The page's globals, plus issued: the number of credentials fetched
+ */
+async function createPage(ttl) {
+    const page = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        URL,
+        crypto,
+        document: ignore,
+        UIController: ignore,
+        localStorage: { getItem: () => null, setItem() {} },
+        location: { href: 'https://daw.example.com/' },
+        issued: 0,
+        fetch: async (url) => {
+            if (url !== credentialUrl) {
+                return { ok: false, status: 404 };
+            }
+            page.issued++;
+            return {
+                ok: true,
+                json: async () => ({ username: `user${page.issued}`, password: 'secret', ttl: ttl, uris: ['turn:turn.example.com'] })
+            };
+        }
+    });
+    page.window = page;
+    scripts.forEach(source => vm.runInContext(source, page));
+    vm.runInContext('window.peerManager = new PeerManager()', page);
+    
+    await page.connectionConfig.ready;
+    page.connectionConfig.settings.turnCredentialUrl = credentialUrl;
+    
+    // A Peer with one call, as PeerJS would have it after the first fetch
+    const options = await page.connectionConfig.getPeerOptions();
+    page.peerManager.peer = { options: options };
+    page.peerManager.calls.guest = { peerConnection: createPeerConnection(options.config) };
+    return page;
+}
+
+/**
+ * Create a stand-in RTCPeerConnection that keeps its configuration
+ * @param {Object} config The initial configuration
+ * @returns {Object} The peer connection
+ */
+function createPeerConnection(config) {
+    let current = Object.assign({}, config);
+    return {
+        signalingState: 'stable',
+        getConfiguration: () => Object.assign({}, current),
+        setConfiguration: (next) => {
+            current = next;
+        }
+    };
+}
+
+/**
+ * Get the TURN usernames in an ICE server list
+ * @param {Array} iceServers The ICE server list
+ * @returns {Array} The usernames (an array of this realm, for deepStrictEqual)
+ */
+function turnUsers(iceServers) {
+    return Array.from(iceServers.filter(server => server.username), server => server.username);
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition The condition
+ * @param {number} timeout Milliseconds to wait
+ * @returns {Promise} Promise that resolves once the condition holds
+ */
+async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('credentials are renewed before they expire, on open calls and for new ones', async () => {
+    const page = await createPage(1);
+    const peerManager = page.peerManager;
+    const call = peerManager.calls.guest.peerConnection;
+    assert.deepStrictEqual(turnUsers(call.getConfiguration().iceServers), ['user1']);
+    
+    peerManager.scheduleTurnRefresh();
+    await waitFor(() => page.issued === 2 && !!peerManager.turnRefreshTimer);
+    clearTimeout(peerManager.turnRefreshTimer);
+    
+    assert.deepStrictEqual(turnUsers(call.getConfiguration().iceServers), ['user2']);
+    assert.deepStrictEqual(turnUsers(peerManager.peer.options.config.iceServers), ['user2']);
+    assert.strictEqual(peerManager.peer.options.config.iceServers.length, page.connectionConfig.settings.iceServers.length + 1);
+});
+
+test('credentials close to expiry are renewed before a redial or ICE restart', async () => {
+    const page = await createPage(30);
+    const peerManager = page.peerManager;
+    
+    await peerManager.ensureTurnCredentials();
+    clearTimeout(peerManager.turnRefreshTimer);
+    assert.deepStrictEqual(turnUsers(peerManager.peer.options.config.iceServers), ['user2']);
+});
+
+test('credentials with plenty of time left are not fetched again', async () => {
+    const page = await createPage(3600);
+    
+    await page.peerManager.ensureTurnCredentials();
+    assert.strictEqual(page.issued, 1);
+    assert.deepStrictEqual(turnUsers(page.peerManager.peer.options.config.iceServers), ['user1']);
+});